@@ -1,5 +1,12 @@
 // Background service worker for IOC Snatch.ai
 import OpenAI from 'openai';
+import { DEFAULT_DEFANG_OUTPUT, formatDefangedText, formatRefangedText } from '../Content/modules/defangOutput';
+import { DEFAULT_PROTECTED_BRANDS } from '../Content/modules/homoglyphs';
+import { DEFAULT_TEXT_SOURCES } from '../Content/modules/textSources';
+import { DEFAULT_SCAN_LIMITS } from '../Content/modules/chunkedDetection';
+import { DEFAULT_PIVOT_LINKS, buildPivotURL, getPivotLinks } from '../Content/modules/pivotLinks';
+import { refang } from '../Content/modules/refang';
+import { DEFAULT_HIGHLIGHT_COLORING } from '../Content/modules/highlightColors';
 
 console.log('IOC Snatch.ai - Background service worker loaded');
 
@@ -31,19 +38,61 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === 'sync' && changes.openaiApiKey) {
     initializeOpenAI();
   }
+  if (namespace === 'sync' && changes.pivotLinks) {
+    createContextMenus(changes.pivotLinks.newValue || []);
+  }
 });
 
 // Initialize default settings if they don't exist
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.sync.get(['highlightColor', 'separator', 'savedLists', 'openaiApiKey'], (result) => {
+  chrome.storage.sync.get(['highlightColor', 'separator', 'savedLists', 'openaiApiKey', 'customPatterns', 'nonRoutableIPs', 'highlightMode', 'defangOutput', 'protectedBrands', 'textSources', 'scanLimits', 'pivotLinks', 'highlightColoring', 'typeColors', 'showLegend'], (result) => {
     if (!result.highlightColor) {
       chrome.storage.sync.set({ highlightColor: '#ff6b6b' });
     }
     if (!result.separator) {
       chrome.storage.sync.set({ separator: 'comma' });
     }
-    if (!result.savedLists) {
-      chrome.storage.sync.set({ savedLists: [] });
+    // Saved lists outgrew the 8 KB sync item and are kept in local storage; move older ones
+    if (result.savedLists) {
+      chrome.storage.local.get(['savedLists'], (local) => {
+        chrome.storage.local.set({ savedLists: [...(local.savedLists || []), ...result.savedLists] }, () => {
+          if (!chrome.runtime.lastError) chrome.storage.sync.remove('savedLists');
+        });
+      });
+    }
+    if (!result.customPatterns) {
+      chrome.storage.sync.set({ customPatterns: [] });
+    }
+    if (!result.nonRoutableIPs) {
+      chrome.storage.sync.set({ nonRoutableIPs: 'show' });
+    }
+    if (!result.highlightMode) {
+      chrome.storage.sync.set({ highlightMode: 'ranges' });
+    }
+    if (!result.defangOutput) {
+      chrome.storage.sync.set({ defangOutput: DEFAULT_DEFANG_OUTPUT });
+    }
+    if (!result.protectedBrands) {
+      chrome.storage.sync.set({ protectedBrands: DEFAULT_PROTECTED_BRANDS });
+    }
+    if (!result.textSources) {
+      chrome.storage.sync.set({ textSources: DEFAULT_TEXT_SOURCES });
+    }
+    if (!result.scanLimits) {
+      chrome.storage.sync.set({ scanLimits: DEFAULT_SCAN_LIMITS });
+    }
+    if (!result.pivotLinks) {
+      chrome.storage.sync.set({ pivotLinks: DEFAULT_PIVOT_LINKS });
+    }
+    createContextMenus(result.pivotLinks || DEFAULT_PIVOT_LINKS);
+    if (!result.highlightColoring) {
+      chrome.storage.sync.set({ highlightColoring: DEFAULT_HIGHLIGHT_COLORING });
+    }
+    if (!result.typeColors) {
+      chrome.storage.sync.set({ typeColors: {} });
+    }
+    if (result.showLegend === undefined) {
+      chrome.storage.sync.set({ showLegend: true });
     }
   });
 });
@@ -387,6 +436,42 @@ Respond in JSON format only, with this structure:
   }
 }
 
+/**
+ * Keeps the risk analysis of IOCs by type and value, so page hover cards can show it
+ * @param {Array} iocs - Analyzed IOCs
+ */
+function saveAnalysis(iocs) {
+  const analyzed = iocs.filter(ioc => ioc.riskScore !== null && ioc.riskScore !== undefined);
+  if (analyzed.length === 0) return;
+  chrome.storage.local.get(['iocAnalysis'], (result) => {
+    const analysis = result.iocAnalysis || {};
+    analyzed.forEach(ioc => {
+      analysis[`${ioc.type}|${ioc.value}`] = {
+        riskScore: ioc.riskScore,
+        riskLevel: ioc.riskLevel,
+        riskExplanation: ioc.riskExplanation,
+      };
+    });
+    chrome.storage.local.set({ iocAnalysis: analysis });
+  });
+}
+
+/**
+ * Adds IOCs to the popup's current list for a tab, stored as type|value keys; the popup
+ * selects the matching IOCs when it opens
+ * @param {number} tabId - Tab of the list
+ * @param {Array} iocs - IOCs with type and value
+ * @param {Function} callback - Called with the number of IOCs in the list
+ */
+function addToCurrentList(tabId, iocs, callback) {
+  const key = `currentList_${tabId}`;
+  chrome.storage.local.get([key], (result) => {
+    const list = new Set(result[key] || []);
+    iocs.forEach(ioc => list.add(`${ioc.type}|${ioc.value}`));
+    chrome.storage.local.set({ [key]: Array.from(list) }, () => callback(list.size));
+  });
+}
+
 // Listen for messages from content scripts and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'iocsDetected') {
@@ -395,6 +480,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       chrome.storage.local.set({
         [`iocs_${sender.tab.id}`]: {
           iocs: request.iocs,
+          partial: request.partial || null,
           url: request.url,
           timestamp: request.timestamp,
         },
@@ -409,6 +495,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         console.log('Analysis complete, sending response with', analyzedIOCs.length, 'IOCs');
         const withScores = analyzedIOCs.filter(ioc => ioc.riskScore !== null && ioc.riskScore !== undefined);
         console.log('IOCs with risk scores:', withScores.length);
+        saveAnalysis(analyzedIOCs);
         sendResponse({ success: true, iocs: analyzedIOCs });
       })
       .catch((error) => {
@@ -416,6 +503,23 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sendResponse({ success: false, error: error.message, iocs: request.iocs });
       });
     return true; // Keep the message channel open for async response
+  } else if (request.action === 'addToCurrentList') {
+    // The popup's current list for the sender's tab, as type|value keys; the popup selects
+    // the matching IOCs when it opens
+    if (!sender.tab) {
+      sendResponse({ success: false });
+      return true;
+    }
+    addToCurrentList(sender.tab.id, [request.ioc], (count) => sendResponse({ success: true, count }));
+    return true;
+  } else if (request.action === 'getDetectionWorkerSource') {
+    // The detection worker script is not web-accessible, so pages cannot probe for the
+    // extension; the content script starts the worker from this copy of its source
+    fetch(chrome.runtime.getURL('detectionWorker.bundle.js'))
+      .then(response => response.text())
+      .then(source => sendResponse({ success: true, source }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   } else if (request.action === 'checkOpenAIStatus') {
     // Check if OpenAI is configured
     chrome.storage.sync.get(['openaiApiKey'], (result) => {
@@ -429,3 +533,142 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   return true; // Keep the message channel open for async response
 });
+
+// Keyboard shortcuts (manifest "commands") step through the highlights of the active tab,
+// all of them or only those of the type last navigated to
+const HIGHLIGHT_COMMANDS = {
+  'next-highlight': { direction: 'next', filter: {} },
+  'previous-highlight': { direction: 'previous', filter: {} },
+  'next-highlight-of-type': { direction: 'next', filter: { sameType: true } },
+  'previous-highlight-of-type': { direction: 'previous', filter: { sameType: true } },
+};
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  const navigation = HIGHLIGHT_COMMANDS[command];
+  if (!navigation || !tab) return;
+  chrome.tabs.sendMessage(tab.id, { action: 'navigateOccurrences', ...navigation }, () => {
+    if (chrome.runtime.lastError) {
+      // Pages without the content script (chrome://, the Web Store) have nothing to navigate
+    }
+  });
+});
+
+// Context menu on selected text. The tab's content script reads the selection and detects
+// its IOCs (with the user's custom patterns and suppressions); the actions run here
+const LOOKUP_MENU = 'lookup';
+const LOOKUP_PREFIX = 'lookup:';
+
+/**
+ * (Re)creates the context menu entries, with one lookup entry per enabled pivot link
+ * @param {Array} pivotLinks - `pivotLinks` settings
+ */
+function createContextMenus(pivotLinks) {
+  chrome.contextMenus.removeAll(() => {
+    const contexts = ['selection'];
+    chrome.contextMenus.create({ id: 'extract-selection', title: 'Extract IOCs from selection', contexts });
+    chrome.contextMenus.create({ id: 'add-selection-to-list', title: 'Add selection to current list', contexts });
+    chrome.contextMenus.create({ id: 'copy-defanged', title: 'Copy selection defanged', contexts });
+    chrome.contextMenus.create({ id: 'refang-copy', title: 'Refang and copy', contexts });
+    const links = pivotLinks.filter(link => link.enabled !== false);
+    if (links.length === 0) return;
+    chrome.contextMenus.create({ id: LOOKUP_MENU, title: 'Look up "%s"', contexts });
+    links.forEach(link => {
+      chrome.contextMenus.create({ id: `${LOOKUP_PREFIX}${link.id}`, parentId: LOOKUP_MENU, title: link.name, contexts });
+    });
+  });
+}
+
+/**
+ * Sends a message to a tab's top frame, where the content script runs
+ * @param {number} tabId - Tab
+ * @param {Object} message - Message
+ * @param {Function} callback - Called with the response; not called when the tab has no
+ *   content script (chrome:// pages, the Web Store, PDFs)
+ */
+function sendToPage(tabId, message, callback = () => {}) {
+  chrome.tabs.sendMessage(tabId, message, { frameId: 0 }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    callback(response);
+  });
+}
+
+/**
+ * Shows the IOCs found in a selection in the popup. The popup only opens on its own in
+ * browsers that allow it; elsewhere the results wait for the user to open it
+ * @param {Object} tab - Tab of the selection
+ * @param {Array} iocs - IOCs detected in the selection
+ */
+function openSelectionResults(tab, iocs) {
+  chrome.storage.local.set({
+    [`selectionIOCs_${tab.id}`]: { iocs, url: tab.url, timestamp: new Date().toISOString() },
+  }, () => {
+    const notify = () => sendToPage(tab.id, {
+      action: 'showToast',
+      message: `Found ${iocs.length} IOC${iocs.length === 1 ? '' : 's'} in the selection. Open IOC Snatch.ai to see them.`,
+    });
+    if (!chrome.action.openPopup) {
+      notify();
+      return;
+    }
+    chrome.action.openPopup().catch(notify);
+  });
+}
+
+/**
+ * Opens a pivot link for the first IOC of the selection the link applies to. Links for
+ * every type fall back to the refanged selection when it holds no IOC
+ * @param {Object} tab - Tab of the selection
+ * @param {string} linkId - Pivot link id
+ * @param {string} text - Selected text
+ * @param {Array} iocs - IOCs detected in the selection
+ */
+function lookUpSelection(tab, linkId, text, iocs) {
+  chrome.storage.sync.get(['pivotLinks'], (result) => {
+    const link = (result.pivotLinks || DEFAULT_PIVOT_LINKS).find(candidate => candidate.id === linkId);
+    if (!link) return;
+    const target = iocs.map(ioc => getPivotLinks(ioc, [link])[0]).find(Boolean);
+    const anyType = !link.types || link.types.length === 0;
+    const url = target ? target.url : anyType && text.trim() && buildPivotURL(link.url, refang(text.trim()));
+    if (!url) {
+      sendToPage(tab.id, { action: 'showToast', message: `The selection has no IOC ${link.name} can look up.` });
+      return;
+    }
+    chrome.tabs.create({ url, index: tab.index + 1, openerTabId: tab.id });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || tab.id < 0) return;
+  const menuId = String(info.menuItemId);
+  // The menu's selectionText has its line breaks collapsed, so the page's selection is
+  // preferred; it is still the fallback for selections in form fields and frames
+  sendToPage(tab.id, { action: 'detectSelection', text: info.selectionText || '' }, (response) => {
+    if (response.error) {
+      sendToPage(tab.id, { action: 'showToast', message: `Could not scan the selection: ${response.error}` });
+      return;
+    }
+    const { text, iocs } = response;
+    // Child IOCs (the host of a URL) are left to their parent, as in the page's highlights
+    const indicators = iocs.filter(ioc => !ioc.suppressed && !ioc.parentIds);
+    const copy = (copied, message) => sendToPage(tab.id, { action: 'copyText', text: copied, message });
+
+    if (menuId === 'refang-copy') {
+      copy(formatRefangedText(text, iocs), 'Copied the selection refanged');
+    } else if (menuId === 'copy-defanged') {
+      chrome.storage.sync.get(['defangOutput'], (result) => {
+        copy(formatDefangedText(text, iocs, result.defangOutput || DEFAULT_DEFANG_OUTPUT), 'Copied the selection defanged');
+      });
+    } else if (menuId.startsWith(LOOKUP_PREFIX)) {
+      lookUpSelection(tab, menuId.slice(LOOKUP_PREFIX.length), text, indicators);
+    } else if (indicators.length === 0) {
+      sendToPage(tab.id, { action: 'showToast', message: 'No IOCs found in the selection.' });
+    } else if (menuId === 'extract-selection') {
+      openSelectionResults(tab, iocs);
+    } else if (menuId === 'add-selection-to-list') {
+      addToCurrentList(tab.id, indicators, (count) => sendToPage(tab.id, {
+        action: 'showToast',
+        message: `Added ${indicators.length} IOC${indicators.length === 1 ? '' : 's'} to the current list (${count} in total).`,
+      }));
+    }
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Detection worker
+ * Runs IOC detection for large pages, and the user's custom patterns for every page, off the
+ * page's main thread, where a pattern that backtracks can be stopped. The content script sends
+ * the page text with the user's detection settings; the worker answers with progress
+ * messages after each chunk and a final message with the (possibly partial) results, or an
+ * error message when detection fails.
+ */
+
+import { detectIOCsInChunks } from './modules/chunkedDetection';
+import { applyCustomPatterns } from './modules/customPatterns';
+import { setProtectedBrands } from './modules/homoglyphs';
+
+onmessage = async (event) => {
+  const { text, restored, falsePositives, customPatterns, protectedBrands, limits, customTypes } = event.data;
+
+  // A rejected promise here would not reach the worker's error event, and the content
+  // script would wait for results forever
+  try {
+    // Workers do not share the content script's module state, so settings come with the text
+    applyCustomPatterns(customPatterns || []);
+    if (protectedBrands) setProtectedBrands(protectedBrands);
+
+    const options = { restored: new Set(restored || []), falsePositives: new Set(falsePositives || []), customTypes };
+    const result = await detectIOCsInChunks(text, options, {
+      limits,
+      onProgress: (progress) => postMessage({ type: 'progress', ...progress }),
+    });
+    postMessage({ type: 'done', ...result });
+  } catch (error) {
+    postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
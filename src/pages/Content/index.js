@@ -1,11 +1,57 @@
 import { detectIOCs } from './modules/iocDetector';
-import { highlightIOCs, removeHighlights, getHighlightedIOCs } from './modules/highlighter';
+import { applyCustomPatterns } from './modules/customPatterns';
+import { setProtectedBrands } from './modules/homoglyphs';
+import {
+  SELECTION_TEXT_SOURCE,
+  DEFAULT_TEXT_SOURCES,
+  collectScanText,
+  labelSources,
+  getHighlightRoots,
+  stripInvisibleChars,
+} from './modules/textSources';
+import { isNonRoutable } from './modules/ipClassifier';
+import { highlightIOCs, removeHighlights, getHighlightedIOCs, isHighlightNode, setHighlightHandlers } from './modules/highlighter';
+import { showHoverCard, hideHoverCard, setHoverCardActions, setHoverCardSettings, isHoverCardNode } from './modules/hoverCard';
+import { showColorLegend, hideColorLegend, isColorLegendNode } from './modules/colorLegend';
+import { showPageToast, isPageToastNode } from './modules/pageToast';
+import { navigateOccurrences, resetOccurrenceNavigation, isOccurrenceMarkerNode } from './modules/occurrenceNavigator';
+import { DEFAULT_HIGHLIGHT_COLORING, getHighlightColor, getLegendEntries } from './modules/highlightColors';
+import { readMutations, getScanRoots, mergeIOCs, toElement } from './modules/incrementalScanner';
+import { CHUNK_SIZE, DEFAULT_SCAN_LIMITS, detectIOCsInChunks } from './modules/chunkedDetection';
 
 console.log('IOC Snatch.ai - Content script loaded');
 
 let isScanning = false;
 let currentHighlights = [];
 let highlightColor = '#ff6b6b'; // Default highlight color
+let nonRoutableIPs = 'show'; // 'show', 'dim' or 'hide' private/reserved/bogon addresses
+let highlightMode = 'ranges'; // 'ranges' (CSS Custom Highlight API, DOM untouched) or 'spans'
+let highlightColoring = DEFAULT_HIGHLIGHT_COLORING; // 'auto' (type, then risk), 'type' or 'single'
+let typeColors = {}; // Per-type highlight color overrides
+let showLegend = true; // Color legend overlay
+let iocAnalysis = {}; // Risk analysis by type|value, saved by the background script
+let restoredIOCs = new Set(); // Values the user restored from false-positive suppression
+let falsePositiveIOCs = new Set(); // Values the user marked as false positives from the hover card
+let textSources = DEFAULT_TEXT_SOURCES; // Extra text sources scanned besides the visible page text
+let customPatterns = []; // Custom pattern definitions, passed on to the detection worker
+let protectedBrands = null; // Protected brand list, passed on to the detection worker
+let scanLimits = DEFAULT_SCAN_LIMITS; // Size and time limits for large pages
+let fullScanQueued = false; // A full scan was requested while another scan was running
+let detectionWorkerURL = null; // Blob URL of the detection worker script, loaded once
+
+// Content added after the first scan is scanned incrementally once the page settles
+const RESCAN_DELAY = 750; // ms without mutations before added content is scanned
+const MAX_RESCAN_WAIT = 3000; // ms, so pages that never settle (tickers, clocks) are still scanned
+const CUSTOM_PATTERN_TIMEOUT = 3000; // ms before a worker running custom patterns is terminated
+const WORKER_GRACE_TIME = 5000; // ms a worker scan may overrun the scan time limit before it is terminated
+let hasScanned = false;
+let highlightsHidden = false; // Highlights removed from the popup stay off for added content
+let pendingNodes = new Set(); // Elements and text nodes added or changed since the last scan
+let pendingRemovedNodes = []; // Subtrees removed since the last scan, whose IOCs were counted
+let pendingOldTexts = []; // Previous values of text edited since the last scan
+let rescanTimer = null;
+let firstPendingAt = 0;
+const pageObserver = new MutationObserver(handleMutations);
 
 // Listen for messages from popup/background
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -14,10 +60,32 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     sendResponse({ success: true });
   } else if (request.action === 'highlight') {
     highlightColor = request.color || highlightColor;
-    highlightIOCs(request.iocs || currentHighlights, highlightColor);
+    applyHighlights(request.iocs || currentHighlights);
     sendResponse({ success: true });
   } else if (request.action === 'removeHighlights') {
-    removeHighlights();
+    highlightsHidden = true;
+    clearHighlights();
+    sendResponse({ success: true });
+  } else if (request.action === 'navigateOccurrences') {
+    // From the popup's list (filter: the IOC) or the keyboard shortcuts (background)
+    const position = navigateOccurrences({ direction: request.direction, filter: request.filter });
+    sendResponse({ success: true, ...position });
+  } else if (request.action === 'detectSelection') {
+    // Context menu (background): the IOCs in the selected text
+    const text = stripInvisibleChars(getSelectedText(request.text));
+    runDetection(text)
+      .then(({ iocs }) => {
+        sendResponse({ text, iocs: iocs.map(ioc => ({ ...ioc, sources: [SELECTION_TEXT_SOURCE] })) });
+      })
+      .catch((error) => sendResponse({ error: error.message || String(error) }));
+  } else if (request.action === 'copyText') {
+    copyText(request.text).then(
+      () => showPageToast(request.message),
+      (error) => showPageToast(`Copy failed: ${error.message}`)
+    );
+    sendResponse({ success: true });
+  } else if (request.action === 'showToast') {
+    showPageToast(request.message);
     sendResponse({ success: true });
   } else if (request.action === 'getHighlightedIOCs') {
     const iocs = getHighlightedIOCs();
@@ -25,8 +93,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   } else if (request.action === 'updateHighlightColor') {
     highlightColor = request.color || highlightColor;
     if (currentHighlights.length > 0) {
-      removeHighlights();
-      highlightIOCs(currentHighlights, highlightColor);
+      clearHighlights();
+      applyHighlights(currentHighlights);
     }
     sendResponse({ success: true });
   }
@@ -34,35 +102,424 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return true; // Keep the message channel open for async response
 });
 
+// Load user-defined IOC patterns and display settings, and keep them in sync with the Settings tab
+chrome.storage.sync.get(['customPatterns', 'nonRoutableIPs', 'highlightMode', 'protectedBrands', 'textSources', 'scanLimits', 'defangOutput', 'pivotLinks', 'highlightColoring', 'typeColors', 'showLegend'], (result) => {
+  customPatterns = result.customPatterns || [];
+  applyCustomPatterns(customPatterns);
+  if (result.nonRoutableIPs) nonRoutableIPs = result.nonRoutableIPs;
+  if (result.highlightMode) highlightMode = result.highlightMode;
+  if (result.protectedBrands) {
+    protectedBrands = result.protectedBrands;
+    setProtectedBrands(protectedBrands);
+  }
+  if (result.textSources) textSources = result.textSources;
+  if (result.scanLimits) scanLimits = { ...DEFAULT_SCAN_LIMITS, ...result.scanLimits };
+  if (result.defangOutput) setHoverCardSettings({ defangOutput: result.defangOutput });
+  if (result.pivotLinks) setHoverCardSettings({ pivotLinks: result.pivotLinks });
+  if (result.highlightColoring) highlightColoring = result.highlightColoring;
+  if (result.typeColors) {
+    typeColors = result.typeColors;
+    setHoverCardSettings({ typeColors });
+  }
+  if (result.showLegend !== undefined) showLegend = result.showLegend;
+});
+chrome.storage.local.get(['restoredIOCs', 'falsePositiveIOCs', 'iocAnalysis'], (result) => {
+  restoredIOCs = new Set(result.restoredIOCs || []);
+  falsePositiveIOCs = new Set(result.falsePositiveIOCs || []);
+  iocAnalysis = result.iocAnalysis || {};
+});
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'sync' && changes.customPatterns) {
+    customPatterns = changes.customPatterns.newValue || [];
+    applyCustomPatterns(customPatterns);
+    // Re-scan pages that have already been scanned so the new patterns take effect
+    if (currentHighlights.length > 0) {
+      clearHighlights();
+      scanPage();
+    }
+  }
+  if (namespace === 'sync' && changes.textSources) {
+    textSources = changes.textSources.newValue || [];
+    if (currentHighlights.length > 0) {
+      clearHighlights();
+      scanPage();
+    }
+  }
+  if (namespace === 'sync' && changes.protectedBrands) {
+    protectedBrands = changes.protectedBrands.newValue || [];
+    setProtectedBrands(protectedBrands);
+    if (currentHighlights.length > 0) {
+      scanPage();
+    }
+  }
+  if (namespace === 'local' && (changes.restoredIOCs || changes.falsePositiveIOCs)) {
+    if (changes.restoredIOCs) restoredIOCs = new Set(changes.restoredIOCs.newValue || []);
+    if (changes.falsePositiveIOCs) falsePositiveIOCs = new Set(changes.falsePositiveIOCs.newValue || []);
+    if (currentHighlights.length > 0) {
+      scanPage();
+    }
+  }
+  if (namespace === 'sync' && changes.scanLimits) {
+    scanLimits = { ...DEFAULT_SCAN_LIMITS, ...changes.scanLimits.newValue };
+  }
+  if (namespace === 'sync' && changes.highlightMode) {
+    highlightMode = changes.highlightMode.newValue || 'ranges';
+    if (currentHighlights.length > 0 && !highlightsHidden) {
+      applyHighlights(currentHighlights);
+    }
+  }
+  if (namespace === 'sync' && changes.defangOutput) {
+    setHoverCardSettings({ defangOutput: changes.defangOutput.newValue });
+  }
+  if (namespace === 'sync' && changes.pivotLinks) {
+    setHoverCardSettings({ pivotLinks: changes.pivotLinks.newValue });
+  }
+  if (namespace === 'sync' && (changes.highlightColoring || changes.typeColors || changes.showLegend)) {
+    if (changes.highlightColoring) highlightColoring = changes.highlightColoring.newValue || DEFAULT_HIGHLIGHT_COLORING;
+    if (changes.typeColors) {
+      typeColors = changes.typeColors.newValue || {};
+      setHoverCardSettings({ typeColors });
+    }
+    if (changes.showLegend) showLegend = changes.showLegend.newValue !== false;
+    if (currentHighlights.length > 0 && !highlightsHidden) {
+      applyHighlights(currentHighlights);
+    }
+  }
+  // Analysis results switch highlights to risk colors
+  if (namespace === 'local' && changes.iocAnalysis) {
+    iocAnalysis = changes.iocAnalysis.newValue || {};
+    if (highlightColoring === 'auto' && currentHighlights.length > 0 && !highlightsHidden) {
+      applyHighlights(currentHighlights);
+    }
+  }
+  if (namespace === 'sync' && changes.nonRoutableIPs) {
+    nonRoutableIPs = changes.nonRoutableIPs.newValue || 'show';
+    if (currentHighlights.length > 0) {
+      applyHighlights(currentHighlights);
+    }
+  }
+});
+
+// Hovering a highlight opens its card, clicking one pins it
+setHighlightHandlers({
+  onHover: (ioc, rect) => (ioc ? showHoverCard(ioc, rect) : hideHoverCard({ delayed: true })),
+  onClick: (ioc, rect) => showHoverCard(ioc, rect, { pinned: true }),
+});
+
+setHoverCardActions({
+  // The popup's current list is kept per tab by the background script, which knows the tab
+  addToList: (ioc) => new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action: 'addToCurrentList', ioc: { type: ioc.type, value: ioc.value } }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        reject(new Error('Could not add to the list.'));
+        return;
+      }
+      resolve(`Added to the current list (${response.count} IOC${response.count === 1 ? '' : 's'})`);
+    });
+  }),
+  // Stored next to restored values; the storage change re-scans the page
+  markFalsePositive: (ioc) => new Promise((resolve) => {
+    chrome.storage.local.get(['falsePositiveIOCs', 'restoredIOCs'], (result) => {
+      const marked = new Set(result.falsePositiveIOCs || []);
+      marked.add(ioc.value);
+      chrome.storage.local.set({
+        falsePositiveIOCs: Array.from(marked),
+        restoredIOCs: (result.restoredIOCs || []).filter(value => value !== ioc.value),
+      }, resolve);
+    });
+  }),
+  getAnalysis: (ioc) => Promise.resolve(getAnalysis(ioc) || null),
+});
+
 /**
- * Scans the current page for IOCs
+ * Runs a DOM update without the page observer seeing it, so our own highlight spans never
+ * trigger a re-scan. Page mutations queued before the update are still handled
+ * @param {Function} update - Function that changes the DOM
  */
-function scanPage() {
-  if (isScanning) return;
-  
-  isScanning = true;
-  
-  // Get all text content from the page
-  const bodyText = document.body.innerText || document.body.textContent || '';
-  
-  // Detect IOCs
-  const detectedIOCs = detectIOCs(bodyText);
-  currentHighlights = detectedIOCs;
-  
-  // Highlight them
-  highlightIOCs(detectedIOCs, highlightColor);
-  
-  // Send results to popup
+function withoutObserving(update) {
+  const pending = pageObserver.takeRecords();
+  update();
+  pageObserver.takeRecords();
+  if (pending.length > 0) handleMutations(pending);
+}
+
+/**
+ * Removes all highlights from the page
+ */
+function clearHighlights() {
+  hideHoverCard();
+  hideColorLegend();
+  resetOccurrenceNavigation();
+  withoutObserving(removeHighlights);
+}
+
+/**
+ * Returns the text selected on the page, with its line breaks
+ * @param {string} fallback - The context menu's copy of the selection, for selections the
+ *   page's Selection does not expose (form fields, frames)
+ * @returns {string}
+ */
+function getSelectedText(fallback = '') {
+  const selection = window.getSelection();
+  const text = selection ? selection.toString() : '';
+  return text.trim() ? text : fallback;
+}
+
+/**
+ * Copies text to the clipboard. After a context menu click the page may not have focus,
+ * which the Clipboard API needs, so the copy command is used on a hidden text area instead,
+ * restoring the user's selection afterwards
+ * @param {string} text - Text to copy
+ * @returns {Promise}
+ */
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (error) {
+    let copied = false;
+    withoutObserving(() => {
+      const selection = window.getSelection();
+      const ranges = Array.from({ length: selection.rangeCount }, (_, i) => selection.getRangeAt(i));
+      const field = document.createElement('textarea');
+      field.value = text;
+      field.style.cssText = 'position: fixed; top: 0; left: 0; opacity: 0;';
+      document.documentElement.appendChild(field);
+      field.select();
+      copied = document.execCommand('copy');
+      field.remove();
+      selection.removeAllRanges();
+      ranges.forEach(range => selection.addRange(range));
+    });
+    if (!copied) throw error;
+  }
+}
+
+/**
+ * Returns the risk analysis saved for an IOC
+ * @param {Object} ioc - IOC with type and value
+ * @returns {Object|undefined} {riskScore, riskLevel, riskExplanation}
+ */
+function getAnalysis(ioc) {
+  return iocAnalysis[`${ioc.type}|${ioc.value}`];
+}
+
+/**
+ * Highlights IOCs, skipping suppressed false positives and hiding or de-emphasizing
+ * non-routable addresses per the user's setting. Child IOCs (the host or port of a URL)
+ * are only ever found inside their parent, which is highlighted instead.
+ * Colors follow the coloring setting, and the legend is updated to match
+ * @param {Array} iocs - IOCs to highlight
+ * @param {Object} options - Optional highlighter options (roots, append)
+ */
+function applyHighlights(iocs, options = {}) {
+  const targets = iocs.filter(ioc =>
+    !ioc.suppressed && !ioc.parentIds && !(nonRoutableIPs === 'hide' && isNonRoutable(ioc))
+  );
+  if (!options.append) highlightsHidden = false;
+  const coloring = { coloring: highlightColoring, typeColors, highlightColor };
+  withoutObserving(() => highlightIOCs(targets, highlightColor, {
+    getColor: (ioc) => getHighlightColor(ioc, { ...coloring, analysis: getAnalysis(ioc) }),
+    isDimmed: (ioc) => nonRoutableIPs === 'dim' && isNonRoutable(ioc),
+    roots: getHighlightRoots(textSources),
+    mode: highlightMode,
+    ...options,
+  }));
+  if (showLegend) {
+    showColorLegend(getLegendEntries(targets, coloring, getAnalysis));
+  } else {
+    hideColorLegend();
+  }
+}
+
+/**
+ * Sends the page's results to the background script and an open popup
+ * @param {Array} iocs - All IOCs found on the page
+ * @param {boolean} incremental - Whether the results grew from content added to the page
+ * @param {Object|null} partial - Set when a size or time limit stopped the scan early
+ *   ({reason, scannedChars, totalChars})
+ */
+function reportIOCs(iocs, incremental = false, partial = null) {
   chrome.runtime.sendMessage({
     action: 'iocsDetected',
-    iocs: detectedIOCs,
+    iocs,
+    incremental,
+    partial,
     url: window.location.href,
     timestamp: new Date().toISOString(),
   });
-  
+}
+
+/**
+ * Logs a failed scan and tells an open popup, which would otherwise wait for results
+ * @param {Error} error - What went wrong
+ * @param {boolean} incremental - Whether it was a scan of content added to the page
+ */
+function reportScanError(error, incremental = false) {
+  console.error('IOC Snatch.ai: Scan failed:', error);
+  chrome.runtime.sendMessage({ action: 'scanFailed', error: error.message || String(error), incremental });
+}
+
+/**
+ * Starts a detection worker. Extension scripts cannot be loaded as a page's worker
+ * directly, and the bundle is not web-accessible, so the background script sends its
+ * source, which is started from a blob URL
+ * @returns {Promise<Worker>}
+ */
+async function createDetectionWorker() {
+  if (!detectionWorkerURL) {
+    const source = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: 'getDetectionWorkerSource' }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          reject(new Error((response && response.error) || 'Detection worker source unavailable'));
+          return;
+        }
+        resolve(response.source);
+      });
+    });
+    detectionWorkerURL = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  }
+  return new Worker(detectionWorkerURL);
+}
+
+/**
+ * Detects IOCs in the detection worker
+ * @param {string} text - The text to scan
+ * @param {Function} onProgress - Called with {scannedChars, totalChars} after each chunk
+ * @param {Object} settings - Optional `customTypes` (see detectIOCs) and `timeout` in ms, after
+ *   which the worker is terminated
+ * @returns {Promise<{iocs: Array, partial: Object|null}>}
+ */
+async function detectInWorker(text, onProgress, settings = {}) {
+  const worker = await createDetectionWorker();
+  return new Promise((resolve, reject) => {
+    const timer = settings.timeout && setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`Detection worker did not finish within ${settings.timeout} ms`));
+    }, settings.timeout);
+    worker.onmessage = (event) => {
+      const { type, ...data } = event.data;
+      if (type === 'progress') {
+        onProgress(data);
+        return;
+      }
+      clearTimeout(timer);
+      worker.terminate();
+      if (type === 'error') {
+        reject(new Error(data.message || 'Detection worker failed'));
+        return;
+      }
+      resolve(data);
+    };
+    worker.onerror = (event) => {
+      clearTimeout(timer);
+      worker.terminate();
+      reject(new Error(event.message || 'Detection worker failed'));
+    };
+    worker.postMessage({
+      text,
+      restored: Array.from(restoredIOCs),
+      falsePositives: Array.from(falsePositiveIOCs),
+      customPatterns,
+      protectedBrands,
+      limits: scanLimits,
+      customTypes: settings.customTypes,
+    });
+  });
+}
+
+/**
+ * Runs the user's custom patterns in the detection worker, which is terminated when a
+ * pattern backtracks for too long. Custom patterns never run on the page's thread
+ * @param {string} text - The text to scan
+ * @param {Array} builtinIOCs - IOCs found by the built-in types, which win for the same value
+ * @returns {Promise<Array>} Custom-type IOCs; none when the worker failed or timed out
+ */
+async function detectCustomInWorker(text, builtinIOCs) {
+  if (customPatterns.length === 0) return [];
+  try {
+    const { iocs } = await detectInWorker(text, () => {}, { customTypes: true, timeout: CUSTOM_PATTERN_TIMEOUT });
+    const known = new Set(builtinIOCs.map(ioc => ioc.value));
+    return iocs.filter(ioc => !known.has(ioc.value));
+  } catch (error) {
+    console.warn('IOC Snatch.ai: Custom patterns skipped:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Detects IOCs in the scanned text. Texts longer than one chunk are scanned in the detection
+ * worker, or chunk by chunk on the page's thread where the page's content security policy
+ * blocks the worker, with progress sent to the popup. Custom patterns only run in the worker
+ * @param {string} text - The text to scan
+ * @returns {Promise<{iocs: Array, partial: Object|null}>}
+ */
+async function runDetection(text) {
+  const options = { restored: restoredIOCs, falsePositives: falsePositiveIOCs, customTypes: false };
+  if (text.length <= CHUNK_SIZE) {
+    const iocs = detectIOCs(text, options);
+    return { iocs: iocs.concat(await detectCustomInWorker(text, iocs)), partial: null };
+  }
+
+  const onProgress = (progress) => chrome.runtime.sendMessage({ action: 'scanProgress', ...progress });
+  try {
+    return await detectInWorker(text, onProgress, { timeout: scanLimits.timeLimitSeconds * 1000 + WORKER_GRACE_TIME });
+  } catch (error) {
+    console.warn('IOC Snatch.ai: Detection worker unavailable or failed, scanning on the page thread without custom patterns:', error.message);
+    return detectIOCsInChunks(text, options, { limits: scanLimits, onProgress, yieldBetweenChunks: true });
+  }
+}
+
+/**
+ * Ends a scan, starting a full scan that was requested while it ran
+ */
+function finishScan() {
   isScanning = false;
+  if (fullScanQueued) {
+    fullScanQueued = false;
+    scanPage();
+  }
+}
+
+/**
+ * Scans the current page for IOCs
+ */
+async function scanPage() {
+  if (isScanning) {
+    fullScanQueued = true;
+    return;
+  }
+  
+  isScanning = true;
+  hasScanned = true;
+  // Everything added so far is part of this scan
+  pendingNodes.clear();
+  pendingRemovedNodes = [];
+  pendingOldTexts = [];
+  clearTimeout(rescanTimer);
+  rescanTimer = null;
+  
+  // Get the visible page text plus the enabled hidden sources (link targets, attributes, ...)
+  const { text, segments } = collectScanText(textSources);
   
-  console.log(`IOC Snatch.ai: Found ${detectedIOCs.length} IOCs`);
+  try {
+    // Detect IOCs (in the worker for large pages) and record which sources each was found in
+    const { iocs: detectedIOCs, partial } = await runDetection(text);
+    labelSources(detectedIOCs, segments);
+    currentHighlights = detectedIOCs;
+    
+    // Highlight them
+    applyHighlights(detectedIOCs);
+    
+    // Send results to popup
+    reportIOCs(detectedIOCs, false, partial);
+    
+    console.log(`IOC Snatch.ai: Found ${detectedIOCs.length} IOCs${partial ? ` (partial, ${partial.reason} limit reached)` : ''}`);
+  } catch (error) {
+    reportScanError(error);
+  } finally {
+    finishScan();
+  }
 }
 
 // Auto-scan on page load (with a small delay to ensure DOM is ready)
@@ -74,15 +531,90 @@ if (document.readyState === 'loading') {
   setTimeout(scanPage, 1000);
 }
 
-// Re-scan when page content changes (for SPAs)
-let lastUrl = location.href;
-new MutationObserver(() => {
+/**
+ * Scans the content added or changed since the last scan, and the content the changes
+ * removed, and merges what it finds into the page's results
+ */
+async function scanAddedContent() {
+  rescanTimer = null;
+  // Content added during a running scan waits for it to finish
+  if (isScanning) {
+    scheduleRescan();
+    return;
+  }
+  const roots = getScanRoots(pendingNodes);
+  const removedText = [collectScanText(textSources, pendingRemovedNodes).text, ...pendingOldTexts.map(stripInvisibleChars)]
+    .filter(Boolean)
+    .join('\n\n');
+  pendingNodes.clear();
+  pendingRemovedNodes = [];
+  pendingOldTexts = [];
+  const { text, segments } = collectScanText(textSources, roots);
+  if (!text && !removedText) return;
+
+  isScanning = true;
+  try {
+    const { iocs: detectedIOCs } = await runDetection(text);
+    const { iocs: removedIOCs } = await runDetection(removedText);
+    if (detectedIOCs.length === 0 && removedIOCs.length === 0) return;
+    labelSources(detectedIOCs, segments);
+
+    const { iocs, added } = mergeIOCs(currentHighlights, detectedIOCs, removedIOCs);
+    currentHighlights = iocs;
+
+    // Known IOCs can turn up in the new content too, so it is highlighted with the full list
+    if (!highlightsHidden && detectedIOCs.length > 0) {
+      const elements = new Set(roots.map(toElement).filter(root => root && root.isConnected));
+      applyHighlights(iocs, { roots: Array.from(elements), append: true });
+    }
+    reportIOCs(iocs, true);
+
+    console.log(`IOC Snatch.ai: Found ${added.length} new IOCs in added content`);
+  } catch (error) {
+    reportScanError(error, true);
+  } finally {
+    finishScan();
+  }
+}
+
+/**
+ * Schedules an incremental scan once mutations have stopped for RESCAN_DELAY, or at most
+ * MAX_RESCAN_WAIT after the first pending one
+ */
+function scheduleRescan() {
+  if (!rescanTimer) firstPendingAt = Date.now();
+  clearTimeout(rescanTimer);
+  const maxDelay = Math.max(firstPendingAt + MAX_RESCAN_WAIT - Date.now(), 0);
+  rescanTimer = setTimeout(scanAddedContent, Math.min(RESCAN_DELAY, maxDelay));
+}
+
+/**
+ * Re-scans from scratch on SPA navigation, otherwise queues added and changed content for
+ * a debounced incremental scan. Mutations inside our own highlight spans, hover card and
+ * legend are ignored
+ * @param {Array<MutationRecord>} records - Mutation records
+ */
+function handleMutations(records) {
   const url = location.href;
   if (url !== lastUrl) {
     lastUrl = url;
     setTimeout(() => {
-      removeHighlights();
+      clearHighlights();
       scanPage();
     }, 1000);
+    return;
   }
-}).observe(document, { subtree: true, childList: true });
+  if (!hasScanned) return;
+
+  const isOwnNode = (node) => isHighlightNode(node) || isHoverCardNode(node) || isColorLegendNode(node) || isOccurrenceMarkerNode(node) || isPageToastNode(node);
+  const isPending = (node) => Array.from(pendingNodes).some(pending => pending === node || pending.contains(node));
+  const { nodes, removedNodes, oldTexts } = readMutations(records, isOwnNode, isPending);
+  nodes.forEach(node => pendingNodes.add(node));
+  pendingRemovedNodes.push(...removedNodes);
+  pendingOldTexts.push(...oldTexts);
+  if (nodes.length > 0 || removedNodes.length > 0) scheduleRescan();
+}
+
+// Re-scan when page content changes (SPA navigation, infinite scroll, live feeds)
+let lastUrl = location.href;
+pageObserver.observe(document, { subtree: true, childList: true, characterData: true, characterDataOldValue: true });
@@ -0,0 +1,689 @@
+/**
+ * Built-in IOC Types
+ * Registers the IOC types that ship with the extension. Each definition declares its
+ * pattern, detection priority, normalizer, validator, display color and the types it
+ * suppresses; see iocRegistry.js for the definition format.
+ */
+
+import { registerIOCType, IOC_CATEGORIES } from './iocRegistry';
+import { AMBIGUOUS_SUFFIXES, IDN_TLDS, getPublicSuffix } from './publicSuffixList';
+import { toASCII, toUnicode } from './idn';
+import { findLookalike } from './homoglyphs';
+import { classifyIP } from './ipClassifier';
+import { DEFANG_SOURCES, refang, isDefanged, detectDefangStyles } from './refang';
+import {
+  describeBitcoinAddress,
+  describeLitecoinAddress,
+  describeTronAddress,
+  describeEthereumAddress,
+  describeMoneroAddress,
+} from './walletAddresses';
+import { normalizeRegistryKey, getPathFilename } from './hostArtifacts';
+import { HASH_LABELS, hasHashLabel, isValidSsdeep, JA4_VARIANTS, getJA4Variant } from './hashFormats';
+
+const { SCHEME, SCHEME_SEPARATOR, DOT, URL_DOT, AT } = DEFANG_SOURCES;
+const OCTET = '(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)';
+
+// IPv6 addresses: eight groups, or "::" standing in for omitted groups with up to seven
+// written around it ("fe80::1", "2001:db8:85a3::8a2e:370:7334"); isValidIPv6Groups checks
+// the total. The last two groups may be written as an IPv4 address ("::ffff:192.0.2.1"),
+// tried first so the address is not cut at the first dot. Not preceded by a word character
+// or a colon, so a match cannot start mid-group
+const HEX_GROUP = '[0-9a-fA-F]{1,4}';
+const IPV6_GROUPS = `${HEX_GROUP}(?::${HEX_GROUP}){0,6}`;
+const IPV4_TAIL = `(?:${OCTET}\\.){3}${OCTET}`;
+const IPV6_EMBEDDED_IPV4 = `(?:${HEX_GROUP}:){6}${IPV4_TAIL}|(?:${IPV6_GROUPS})?::(?:${HEX_GROUP}:){0,5}${IPV4_TAIL}`;
+const IPV6 = `(?<![\\w:])(?:${IPV6_EMBEDDED_IPV4}|(?:${HEX_GROUP}:){7}${HEX_GROUP}|(?:${IPV6_GROUPS})?::(?:${IPV6_GROUPS})?)`;
+const IPV6_PREFIX = '(?:[0-9]|[1-9][0-9]|1[01][0-9]|12[0-8])';
+
+// Characters of an internationalized host name label (letters, marks and digits of any script)
+const HOST_CHAR = '\\p{L}\\p{M}\\p{N}';
+
+// Windows path pieces. A space ends an unquoted path, so it does not run on into the text
+// after it, except inside the few well-known directory names that contain one. Quoted paths
+// ("C:\Users\Bob\My Documents\a b.exe") may hold any spaces. Nothing ends in a sentence period
+const WIN_SPACED_NAMES = [
+  'Program Files (x86)', 'Program Files', 'Common Files', 'Application Data', 'Local Settings',
+  'Documents and Settings', 'All Users', 'Start Menu', 'Windows NT', 'Windows Defender',
+  'Internet Explorer',
+];
+const WIN_SEGMENT = '[\\w$~.(){}#@+\\-]+';
+const WIN_DIRS = `(?:(?:${WIN_SPACED_NAMES.map(name => name.replace(/[()]/g, '\\$&')).join('|')}|${WIN_SEGMENT})\\\\)*`;
+const WIN_FINAL = '[\\w$~.{}#@+\\-]*[\\w$~{}#@+\\-]';
+// The rest of a quoted path, up to its closing quote
+const WIN_QUOTED = '[^"\\r\\n<>|*?]*[^"\\s\\\\<>|*?.]';
+const WIN_PATH_ROOT = '(?:\\b[a-z]:|%[a-z_][\\w()]*%|\\\\\\\\[\\w.$-]+)';
+const REGISTRY_HIVE = '\\b(?:HKEY_LOCAL_MACHINE|HKEY_CURRENT_USER|HKEY_CLASSES_ROOT|HKEY_USERS|HKEY_CURRENT_CONFIG|HKLM|HKCU|HKCR|HKU|HKCC):?';
+// Text from the opening quote of a quoted path up to a point inside it, looked for within the
+// longest classic Windows path
+const QUOTED_PATH_OPENING = new RegExp(`"${WIN_PATH_ROOT}\\\\[^"\\r\\n]*$`, 'i');
+const MAX_WIN_PATH = 260;
+
+// Words that read as "<word> dot <tld>" in prose ("the dot to click"), never as a domain label
+const SPACED_DOT_STOPWORDS = new Set([
+  'a', 'an', 'the', 'this', 'that', 'and', 'or', 'to', 'of', 'in', 'on', 'at', 'is', 'it',
+  'his', 'her', 'my', 'your', 'our', 'its', 'one', 'each', 'every', 'single', 'small',
+  'big', 'little', 'red', 'green', 'blue', 'black', 'white', 'polka',
+]);
+
+export const IOC_TYPES = {
+  IPV4: 'IPv4',
+  IPV6: 'IPv6',
+  CIDR: 'CIDR',
+  DEFANGED_IP: 'Defanged IP',
+  IMPHASH: 'Imphash',
+  JA3: 'JA3',
+  JA3S: 'JA3S',
+  TLSH: 'TLSH',
+  JARM: 'JARM',
+  SSDEEP: 'SSDEEP',
+  MD5: 'MD5',
+  SHA1: 'SHA1',
+  SHA256: 'SHA256',
+  SHA512: 'SHA512',
+  JA4: 'JA4+',
+  BTC_ADDRESS: 'BTC Address',
+  LTC_ADDRESS: 'LTC Address',
+  TRX_ADDRESS: 'TRX Address',
+  ETH_ADDRESS: 'ETH Address',
+  XMR_ADDRESS: 'XMR Address',
+  EMAIL: 'Email',
+  DEFANGED_URL: 'Defanged URL',
+  URL: 'URL',
+  DOMAIN: 'Domain',
+  FILENAME: 'Filename',
+  NAMED_PIPE: 'Named Pipe',
+  REGISTRY_KEY: 'Registry Key',
+  WINDOWS_PATH: 'Windows Path',
+  UNIX_PATH: 'Unix Path',
+  MUTEX: 'Mutex',
+  PORT: 'Port',
+  CVE: 'CVE',
+  CWE: 'CWE',
+  ATTACK_TACTIC: 'ATT&CK Tactic',
+  ATTACK_TECHNIQUE: 'ATT&CK Technique',
+  ATTACK_SUBTECHNIQUE: 'ATT&CK Sub-technique',
+  ATTACK_SOFTWARE: 'ATT&CK Software',
+  ATTACK_GROUP: 'ATT&CK Group',
+};
+
+const BUILTIN_TYPES = [
+  // CIDR ranges (must be checked before plain IPs to avoid duplicates)
+  // IPv4 CIDR: IP address followed by / and subnet mask (0-32)
+  {
+    name: IOC_TYPES.CIDR,
+    pattern: new RegExp(`\\b(?:${OCTET}\\.){3}${OCTET}\\/(?:[0-9]|[12][0-9]|3[0-2])\\b|${IPV6}\\/${IPV6_PREFIX}\\b`, 'g'),
+    priority: 10,
+    validate: (value) => isValidIPv6Groups(value.split('/')[0]),
+    color: '#00d4aa',
+    suppresses: [IOC_TYPES.DEFANGED_IP, IOC_TYPES.IPV4, IOC_TYPES.IPV6],
+    enrich: classifyIPIOC,
+  },
+  
+  // De-fanged IP addresses (must be checked before regular IPs)
+  // Any dot style from the refang grammar: 104.194.150[.]26, 104{.}194(.)150[dot]26, 10 dot 0 dot 0 dot 1
+  // Candidates without any de-fanging are left to the IPv4 type
+  {
+    name: IOC_TYPES.DEFANGED_IP,
+    pattern: new RegExp(`\\b(?:${OCTET}${DOT}){3}${OCTET}\\b`, 'gi'),
+    priority: 20,
+    normalize: refang,
+    validate: (value, { match }) => isDefanged(match),
+    color: '#16a085',
+    suppresses: [IOC_TYPES.IPV4],
+    enrich: classifyIPIOC,
+  },
+  
+  // IPv6 address (exclude if already matched as CIDR). Checked before IPv4 so the IPv4 part
+  // of an IPv4-mapped address is not reported on its own
+  {
+    name: IOC_TYPES.IPV6,
+    pattern: new RegExp(`${IPV6}(?![\\w:/])`, 'g'),
+    priority: 25,
+    validate: isValidIPv6Groups,
+    color: '#45b7d1',
+    suppresses: [IOC_TYPES.IPV4],
+    enrich: classifyIPIOC,
+  },
+  
+  // IPv4 address, including private and reserved ranges (tagged via classifyIP so they can
+  // be hidden or de-emphasized). Exclude if already matched as CIDR or de-fanged. A slash
+  // after the address starts a URL path unless it is followed by a number: a prefix length
+  // that is out of range ("1.2.3.4/33") leaves a plain address
+  {
+    name: IOC_TYPES.IPV4,
+    pattern: /\b(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)(?!\/(?!\d+\b))\b/g,
+    priority: 30,
+    color: '#4ecdc4',
+    enrich: classifyIPIOC,
+  },
+  
+  // 32-hex values are MD5-sized; the label in front of them picks the real type. These types
+  // share one pattern, which the detector runs once per text for all of them
+  // Imphash: "imphash: f34d5f2d4577ed6d9ceec516c1f5a744"
+  {
+    name: IOC_TYPES.IMPHASH,
+    pattern: /\b[a-fA-F0-9]{32}\b/g,
+    priority: 44,
+    normalize: (value) => value.toLowerCase(),
+    validate: (value, { start, text }) => hasHashLabel(text, start, HASH_LABELS.IMPHASH),
+    color: '#f4d03f',
+  },
+  
+  // JA3S server fingerprint: "JA3S: ..." (checked before JA3)
+  {
+    name: IOC_TYPES.JA3S,
+    pattern: /\b[a-fA-F0-9]{32}\b/g,
+    priority: 45,
+    normalize: (value) => value.toLowerCase(),
+    validate: (value, { start, text }) => hasHashLabel(text, start, HASH_LABELS.JA3S),
+    color: '#85c1e9',
+  },
+  
+  // JA3 client fingerprint: "JA3: ...", "JA3 hash = ..."
+  {
+    name: IOC_TYPES.JA3,
+    pattern: /\b[a-fA-F0-9]{32}\b/g,
+    priority: 46,
+    normalize: (value) => value.toLowerCase(),
+    validate: (value, { start, text }) => hasHashLabel(text, start, HASH_LABELS.JA3),
+    color: '#5dade2',
+  },
+  
+  // TLSH: "T1" + 70 hex characters, or 70 hex characters (older format) labelled "TLSH"
+  {
+    name: IOC_TYPES.TLSH,
+    pattern: /\b(?:T1)?[a-fA-F0-9]{70}\b/g,
+    priority: 47,
+    normalize: (value) => value.toUpperCase(),
+    validate: (value, { match, start, text }) => /^T1/i.test(match) || hasHashLabel(text, start, HASH_LABELS.TLSH),
+    color: '#cd853f',
+  },
+  
+  // JARM TLS server fingerprint: 62 hex characters labelled "JARM"; unlabelled hex of that
+  // length is more likely an ID or a cut-off digest
+  {
+    name: IOC_TYPES.JARM,
+    pattern: /\b[a-fA-F0-9]{62}\b/g,
+    priority: 48,
+    normalize: (value) => value.toLowerCase(),
+    validate: (value, { start, text }) => hasHashLabel(text, start, HASH_LABELS.JARM),
+    color: '#2e86c1',
+  },
+  
+  // ssdeep fuzzy hash: blocksize:hash:hash (e.g. 96:s4Ud1Lj96tHHlZDrwciQmA:s4UxLj96tHHlZ7wciQmA)
+  {
+    name: IOC_TYPES.SSDEEP,
+    pattern: /(?<![\w:/+])\d{1,10}:[a-zA-Z0-9/+]{1,64}:[a-zA-Z0-9/+]{1,64}(?![\w/+])/g,
+    priority: 49,
+    validate: (value) => isValidSsdeep(value),
+    color: '#b8860b',
+  },
+  
+  // MD5 hash (32 hex characters)
+  {
+    name: IOC_TYPES.MD5,
+    pattern: /\b[a-fA-F0-9]{32}\b/g,
+    priority: 50,
+    color: '#f7b731',
+  },
+  
+  // SHA1 hash (40 hex characters)
+  {
+    name: IOC_TYPES.SHA1,
+    pattern: /\b[a-fA-F0-9]{40}\b/g,
+    priority: 60,
+    color: '#f39c12',
+  },
+  
+  // SHA256 hash (64 hex characters)
+  {
+    name: IOC_TYPES.SHA256,
+    pattern: /\b[a-fA-F0-9]{64}\b/g,
+    priority: 70,
+    color: '#e67e22',
+  },
+  
+  // SHA512 hash (128 hex characters)
+  {
+    name: IOC_TYPES.SHA512,
+    pattern: /\b[a-fA-F0-9]{128}\b/g,
+    priority: 80,
+    color: '#d35400',
+  },
+  
+  // JA4+ TLS, HTTP, SSH and TCP fingerprints (JA4, JA4S, JA4H, JA4X, JA4SSH, JA4T)
+  {
+    name: IOC_TYPES.JA4,
+    pattern: new RegExp(`(?<![\\w-])(?:${JA4_VARIANTS.map(({ source }) => source).join('|')})(?![\\w-])`, 'gi'),
+    priority: 81,
+    normalize: (value) => value.toLowerCase(),
+    enrich: (ioc) => ({ fingerprintVariant: getJA4Variant(ioc.value) }),
+    color: '#1f618d',
+  },
+  
+  // Cryptocurrency wallets. Patterns only find candidates; each is checked against its real
+  // encoding (checksums included) and tagged with its address format
+  // Bitcoin: legacy P2PKH (1...) and P2SH (3...) with Base58Check, segwit/taproot (bc1...) with bech32/bech32m
+  {
+    name: IOC_TYPES.BTC_ADDRESS,
+    pattern: /\b(?:[13][1-9A-HJ-NP-Za-km-z]{25,34}|bc1[02-9ac-hj-np-z]{6,87}|BC1[02-9AC-HJ-NP-Z]{6,87})\b/g,
+    priority: 82,
+    normalize: normalizeBech32Case,
+    validate: (value) => !!describeBitcoinAddress(value),
+    enrich: (ioc) => ({ walletFormat: describeBitcoinAddress(ioc.value) }),
+    color: '#f2a900',
+  },
+  
+  // Litecoin: L... and M... with Base58Check, ltc1... with bech32/bech32m
+  // (3... P2SH addresses are shared with Bitcoin and reported as BTC)
+  {
+    name: IOC_TYPES.LTC_ADDRESS,
+    pattern: /\b(?:[LM][1-9A-HJ-NP-Za-km-z]{26,33}|ltc1[02-9ac-hj-np-z]{6,87}|LTC1[02-9AC-HJ-NP-Z]{6,87})\b/g,
+    priority: 84,
+    normalize: normalizeBech32Case,
+    validate: (value) => !!describeLitecoinAddress(value),
+    enrich: (ioc) => ({ walletFormat: describeLitecoinAddress(ioc.value) }),
+    color: '#345d9d',
+  },
+  
+  // Tron: T... with Base58Check
+  {
+    name: IOC_TYPES.TRX_ADDRESS,
+    pattern: /\bT[1-9A-HJ-NP-Za-km-z]{33}\b/g,
+    priority: 85,
+    validate: (value) => !!describeTronAddress(value),
+    enrich: (ioc) => ({ walletFormat: describeTronAddress(ioc.value) }),
+    color: '#c23631',
+  },
+  
+  // Ethereum: 0x + 40 hex digits; mixed-case addresses must pass the EIP-55 checksum
+  {
+    name: IOC_TYPES.ETH_ADDRESS,
+    pattern: /\b0x[0-9a-fA-F]{40}\b/g,
+    priority: 86,
+    validate: (value) => !!describeEthereumAddress(value),
+    enrich: (ioc) => ({ walletFormat: describeEthereumAddress(ioc.value) }),
+    color: '#627eea',
+  },
+  
+  // Monero: 95-character standard (4...) and subaddress (8...) or 106-character integrated addresses
+  {
+    name: IOC_TYPES.XMR_ADDRESS,
+    pattern: /\b[48][1-9A-HJ-NP-Za-km-z]{94}(?:[1-9A-HJ-NP-Za-km-z]{11})?\b/g,
+    priority: 88,
+    validate: (value) => !!describeMoneroAddress(value),
+    enrich: (ioc) => ({ walletFormat: describeMoneroAddress(ioc.value) }),
+    color: '#ff6600',
+  },
+  
+  // Email address, plain or de-fanged: user@evil.com, user[at]evil[.]com, user(@)evil dot com
+  {
+    name: IOC_TYPES.EMAIL,
+    pattern: new RegExp(`\\b[a-z0-9._%+-]+${AT}(?:[${HOST_CHAR}-]+${DOT})+(?:xn--[a-z0-9-]+|[\\p{L}\\p{M}]{2,})(?![${HOST_CHAR}_])`, 'giu'),
+    priority: 90,
+    normalize: (value) => refang(value).normalize('NFC'),
+    validate: (value) => hasKnownTLD(value.split('@').pop()),
+    enrich: describeHostIOC,
+    color: '#9b59b6',
+    suppresses: [IOC_TYPES.DOMAIN, IOC_TYPES.FILENAME],
+  },
+  
+  // De-fanged URLs (must be checked before regular URLs)
+  // Schemes: hxxp, h**p, meow, fxp, ftxp; separators: [://], [:]//, (:)//; and any dot style
+  // from the refang grammar anywhere in the URL: hxxps[://]evil[.]com, http://evil{.}com/a
+  // Captures full URLs including paths, query strings (?key=value), fragments (#section), and file extensions
+  // Candidates without any de-fanging are left to the URL type
+  {
+    name: IOC_TYPES.DEFANGED_URL,
+    pattern: new RegExp(`\\b${SCHEME}${SCHEME_SEPARATOR}(?:${URL_DOT}|[^\\s<>"{}|\\\\^\`])+`, 'gi'),
+    priority: 100,
+    normalize: refang,
+    validate: (value, { match }) => isDefanged(match),
+    enrich: describeHostIOC,
+    color: '#e67e22',
+    suppresses: [IOC_TYPES.URL, IOC_TYPES.DOMAIN],
+  },
+  
+  // URL (http/https/ftp) - exclude if already matched as de-fanged
+  // Captures full URLs including paths (/path/to/file.html), query strings (?key=value&key2=value2), 
+  // fragments (#section), ports (:80), and all valid URL characters
+  // Stops at whitespace or clearly non-URL characters (<>"{}|\^`)
+  {
+    name: IOC_TYPES.URL,
+    pattern: /\b(?:https?|ftp):\/\/[^\s<>"{}|\\^`]+/g,
+    priority: 110,
+    enrich: describeHostIOC,
+    color: '#3498db',
+    suppresses: [IOC_TYPES.DOMAIN],
+  },
+  
+  // Bare hostnames, plain or de-fanged: evil-cdn[.]com, update.badsite.net, c2(.)example[dot]org,
+  // evil dot com, and internationalized ones in any script: аррӏе.com, пример.рф, xn--80ak6aa92e.com
+  // Not preceded by "@", "/", "\" or "." so hosts inside emails, URLs and paths are left to those types
+  // Candidates are validated against the bundled public suffix list
+  {
+    name: IOC_TYPES.DOMAIN,
+    pattern: new RegExp(`(?<![\\w${HOST_CHAR}@./\\\\-])(?:[${HOST_CHAR}](?:[${HOST_CHAR}-]{0,61}[${HOST_CHAR}])?${DOT})+(?:[\\p{L}\\p{M}]{2,24}|xn--[a-z0-9-]{2,59})(?![${HOST_CHAR}_-])`, 'giu'),
+    priority: 120,
+    normalize: normalizeDefangedDomain,
+    validate: (value, { match, detected }) =>
+      isValidDomain(value, detectDefangStyles(match)) && !isCoveredHost(value, detected),
+    enrich: describeHostIOC,
+    color: '#2980b9',
+  },
+  
+  // Filename with common suspicious extensions (more focused pattern)
+  // Hosts already covered by a URL or email are not ".com" files, and the ASCII tail of an
+  // internationalized host (the "l.com" of "раураl.com") is not a file either. Neither is the
+  // end of a spaced name in a quoted path (the "b.exe" of "C:\Temp\a b.exe")
+  {
+    name: IOC_TYPES.FILENAME,
+    pattern: /(?<!(?=[\u0080-\u{10ffff}])[\p{L}\p{M}\p{N}][\w.-]*)\b[\w\-_][\w\-_.]*\.(?:exe|dll|bat|cmd|com|pif|scr|vbs|js|jar|msi|sys|drv|bin|sh|ps1|app|deb|rpm|dmg|pkg|apk|ipa|zip|rar|7z|tar|gz|pdf|doc|docx|xls|xlsx|ppt|pptx|txt|log|csv|xml|json|html|htm|php|asp|aspx|jsp|py|rb|pl|bash|psm1|psd1|vbe|wsf|wsh|jse|war|ear|class|iso|img|dat|db|sqlite|mdb|accdb|bak|tmp|temp|old|backup|lock|pid|conf|config|ini|cfg|yaml|yml|env|properties|key|pem|crt|cert|p12|pfx|keystore|truststore|jks)\b/giu,
+    priority: 130,
+    validate: (value, { start, end, text, detected }) =>
+      !isCoveredHost(value, detected) && !isPartOfQuotedPathName(start, end, text),
+    enrich: linkFilenameToPaths,
+    color: '#e74c3c',
+  },
+  
+  // Named pipes: \\.\pipe\msagent_12, \\host\pipe\name (checked before UNC paths)
+  {
+    name: IOC_TYPES.NAMED_PIPE,
+    pattern: new RegExp(`\\\\\\\\[\\w.$-]+\\\\pipe\\\\${WIN_FINAL}`, 'gi'),
+    priority: 131,
+    color: '#7f8c8d',
+    suppresses: [IOC_TYPES.WINDOWS_PATH],
+  },
+  
+  // Registry keys under a full or abbreviated hive, also in PowerShell drive form (HKLM:\...)
+  // Hives are normalized to the short form: HKEY_LOCAL_MACHINE\Software -> HKLM\Software
+  {
+    name: IOC_TYPES.REGISTRY_KEY,
+    pattern: new RegExp(`(?<=")${REGISTRY_HIVE}\\\\${WIN_QUOTED}(?=")|${REGISTRY_HIVE}\\\\${WIN_DIRS}${WIN_FINAL}`, 'gi'),
+    priority: 132,
+    normalize: normalizeRegistryKey,
+    color: '#8d6e63',
+  },
+  
+  // Windows paths from a drive letter (C:\Users\Public\svchost.exe), an environment variable
+  // (%APPDATA%\Roaming\x.dll) or a UNC share (\\server\share\file)
+  {
+    name: IOC_TYPES.WINDOWS_PATH,
+    pattern: new RegExp(`(?<=")${WIN_PATH_ROOT}\\\\${WIN_QUOTED}(?=")|${WIN_PATH_ROOT}\\\\${WIN_DIRS}${WIN_FINAL}`, 'gi'),
+    priority: 133,
+    enrich: (ioc) => ({ filename: getPathFilename(ioc.value) }),
+    color: '#b7950b',
+  },
+  
+  // Unix paths under well-known top-level directories or the home directory:
+  // /tmp/.X11-unix/kworker, ~/.ssh/authorized_keys. Not preceded by a word character, "/" or
+  // ":" so URL paths and fractions are skipped
+  {
+    name: IOC_TYPES.UNIX_PATH,
+    pattern: /(?<![\w.:/\\-])(?:~|\/(?:tmp|var|etc|usr|bin|sbin|opt|home|root|dev|proc|sys|lib|lib64|boot|mnt|media|srv|run|Library|Applications|System|Users|Volumes|private))(?:\/[\w.+@~-]*[\w+@~-])+/g,
+    priority: 134,
+    enrich: (ioc) => ({ filename: getPathFilename(ioc.value) }),
+    color: '#9a7d0a',
+  },
+  
+  // Mutexes: names in the Global\ or Local\ kernel namespace, or labelled as a mutex
+  // ("mutex: Zxcvb123")
+  {
+    name: IOC_TYPES.MUTEX,
+    pattern: /(?<![\w\\/])(?:Global|Local)\\[\w.{}$#@-]{2,}[\w{}$#@-]|(?<=\bmutex(?:es)?(?:\s+name)?\s*[:=]\s*["'`]?)[\w.{}$#@-]{2,}[\w{}$#@-]/gi,
+    priority: 135,
+    color: '#616a6b',
+  },
+  
+  // Ports are only reported as children of the URLs they appear in, never matched on their own
+  {
+    name: IOC_TYPES.PORT,
+    derivedOnly: true,
+    priority: 136,
+    validate: (value) => /^\d{1,5}$/.test(value) && Number(value) >= 1 && Number(value) <= 65535,
+    color: '#7f8c8d',
+  },
+  
+  // TTPs and vulnerabilities, listed apart from network and file indicators
+  // CVE IDs: CVE-2024-3400 (the sequence number has at least 4 digits)
+  {
+    name: IOC_TYPES.CVE,
+    pattern: /\bCVE-(?:199\d|20\d{2})-\d{4,7}\b/gi,
+    priority: 140,
+    normalize: (value) => value.toUpperCase(),
+    color: '#c0392b',
+    category: IOC_CATEGORIES.TTP,
+  },
+  
+  // CWE IDs: CWE-79
+  {
+    name: IOC_TYPES.CWE,
+    pattern: /\bCWE-\d{1,4}\b/gi,
+    priority: 150,
+    normalize: (value) => value.toUpperCase(),
+    color: '#a04000',
+    category: IOC_CATEGORIES.TTP,
+  },
+  
+  // MITRE ATT&CK tactics: TA0001-TA0043
+  {
+    name: IOC_TYPES.ATTACK_TACTIC,
+    pattern: /\bTA00\d{2}\b/g,
+    priority: 160,
+    color: '#8e44ad',
+    category: IOC_CATEGORIES.TTP,
+  },
+  
+  // MITRE ATT&CK sub-techniques (must be checked before techniques): T1059.001
+  {
+    name: IOC_TYPES.ATTACK_SUBTECHNIQUE,
+    pattern: /\bT1\d{3}\.\d{3}\b/g,
+    priority: 170,
+    color: '#a29bfe',
+    category: IOC_CATEGORIES.TTP,
+    suppresses: [IOC_TYPES.ATTACK_TECHNIQUE],
+  },
+  
+  // MITRE ATT&CK techniques: T1059. Software and group IDs below share their shape with part
+  // and model numbers; without ATT&CK context they are suppressed (see falsePositives.js)
+  {
+    name: IOC_TYPES.ATTACK_TECHNIQUE,
+    pattern: /\bT1\d{3}\b/g,
+    priority: 180,
+    color: '#6c5ce7',
+    category: IOC_CATEGORIES.TTP,
+  },
+  
+  // MITRE ATT&CK software (malware and tools): S0154
+  {
+    name: IOC_TYPES.ATTACK_SOFTWARE,
+    pattern: /\bS[01]\d{3}\b/g,
+    priority: 190,
+    color: '#00838f',
+    category: IOC_CATEGORIES.TTP,
+  },
+  
+  // MITRE ATT&CK groups: G0016
+  {
+    name: IOC_TYPES.ATTACK_GROUP,
+    pattern: /\bG[01]\d{3}\b/g,
+    priority: 200,
+    color: '#5d4037',
+    category: IOC_CATEGORIES.TTP,
+  },
+];
+
+BUILTIN_TYPES.forEach(registerIOCType);
+
+/**
+ * Checks the number of groups of an IPv6 address written with "::", which must stand for
+ * at least one group; a trailing IPv4 address counts as two. Short forms made only of
+ * letters ("Dead::Beef") are words around a double colon rather than addresses. Other
+ * values (full IPv6, IPv4) pass
+ * @param {string} address - Candidate address, without a prefix length
+ * @returns {boolean}
+ */
+function isValidIPv6Groups(address) {
+  if (!address.includes('::')) return true;
+  const sides = address.split('::');
+  const groups = sides.flatMap(side => (side ? side.split(':') : []))
+    .flatMap(group => (group.includes('.') ? [group, group] : [group]));
+  if (groups.length < 3 && !/\d/.test(address)) return false;
+  return sides.length === 2 && groups.length > 0 && groups.length <= 7;
+}
+
+/**
+ * Normalizes de-fanged domains back to their original, lower-case form
+ * @param {string} defangedDomain - The de-fanged domain
+ * @returns {string} Normalized domain
+ */
+function normalizeDefangedDomain(defangedDomain) {
+  return refang(defangedDomain).normalize('NFC').toLowerCase();
+}
+
+/**
+ * Lower-cases bech32 addresses, which may be written in upper case (e.g. in QR codes);
+ * base58 addresses are case-sensitive and kept as written
+ * @param {string} address - Wallet address
+ * @returns {string}
+ */
+function normalizeBech32Case(address) {
+  return /^(?:bc|ltc)1/i.test(address) ? address.toLowerCase() : address;
+}
+
+/**
+ * Checks that a normalized hostname ends in a known public suffix and is not a file name
+ * @param {string} hostname - Normalized, lower-case hostname
+ * @param {Array<string>} defangStyles - Defang styles the hostname was written with
+ * @returns {boolean}
+ */
+function isValidDomain(hostname, defangStyles) {
+  if (!hasKnownTLD(hostname)) return false;
+  const asciiHostname = toASCII(hostname);
+  const suffix = getPublicSuffix(asciiHostname);
+  if (!suffix || suffix === asciiHostname) return false;
+  
+  // "setup.py" or "invoice.zip" are files unless the author went to the trouble of de-fanging them
+  const labels = asciiHostname.split('.');
+  if (defangStyles.length === 0 && labels.length === 2 && AMBIGUOUS_SUFFIXES.has(suffix)) {
+    return false;
+  }
+  
+  // "Click the dot to continue" is prose, not the.to
+  if (defangStyles.includes(' dot ') && labels.some(label => SPACED_DOT_STOPWORDS.has(label))) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Checks that a hostname's TLD is ASCII (including Punycode) or a known internationalized TLD
+ * @param {string} hostname - Hostname as written
+ * @returns {boolean}
+ */
+function hasKnownTLD(hostname) {
+  const tld = hostname.split('.').pop().toLowerCase();
+  return !/[\u0080-\uffff]/.test(tld) || IDN_TLDS.has(tld.normalize('NFC'));
+}
+
+/**
+ * Adds the Unicode and Punycode forms of an internationalized host (`idn`) and flags hosts
+ * that mix scripts or imitate a protected brand (`lookalike`)
+ * @param {Object} ioc - Domain, URL or email IOC
+ * @returns {Object} Fields to merge into the IOC
+ */
+function describeHostIOC(ioc) {
+  const host = ioc.type === IOC_TYPES.DOMAIN ? ioc.value : getHostFromIOC(ioc);
+  if (!host) return {};
+  
+  const fields = {};
+  const unicode = toUnicode(host);
+  const ascii = toASCII(host);
+  if (unicode !== ascii) {
+    fields.idn = { unicode, ascii };
+  }
+  const lookalike = findLookalike(host);
+  if (lookalike) {
+    fields.lookalike = lookalike;
+  }
+  return fields;
+}
+
+/**
+ * Extracts the lower-case hostname from a detected URL or email IOC
+ * @param {Object} ioc - Detected IOC
+ * @returns {string|null}
+ */
+function getHostFromIOC(ioc) {
+  if (ioc.type === IOC_TYPES.URL || ioc.type === IOC_TYPES.DEFANGED_URL) {
+    const match = ioc.value.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^@/]*@)?([^/:?#]+)/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+  if (ioc.type === IOC_TYPES.EMAIL) {
+    return ioc.value.split('@').pop().toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Tags IP and CIDR IOCs with their address category (private, reserved, bogon or public)
+ * @param {Object} ioc - Detected IOC
+ * @returns {Object} Fields to merge into the IOC
+ */
+function classifyIPIOC(ioc) {
+  return { ipClass: classifyIP(ioc.value) };
+}
+
+/**
+ * Checks whether a match sits inside a quoted Windows path without starting a path segment,
+ * i.e. it is the tail of a name with spaces ("b.exe" in "C:\Temp\a b.exe")
+ * @param {number} start - Start offset of the match
+ * @param {number} end - End offset of the match
+ * @param {string} text - The scanned text
+ * @returns {boolean}
+ */
+function isPartOfQuotedPathName(start, end, text) {
+  if (start === 0 || text[start - 1] === '\\') return false;
+  return QUOTED_PATH_OPENING.test(text.slice(Math.max(0, start - MAX_WIN_PATH), start)) &&
+    /^[^"\r\n]*"/.test(text.slice(end, end + MAX_WIN_PATH));
+}
+
+/**
+ * Links a detected file name to the detected paths that end in it
+ * @param {Object} ioc - Filename IOC
+ * @param {Array} detected - All detected IOCs
+ * @returns {Object} Fields to merge into the IOC
+ */
+function linkFilenameToPaths(ioc, detected) {
+  const name = ioc.value.toLowerCase();
+  const paths = detected
+    .filter(other => other.type === IOC_TYPES.WINDOWS_PATH || other.type === IOC_TYPES.UNIX_PATH)
+    .filter(other => (getPathFilename(other.value) || '').toLowerCase() === name)
+    .map(other => other.value);
+  return paths.length > 0 ? { paths } : {};
+}
+
+// Hosts of the URLs and emails in each detection's results ({hosts, indexed}), indexed as
+// the results grow so candidates are looked up instead of compared with every IOC
+const coveredHosts = new WeakMap();
+
+/**
+ * Checks whether a value is the host of an already detected URL or email
+ * @param {string} value - Candidate domain or filename
+ * @param {Array} detected - IOCs detected so far
+ * @returns {boolean}
+ */
+function isCoveredHost(value, detected) {
+  let covered = coveredHosts.get(detected);
+  if (!covered) {
+    covered = { hosts: new Set(), indexed: 0 };
+    coveredHosts.set(detected, covered);
+  }
+  for (; covered.indexed < detected.length; covered.indexed++) {
+    const host = getHostFromIOC(detected[covered.indexed]);
+    if (host) covered.hosts.add(host);
+  }
+  return covered.hosts.has(value.toLowerCase());
+}
@@ -0,0 +1,126 @@
+/**
+ * Chunked detection
+ * Runs detectIOCs over very large texts (paste sites, raw logs, long reports) one chunk at a
+ * time so progress can be reported and the scan can stop at a size or time limit. Each chunk
+ * is detected in slices, and the time limit is checked after every slice, so one dense chunk
+ * cannot run far past it. Slices are read with an overlap on both sides: a match that
+ * crosses a slice boundary is found whole in the slice where it starts, and the tail of a
+ * match from the previous slice is not mistaken for a match of its own.
+ */
+
+import { detectIOCs } from './iocDetector';
+
+export const CHUNK_SIZE = 100000; // Characters scanned between progress reports
+const SLICE_SIZE = 25000; // Characters detected per step
+const SLICE_OVERLAP = 4096; // Long enough for any realistic URL or encoded blob
+
+export const DEFAULT_SCAN_LIMITS = {
+  maxChars: 5000000, // Characters scanned before stopping with partial results
+  timeLimitSeconds: 20, // Seconds spent scanning before stopping with partial results
+};
+
+/**
+ * Adds the IOCs of one slice to the running results, keeping only occurrences that start
+ * inside the slice proper (not in its overlap with the neighbouring slices). Suppression
+ * rules judge the occurrences of one slice, so a value is only kept suppressed when no slice
+ * reported it unsuppressed
+ * @param {Map} merged - type|value -> merged IOC
+ * @param {Array} sliceIOCs - IOCs detected in the slice window
+ * @param {{start: number, end: number, offset: number}} range - Slice bounds in the full
+ *   text and the offset of the detected window
+ */
+function mergeSlice(merged, sliceIOCs, range) {
+  const ids = new Map(); // Slice IOC id -> id of the merged IOC
+  const children = [];
+  sliceIOCs.forEach(ioc => {
+    const occurrences = ioc.occurrences
+      .map(({ start, end }) => ({ start: start + range.offset, end: end + range.offset }))
+      .filter(({ start }) => start >= range.start && start < range.end);
+    if (occurrences.length === 0) return;
+
+    const key = `${ioc.type}|${ioc.value}`;
+    let target = merged.get(key);
+    if (target) {
+      target.occurrences.push(...occurrences);
+      target.count = target.occurrences.length;
+      // A value stays suppressed only if every slice suppressed it (e.g. "version 1.2.3.4" in
+      // one slice, the bare address in another); the record that was not suppressed wins
+      if (target.suppressed && !ioc.suppressed) {
+        delete target.suppressed;
+        delete target.suppressionRule;
+        delete target.suppressionReason;
+        target.context = ioc.context;
+      }
+    } else {
+      target = { ...ioc, occurrences, count: occurrences.length, parentIds: ioc.parentIds && [] };
+      merged.set(key, target);
+    }
+    ids.set(ioc.id, target.id);
+
+    // As in a single pass, a value is only a child if it never appears on its own
+    if (!ioc.parentIds) {
+      delete target.parentIds;
+    } else if (target.parentIds) {
+      children.push({ target, parentIds: ioc.parentIds });
+    }
+  });
+
+  // Point children at the merged parents
+  children.forEach(({ target, parentIds }) => {
+    const mapped = parentIds.map(id => ids.get(id)).filter(Boolean);
+    target.parentIds = Array.from(new Set([...target.parentIds, ...mapped]));
+  });
+}
+
+/**
+ * Detects IOCs in a text of any size, chunk by chunk
+ * @param {string} text - The text to scan
+ * @param {Object} options - detectIOCs options
+ * @param {Object} settings - Optional scan settings
+ * @param {{maxChars: number, timeLimitSeconds: number}} settings.limits - Size and time limits
+ * @param {Function} settings.onProgress - ({scannedChars, totalChars}) => void, after each chunk
+ * @param {boolean} settings.yieldBetweenChunks - Let the page handle events between slices
+ *   (for scans on the page's main thread)
+ * @returns {Promise<{iocs: Array, partial: Object|null}>} partial is null when the whole text
+ *   was scanned, otherwise {reason: 'size'|'time', scannedChars, totalChars}
+ */
+export async function detectIOCsInChunks(text, options = {}, settings = {}) {
+  const limits = { ...DEFAULT_SCAN_LIMITS, ...settings.limits };
+  const deadline = Date.now() + limits.timeLimitSeconds * 1000;
+  const scanLength = Math.min(text.length, limits.maxChars);
+  const merged = new Map();
+
+  let position = 0;
+  let reason = text.length > scanLength ? 'size' : null;
+  while (position < scanLength) {
+    const end = Math.min(position + SLICE_SIZE, scanLength);
+    const offset = Math.max(position - SLICE_OVERLAP, 0);
+    const sliceText = text.slice(offset, Math.min(end + SLICE_OVERLAP, scanLength));
+    mergeSlice(merged, detectIOCs(sliceText, options), { start: position, end, offset });
+    position = end;
+
+    const timedOut = position < scanLength && Date.now() > deadline;
+    const chunkDone = position % CHUNK_SIZE === 0 || position === scanLength;
+    if (settings.onProgress && (chunkDone || timedOut)) {
+      settings.onProgress({ scannedChars: position, totalChars: text.length });
+    }
+    if (timedOut) {
+      reason = 'time';
+      break;
+    }
+    if (settings.yieldBetweenChunks) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  const iocs = Array.from(merged.values());
+  iocs.forEach(ioc => {
+    ioc.occurrences.sort((a, b) => a.start - b.start);
+    // Children whose parents only occurred in an overlap are shown on their own
+    if (ioc.parentIds && ioc.parentIds.length === 0) delete ioc.parentIds;
+  });
+  return {
+    iocs,
+    partial: reason ? { reason, scannedChars: position, totalChars: text.length } : null,
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Color legend
+ * A small overlay in the bottom-right corner of the page naming the highlight colors in use:
+ * IOC types, and risk levels once analysis has scored IOCs. It can be collapsed to its title
+ * and stays collapsed while the page is open. Drawn in a closed shadow root (see
+ * isolatedHost.js).
+ */
+
+import { createIsolatedHost, attachHost } from './isolatedHost';
+
+const HOST_TAG = 'ioc-snatch-legend';
+
+const LEGEND_CSS = `
+  :host {
+    all: initial !important;
+    position: fixed !important;
+    right: 12px !important;
+    bottom: 12px !important;
+    z-index: 2147483646 !important;
+  }
+  .legend {
+    box-sizing: border-box;
+    max-width: 220px;
+    max-height: 50vh;
+    overflow-y: auto;
+    padding: 6px 10px;
+    background: rgba(45, 45, 45, 0.92);
+    color: #e0e0e0;
+    border: 1px solid #404040;
+    border-radius: 8px;
+    box-shadow: 0 4px 14px rgba(0, 0, 0, 0.4);
+    font: 12px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+  }
+  button {
+    all: unset;
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    width: 100%;
+    font-weight: 600;
+    cursor: pointer;
+  }
+  button::after { content: '\\2212'; margin-left: auto; color: #b0b0b0; }
+  .collapsed button::after { content: '+'; }
+  ul { list-style: none; margin: 6px 0 0; padding: 0; }
+  .collapsed ul { display: none; }
+  li { display: flex; align-items: center; gap: 6px; padding: 1px 0; }
+  .swatch { flex: none; width: 12px; height: 12px; border-radius: 3px; }
+`;
+
+let host = null;
+let legend = null;
+let list = null;
+let collapsed = false;
+
+/**
+ * Creates the host element and the legend's collapsible panel
+ */
+function createHost() {
+  const { host: legendHost, root } = createIsolatedHost(HOST_TAG, LEGEND_CSS);
+  host = legendHost;
+
+  legend = document.createElement('div');
+  legend.className = 'legend';
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.textContent = 'IOC highlights';
+  toggle.addEventListener('click', () => {
+    collapsed = !collapsed;
+    legend.classList.toggle('collapsed', collapsed);
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+  });
+  toggle.setAttribute('aria-expanded', 'true');
+  list = document.createElement('ul');
+  legend.append(toggle, list);
+  root.appendChild(legend);
+}
+
+/**
+ * Shows the legend with the given entries, or hides it when there are none
+ * @param {Array<{label: string, color: string}>} entries - Colors in use
+ */
+export function showColorLegend(entries) {
+  if (!entries || entries.length === 0) {
+    hideColorLegend();
+    return;
+  }
+  if (!host) createHost();
+  list.textContent = '';
+  entries.forEach(({ label, color }) => {
+    const item = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.backgroundColor = color;
+    item.append(swatch, label);
+    list.appendChild(item);
+  });
+  attachHost(host);
+}
+
+/**
+ * Removes the legend from the page
+ */
+export function hideColorLegend() {
+  if (host) host.remove();
+}
+
+/**
+ * Whether a node is the legend's host element (so page observers can ignore it)
+ * @param {Node} node - Node to check
+ * @returns {boolean}
+ */
+export function isColorLegendNode(node) {
+  return Boolean(host && node && host.contains(node));
+}
@@ -0,0 +1,96 @@
+/**
+ * User-defined IOC patterns
+ * Turns the named regex patterns configured in the Settings tab (ticket IDs, malware
+ * family tags, campaign codes, ...) into registry types detected alongside the built-ins.
+ * Definitions are stored in chrome.storage.sync under `customPatterns`:
+ *   { id, name, source, caseInsensitive, color, normalizer, enabled }
+ */
+
+import { registerIOCType, unregisterIOCType, getIOCType } from './iocRegistry';
+import { refang } from './refang';
+import { checkPatternSafety } from './regexGuard';
+
+// Custom types run after every built-in type
+const CUSTOM_PRIORITY = 1000;
+
+// Maximum time a single custom pattern may spend scanning a page
+export const CUSTOM_PATTERN_BUDGET_MS = 150;
+
+export const CUSTOM_PATTERN_NORMALIZERS = {
+  none: { label: 'None', normalize: (value) => value },
+  lowercase: { label: 'Lower case', normalize: (value) => value.toLowerCase() },
+  uppercase: { label: 'Upper case', normalize: (value) => value.toUpperCase() },
+  refang: { label: 'Refang (hxxp, [.], [at], ...)', normalize: refang },
+  compact: { label: 'Remove whitespace', normalize: (value) => value.replace(/\s+/g, '') },
+};
+
+// Names of the custom types currently in the registry
+let registeredNames = [];
+
+/**
+ * Builds the global RegExp for a custom pattern definition
+ * @param {Object} definition - Custom pattern definition
+ * @returns {RegExp}
+ */
+export function buildCustomPattern(definition) {
+  return new RegExp(definition.source, definition.caseInsensitive ? 'gi' : 'g');
+}
+
+/**
+ * Checks a custom pattern definition before it is saved
+ * @param {Object} definition - Custom pattern definition
+ * @param {Array} existingPatterns - Already saved definitions (for name clashes)
+ * @returns {string} Error message, or an empty string if the definition is usable
+ */
+export function validateCustomPattern(definition, existingPatterns = []) {
+  const name = (definition.name || '').trim();
+  if (!name) {
+    return 'Please enter a name for the pattern.';
+  }
+
+  const clashesWithCustom = existingPatterns.some(
+    (pattern) => pattern.id !== definition.id && pattern.name.toLowerCase() === name.toLowerCase()
+  );
+  const builtin = getIOCType(name);
+  if (clashesWithCustom || (builtin && !builtin.custom)) {
+    return `An IOC type named "${name}" already exists.`;
+  }
+
+  const safety = checkPatternSafety(definition.source, definition.caseInsensitive ? 'i' : '');
+  return safety.safe ? '' : safety.reason;
+}
+
+/**
+ * Replaces the custom types in the registry with the given definitions.
+ * Disabled or unsafe definitions are skipped.
+ * @param {Array} definitions - Custom pattern definitions from storage
+ */
+export function applyCustomPatterns(definitions) {
+  registeredNames.forEach(unregisterIOCType);
+  registeredNames = [];
+
+  (definitions || []).forEach((definition) => {
+    if (definition.enabled === false) return;
+    const existing = getIOCType(definition.name);
+    if (existing && !existing.custom) {
+      console.warn(`IOC Snatch.ai: Custom pattern "${definition.name}" clashes with a built-in type`);
+      return;
+    }
+    if (!checkPatternSafety(definition.source, definition.caseInsensitive ? 'i' : '').safe) {
+      console.warn(`IOC Snatch.ai: Skipping unsafe custom pattern "${definition.name}"`);
+      return;
+    }
+
+    const normalizer = CUSTOM_PATTERN_NORMALIZERS[definition.normalizer] || CUSTOM_PATTERN_NORMALIZERS.none;
+    registerIOCType({
+      name: definition.name,
+      pattern: buildCustomPattern(definition),
+      priority: CUSTOM_PRIORITY,
+      normalize: normalizer.normalize,
+      color: definition.color,
+      maxScanTime: CUSTOM_PATTERN_BUDGET_MS,
+      custom: true,
+    });
+    registeredNames.push(definition.name);
+  });
+}
@@ -0,0 +1,154 @@
+/**
+ * Indicator decoders
+ * Recover the real indicator behind link rewriters (Microsoft SafeLinks, Proofpoint URL
+ * Defense, Mimecast, Google redirects), percent-encoding, and inline base64 or hex blobs.
+ * The detector runs the decoded text through detection again and reports what it finds
+ * with a link back to the encoded original.
+ */
+
+// Proofpoint v3 run-length markers: "**A" repeats 2 characters, "**B" 3, ...
+const PROOFPOINT_RUN_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// Shortest blob worth decoding; shorter runs are mostly words and identifiers
+const MIN_BASE64_LENGTH = 16;
+const MIN_HEX_BYTES = 8;
+
+const BASE64_BLOB = /(?<![A-Za-z0-9+/=_-])(?:[A-Za-z0-9+/]{4}){4,}(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?(?![A-Za-z0-9+/=_-])/g;
+const HEX_BLOB = /(?<![0-9a-fA-F])(?:[0-9a-fA-F]{2}){8,}(?![0-9a-fA-F])|(?:\\x[0-9a-fA-F]{2}){8,}/g;
+
+/**
+ * Percent-decodes a string, returning it unchanged when the encoding is malformed
+ * @param {string} value
+ * @returns {string}
+ */
+export function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Decodes a Proofpoint URL Defense v3 link: the URL sits between "__" markers with some
+ * characters replaced by "*" and carried, base64url-encoded, after the closing "__;"
+ * @param {string} url - Proofpoint v3 link
+ * @returns {string|null}
+ */
+function decodeProofpointV3(url) {
+  const match = url.match(/\/v3\/__(.+?)__(?:;([A-Za-z0-9_-]*))?!/);
+  if (!match) return null;
+
+  const embedded = safeDecodeURIComponent(match[1]);
+  if (!match[2]) return embedded;
+
+  let replacements;
+  try {
+    replacements = atob(match[2].replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(match[2].length / 4) * 4, '='));
+  } catch (error) {
+    return null;
+  }
+
+  let position = 0;
+  return embedded.replace(/\*(\*.)?/g, (token) => {
+    const length = token.length === 1 ? 1 : PROOFPOINT_RUN_CHARS.indexOf(token[2]) + 2;
+    const run = replacements.slice(position, position + length);
+    position += length;
+    return run;
+  });
+}
+
+/**
+ * Unwraps a rewritten or redirect link to the URL (or, for Mimecast, the domain) it points to
+ * @param {string} url - Detected URL
+ * @returns {{value: string, via: string}|null} null when the URL is not a known wrapper
+ */
+export function unwrapURL(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase();
+  const param = (name) => parsed.searchParams.get(name);
+
+  if (host.endsWith('.safelinks.protection.outlook.com') && param('url')) {
+    return { value: param('url'), via: 'SafeLinks' };
+  }
+
+  if (host === 'urldefense.com' || host === 'urldefense.proofpoint.com') {
+    if (parsed.pathname.startsWith('/v3/')) {
+      const value = decodeProofpointV3(url);
+      return value ? { value, via: 'Proofpoint' } : null;
+    }
+    if (parsed.pathname === '/v2/url' && param('u')) {
+      // v2 swaps "%" for "-" and "/" for "_" before the parameter is URL-encoded
+      return { value: safeDecodeURIComponent(param('u').replace(/-/g, '%').replace(/_/g, '/')), via: 'Proofpoint' };
+    }
+    if (parsed.pathname === '/v1/url' && param('u')) {
+      return { value: param('u'), via: 'Proofpoint' };
+    }
+  }
+
+  // Mimecast keeps the target in its own database; only the domain is in the link
+  if (/(?:^|\.)mimecast(?:protect)?\.com$/.test(host) && param('domain')) {
+    return { value: param('domain'), via: 'Mimecast' };
+  }
+
+  if (/(?:^|\.)google\.[a-z.]{2,6}$/.test(host) && parsed.pathname === '/url' && (param('q') || param('url'))) {
+    return { value: param('q') || param('url'), via: 'Google redirect' };
+  }
+
+  // Percent-encoded host names hide the real destination: http://%65vil.com/
+  const rawHost = url.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^@/?#]*@)?([^/?#]*)/i);
+  if (rawHost && rawHost[1].includes('%')) {
+    const value = safeDecodeURIComponent(url);
+    return value !== url ? { value, via: 'percent-encoding' } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a decoded string is readable text rather than binary data
+ * @param {string} value - Decoded bytes as a binary string
+ * @returns {boolean}
+ */
+function isPrintable(value) {
+  return /^[\x20-\x7e\t\r\n]+$/.test(value);
+}
+
+/**
+ * Finds base64 and hex blobs in text that decode to readable text
+ * @param {string} text - The scanned text
+ * @returns {Array<{value: string, decoded: string, via: string, start: number, end: number}>}
+ */
+export function findEncodedBlobs(text) {
+  const blobs = [];
+
+  for (const match of text.matchAll(BASE64_BLOB)) {
+    // Pure hex and pure letter runs are hashes and words, not base64
+    if (match[0].length < MIN_BASE64_LENGTH || /^[0-9a-f]+$/i.test(match[0]) || /^[a-z]+$/i.test(match[0])) continue;
+    let decoded;
+    try {
+      decoded = atob(match[0]);
+    } catch (error) {
+      continue;
+    }
+    if (isPrintable(decoded)) {
+      blobs.push({ value: match[0], decoded, via: 'base64', start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  for (const match of text.matchAll(HEX_BLOB)) {
+    const digits = match[0].replace(/\\x/g, '');
+    if (digits.length / 2 < MIN_HEX_BYTES) continue;
+    const decoded = digits.replace(/../g, (pair) => String.fromCharCode(parseInt(pair, 16)));
+    if (isPrintable(decoded)) {
+      blobs.push({ value: match[0], decoded, via: 'hex', start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return blobs;
+}
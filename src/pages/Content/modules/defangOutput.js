@@ -0,0 +1,134 @@
+/**
+ * Defanged output
+ * Applies the user's per-type defang settings to IOCs as they leave the extension
+ * (clipboard, file export, saved list export). Detected and saved IOCs always keep their
+ * fanged value; defanging only happens at output time.
+ * Settings are stored in chrome.storage.sync under `defangOutput`:
+ *   { enabled, types: { [typeName]: [styleId, ...] } }
+ */
+
+import { IOC_TYPES } from './builtinTypes';
+import { defang, refang } from './refang';
+
+export const DEFAULT_DEFANG_OUTPUT = {
+  enabled: false,
+  types: {
+    [IOC_TYPES.URL]: ['hxxp', '[.]'],
+    [IOC_TYPES.DEFANGED_URL]: ['hxxp', '[.]'],
+    [IOC_TYPES.DOMAIN]: ['[.]'],
+    [IOC_TYPES.IPV4]: ['[.]'],
+    [IOC_TYPES.DEFANGED_IP]: ['[.]'],
+    [IOC_TYPES.CIDR]: ['[.]'],
+    [IOC_TYPES.EMAIL]: ['[@]', '[.]'],
+  },
+};
+
+/**
+ * Returns the defang styles configured for an IOC type
+ * @param {string} type - IOC type name
+ * @param {Object} settings - `defangOutput` settings
+ * @returns {Array<string>} Style ids; empty when defanging is off or not set for the type
+ */
+export function getDefangStyles(type, settings = DEFAULT_DEFANG_OUTPUT) {
+  if (!settings || !settings.enabled) return [];
+  return (settings.types && settings.types[type]) || [];
+}
+
+/**
+ * Formats an IOC value for output according to the defang settings
+ * @param {Object} ioc - IOC with type and (fanged) value
+ * @param {Object} settings - `defangOutput` settings
+ * @returns {string}
+ */
+export function formatOutputValue(ioc, settings) {
+  const styles = getDefangStyles(ioc.type, settings);
+  return styles.length > 0 ? defang(ioc.value, styles) : ioc.value;
+}
+
+/**
+ * Defangs an IOC value even when output defanging is switched off (the hover card's "Copy
+ * defanged"): with the styles configured for the type, or the default styles when none are.
+ * Types with neither (file names, hashes, paths) are returned as they are
+ * @param {Object} ioc - IOC with type and (fanged) value
+ * @param {Object} settings - `defangOutput` settings
+ * @returns {string}
+ */
+export function formatDefangedValue(ioc, settings = DEFAULT_DEFANG_OUTPUT) {
+  const configured = settings && settings.types && settings.types[ioc.type];
+  const styles = configured && configured.length > 0
+    ? configured
+    : DEFAULT_DEFANG_OUTPUT.types[ioc.type] || [];
+  return defang(ioc.value, styles);
+}
+
+/**
+ * Rewrites the occurrences of IOCs inside a block of text, leaving the text around them as
+ * it is
+ * @param {string} text - Text the IOCs were detected in
+ * @param {Array} iocs - IOCs detected in the text, with occurrences (character offsets)
+ * @param {Function} format - (ioc, written) => replacement for one occurrence
+ * @returns {string}
+ */
+function replaceOccurrences(text, iocs, format) {
+  // Child IOCs (the host of a URL) and derived IOCs (the URL inside a SafeLinks wrapper) sit
+  // inside other occurrences; the earliest, longest occurrence wins
+  const replacements = iocs
+    .filter(ioc => !ioc.suppressed && !ioc.parentIds && !ioc.derivedFrom)
+    .flatMap(ioc => (ioc.occurrences || []).map(({ start, end }) => ({ start, end, ioc })))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+  let result = '';
+  let lastIndex = 0;
+  replacements.forEach(({ start, end, ioc }) => {
+    if (start < lastIndex) return;
+    result += text.slice(lastIndex, start) + format(ioc, text.slice(start, end));
+    lastIndex = end;
+  });
+  return result + text.slice(lastIndex);
+}
+
+/**
+ * Formats the IOCs written inside a text that carries no offsets (an IOC's context snippet)
+ * according to the defang settings. Each value is looked up in the text, ignoring case
+ * @param {string} text - Text that may contain the IOCs
+ * @param {Array} iocs - IOCs with type and (fanged) value
+ * @param {Object} settings - `defangOutput` settings
+ * @returns {string}
+ */
+export function formatOutputText(text, iocs, settings) {
+  const lowerText = text.toLowerCase();
+  const haystack = lowerText.length === text.length ? lowerText : text;
+  const located = new Map();
+  iocs.forEach(({ type, value }) => {
+    if (!value || located.has(value)) return;
+    const needle = haystack === text ? value : value.toLowerCase();
+    const occurrences = [];
+    for (let start = haystack.indexOf(needle); start !== -1; start = haystack.indexOf(needle, start + needle.length)) {
+      occurrences.push({ start, end: start + needle.length });
+    }
+    if (occurrences.length > 0) located.set(value, { type, value, occurrences });
+  });
+  return replaceOccurrences(text, Array.from(located.values()), ioc => formatOutputValue(ioc, settings));
+}
+
+/**
+ * Defangs the IOCs inside a block of text (the context menu's "Copy selection defanged"),
+ * leaving the text around them as it is
+ * @param {string} text - Text the IOCs were detected in
+ * @param {Array} iocs - IOCs detected in the text, with occurrences (character offsets)
+ * @param {Object} settings - `defangOutput` settings
+ * @returns {string}
+ */
+export function formatDefangedText(text, iocs, settings = DEFAULT_DEFANG_OUTPUT) {
+  return replaceOccurrences(text, iocs, ioc => formatDefangedValue(ioc, settings));
+}
+
+/**
+ * Refangs the IOCs inside a block of text (the context menu's "Refang and copy"), leaving
+ * the text around them as it is: brackets and "dot" in the prose are not IOCs
+ * @param {string} text - Text the IOCs were detected in
+ * @param {Array} iocs - IOCs detected in the text, with occurrences (character offsets)
+ * @returns {string}
+ */
+export function formatRefangedText(text, iocs) {
+  return replaceOccurrences(text, iocs, (ioc, written) => refang(written));
+}
@@ -0,0 +1,185 @@
+/**
+ * Message digests
+ * Small synchronous SHA-256 and Keccak-256 implementations for checksum validation during
+ * detection (Web Crypto's digest() is asynchronous and has no Keccak).
+ */
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const SHA256_INITIAL = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+];
+
+/**
+ * Computes the SHA-256 digest of a byte array
+ * @param {Uint8Array|Array<number>} bytes - Message
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function sha256(bytes) {
+  // Pad to a multiple of 64 bytes: 0x80, zeros, then the bit length as a 64-bit big-endian integer
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const message = new Uint8Array(paddedLength);
+  message.set(bytes);
+  message[bytes.length] = 0x80;
+  const view = new DataView(message.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
+
+  const hash = SHA256_INITIAL.slice();
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + s1 + ch + SHA256_K[i] + w[i]) >>> 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + maj) >>> 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] = (hash[i] + value) >>> 0;
+    });
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((value, i) => digestView.setUint32(i * 4, value));
+  return digest;
+}
+
+const KECCAK_ROUND_CONSTANTS = [
+  '0000000000000001', '0000000000008082', '800000000000808a', '8000000080008000',
+  '000000000000808b', '0000000080000001', '8000000080008081', '8000000000008009',
+  '000000000000008a', '0000000000000088', '0000000080008009', '000000008000000a',
+  '000000008000808b', '800000000000008b', '8000000000008089', '8000000000008003',
+  '8000000000008002', '8000000000000080', '000000000000800a', '800000008000000a',
+  '8000000080008081', '8000000000008080', '0000000080000001', '8000000080008008',
+].map((hex) => BigInt(`0x${hex}`));
+
+// Rotation offsets, indexed by x + 5y
+const KECCAK_ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14,
+];
+
+const MASK_64 = (BigInt(1) << BigInt(64)) - BigInt(1);
+const KECCAK_256_RATE = 136;
+
+/**
+ * Rotates a 64-bit lane left
+ */
+function rotateLane(lane, bits) {
+  if (bits === 0) return lane;
+  return ((lane << BigInt(bits)) | (lane >> BigInt(64 - bits))) & MASK_64;
+}
+
+/**
+ * Applies the Keccak-f[1600] permutation to a 25-lane state in place
+ * @param {Array<BigInt>} state - Lanes indexed by x + 5y
+ */
+function keccakF(state) {
+  for (let round = 0; round < 24; round++) {
+    // Theta
+    const columns = [0, 1, 2, 3, 4].map((x) =>
+      state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]
+    );
+    for (let x = 0; x < 5; x++) {
+      const d = columns[(x + 4) % 5] ^ rotateLane(columns[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) {
+        state[x + y] ^= d;
+      }
+    }
+
+    // Rho and pi
+    const moved = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotateLane(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+      }
+    }
+
+    // Chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = moved[x + y] ^ (~moved[((x + 1) % 5) + y] & MASK_64 & moved[((x + 2) % 5) + y]);
+      }
+    }
+
+    // Iota
+    state[0] ^= KECCAK_ROUND_CONSTANTS[round];
+  }
+}
+
+/**
+ * Computes the Keccak-256 digest (the original Keccak padding used by Ethereum and Monero,
+ * not NIST SHA3-256)
+ * @param {Uint8Array|Array<number>} bytes - Message
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function keccak256(bytes) {
+  const paddedLength = (Math.floor(bytes.length / KECCAK_256_RATE) + 1) * KECCAK_256_RATE;
+  const message = new Uint8Array(paddedLength);
+  message.set(bytes);
+  message[bytes.length] ^= 0x01;
+  message[paddedLength - 1] ^= 0x80;
+
+  const state = new Array(25).fill(BigInt(0));
+  for (let offset = 0; offset < paddedLength; offset += KECCAK_256_RATE) {
+    for (let lane = 0; lane < KECCAK_256_RATE / 8; lane++) {
+      let value = BigInt(0);
+      for (let i = 7; i >= 0; i--) {
+        value = (value << BigInt(8)) | BigInt(message[offset + lane * 8 + i]);
+      }
+      state[lane] ^= value;
+    }
+    keccakF(state);
+  }
+
+  const digest = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) {
+    digest[i] = Number((state[Math.floor(i / 8)] >> BigInt((i % 8) * 8)) & BigInt(0xff));
+  }
+  return digest;
+}
+
+/**
+ * Formats bytes as lower-case hex
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,175 @@
+/**
+ * False-positive suppression
+ * Context-aware rules that flag detected IOCs which are almost certainly noise:
+ * software versions and OIDs read as IPv4 addresses, low-entropy or labelled hex read
+ * as hashes, well-known benign file names, and part or model numbers read as ATT&CK IDs
+ * where nothing around them mentions ATT&CK. Suppressed IOCs are kept (with a reason)
+ * so the popup can show them and the user can restore them.
+ */
+
+import { IOC_TYPES } from './builtinTypes';
+
+const IP_TYPES = [IOC_TYPES.IPV4, IOC_TYPES.DEFANGED_IP];
+// Technique, software and group IDs share their shape with part and model numbers ("the
+// T1000", "S1200"); tactic and sub-technique IDs are distinctive enough on their own
+const ATTACK_ID_TYPES = [IOC_TYPES.ATTACK_TECHNIQUE, IOC_TYPES.ATTACK_SOFTWARE, IOC_TYPES.ATTACK_GROUP];
+const HASH_TYPES = [
+  IOC_TYPES.MD5, IOC_TYPES.SHA1, IOC_TYPES.SHA256, IOC_TYPES.SHA512,
+  IOC_TYPES.IMPHASH, IOC_TYPES.JA3, IOC_TYPES.JA3S, IOC_TYPES.JARM,
+];
+
+// How far before a match to look for a label such as "version" or "GUID"
+const LOOKBEHIND_CHARS = 30;
+
+// How far around an ATT&CK ID to look for a mention of ATT&CK or a sub-technique / tactic ID
+const ATTACK_CONTEXT_CHARS = 200;
+const ATTACK_CONTEXT = /\b(?:mitre|att&ck|(?:sub-?)?techniques?|tactics?|ttps?)\b|\bT1\d{3}\.\d{3}\b|\bTA00\d{2}\b/i;
+
+const BENIGN_FILENAMES = new Set([
+  'readme.txt', 'readme.md', 'readme.html', 'license.txt', 'license.md', 'changelog.md',
+  'changelog.txt', 'contributing.md', 'index.html', 'index.htm', 'index.php', 'index.js',
+  'default.aspx', 'default.htm', 'robots.txt', 'sitemap.xml', 'humans.txt', 'security.txt',
+  'package.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'tsconfig.json',
+  'composer.json', 'composer.lock', 'requirements.txt', 'setup.py', 'pyproject.toml',
+  'gemfile.lock', 'cargo.lock', 'go.sum', 'manifest.json', 'webpack.config.js',
+  'babel.config.js', '.eslintrc.json', 'docker-compose.yml', 'docker-compose.yaml',
+  'app.js', 'main.js', 'bundle.js', 'vendor.js', 'jquery.js', 'jquery.min.js',
+  'bootstrap.min.js', 'web.config', 'favicon.ico', 'browserconfig.xml',
+]);
+
+// Applied to values the user marked as false positives from the page
+const USER_RULE = { id: 'user-marked', reason: 'Marked as a false positive by you' };
+
+/**
+ * Suppression rules. `scope: 'occurrence'` rules look at the text around a match (`reach`
+ * characters on each side, LOOKBEHIND_CHARS by default) and only suppress an IOC when every
+ * occurrence is flagged; `scope: 'value'` rules judge the value.
+ */
+const RULES = [
+  {
+    id: 'version-label',
+    types: IP_TYPES,
+    scope: 'occurrence',
+    reason: 'Preceded by a version label ("version", "v", "build", ...)',
+    test: ({ before }) =>
+      /(?:\b(?:version|ver|v|build|release|rev|revision|firmware|fw|update|patch|sp)\.?\s*[:#]?\s*)$/i.test(before),
+  },
+  {
+    id: 'dotted-number',
+    types: IP_TYPES,
+    scope: 'occurrence',
+    reason: 'Part of a longer dotted number (OID or version string)',
+    test: ({ before, after }) => /\d\.$/.test(before) || /^\.\d/.test(after),
+  },
+  {
+    id: 'identifier-label',
+    types: HASH_TYPES,
+    scope: 'occurrence',
+    reason: 'Labelled as an identifier (GUID, UUID, session or request ID), not a hash',
+    test: ({ before }) =>
+      /\b(?:guid|uuid|clsid|iid|appid|session(?:\s*id)?|token|request[\s_-]*id|trace[\s_-]*id|correlation[\s_-]*id|object[\s_-]*id|etag)\b[\s:=#"'{]*$/i.test(before),
+  },
+  {
+    id: 'css-color',
+    types: HASH_TYPES,
+    scope: 'occurrence',
+    reason: 'CSS color or style value',
+    test: ({ before }) => /#$/.test(before) || /\b(?:color|background|fill|stroke)\s*[:=]\s*$/i.test(before),
+  },
+  {
+    id: 'repeated-hex',
+    types: HASH_TYPES,
+    scope: 'value',
+    reason: 'Repeated hex pattern, not a real digest',
+    test: ({ value }) => /^(.{1,16})\1+$/i.test(value),
+  },
+  {
+    id: 'low-entropy',
+    types: HASH_TYPES,
+    scope: 'value',
+    reason: 'Too little variation to be a real digest (low entropy)',
+    test: ({ value }) => shannonEntropy(value.toLowerCase()) < 3,
+  },
+  {
+    id: 'decimal-only',
+    types: HASH_TYPES,
+    scope: 'value',
+    reason: 'Only decimal digits (likely a numeric ID)',
+    test: ({ value }) => /^\d+$/.test(value),
+  },
+  {
+    id: 'benign-filename',
+    types: [IOC_TYPES.FILENAME],
+    scope: 'value',
+    reason: 'Well-known benign file name',
+    test: ({ value }) => BENIGN_FILENAMES.has(value.toLowerCase()),
+  },
+  {
+    id: 'attack-unlabelled',
+    types: ATTACK_ID_TYPES,
+    scope: 'occurrence',
+    reach: ATTACK_CONTEXT_CHARS,
+    reason: 'No mention of MITRE ATT&CK nearby (likely a part or model number)',
+    test: ({ before, after }) => !ATTACK_CONTEXT.test(before) && !ATTACK_CONTEXT.test(after),
+  },
+];
+
+/**
+ * Shannon entropy in bits per character
+ * @param {string} value
+ * @returns {number}
+ */
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / value.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Marks likely false positives as suppressed, with the reason shown in the popup.
+ * Values the user marked as false positives are always suppressed; values the user
+ * restored never are.
+ * @param {Array} iocs - Detected IOCs (with occurrences), modified in place
+ * @param {string} text - The scanned text
+ * @param {Set<string>} restored - IOC values the user restored
+ * @param {Set<string>} markedFalsePositive - IOC values the user marked as false positives
+ * @returns {Array} The same IOCs
+ */
+export function applySuppressionRules(iocs, text, restored = new Set(), markedFalsePositive = new Set()) {
+  iocs.forEach((ioc) => {
+    if (markedFalsePositive.has(ioc.value)) {
+      ioc.suppressed = true;
+      ioc.suppressionRule = USER_RULE.id;
+      ioc.suppressionReason = USER_RULE.reason;
+      return;
+    }
+    if (restored.has(ioc.value)) return;
+
+    const rule = RULES.find((candidate) => {
+      if (!candidate.types.includes(ioc.type)) return false;
+      if (candidate.scope === 'value') {
+        return candidate.test({ value: ioc.value });
+      }
+      const reach = candidate.reach || LOOKBEHIND_CHARS;
+      return ioc.occurrences.length > 0 && ioc.occurrences.every(({ start, end }) =>
+        candidate.test({
+          value: ioc.value,
+          before: text.slice(Math.max(0, start - reach), start),
+          after: text.slice(end, end + reach),
+        })
+      );
+    });
+
+    if (rule) {
+      ioc.suppressed = true;
+      ioc.suppressionRule = rule.id;
+      ioc.suppressionReason = rule.reason;
+    }
+  });
+  return iocs;
+}
@@ -0,0 +1,72 @@
+/**
+ * Hash and fingerprint formats
+ * Helpers for the fuzzy hash (ssdeep, TLSH) and TLS/HTTP fingerprint (JA3, JA4+, JARM) IOC
+ * types, and for reading the label written next to a hash ("imphash:", "JA3 hash =") when
+ * its length alone cannot tell the type apart from an MD5.
+ */
+
+// Label words, as regex sources, that identify a hash type written right after them
+export const HASH_LABELS = {
+  IMPHASH: 'imp(?:ort)?[\\s_-]?hash',
+  JA3: 'ja3(?:[\\s_-]?(?:fingerprint|hash|md5))?(?!s)',
+  JA3S: 'ja3s',
+  TLSH: 'tlsh',
+  JARM: 'jarm',
+};
+
+// How far back from a hash to look for its label
+const LABEL_LOOKBEHIND = 40;
+
+// Separators and filler allowed between a label and its value: "JA3 hash: ", "imphash = "
+const LABEL_FILLER = '(?:[\\s:=|"\'`(),-]|hash|fingerprint|digest|value){0,6}';
+
+const labelPatterns = new Map();
+
+/**
+ * Whether a match is directly preceded by a given label
+ * @param {string} text - The scanned text
+ * @param {number} start - Start offset of the match
+ * @param {string} label - One of HASH_LABELS
+ * @returns {boolean}
+ */
+export function hasHashLabel(text, start, label) {
+  if (!labelPatterns.has(label)) {
+    labelPatterns.set(label, new RegExp(`\\b(?:${label})\\b${LABEL_FILLER}$`, 'i'));
+  }
+  return labelPatterns.get(label).test(text.slice(Math.max(0, start - LABEL_LOOKBEHIND), start));
+}
+
+/**
+ * Validates an ssdeep hash: "blocksize:hash:hash", where the block size is 3 * 2^n
+ * @param {string} value - Candidate ssdeep hash
+ * @returns {boolean}
+ */
+export function isValidSsdeep(value) {
+  const [blockSizeText, first] = value.split(':');
+  const blockSize = Number(blockSizeText);
+  if (!Number.isInteger(blockSize) || blockSize < 3 || blockSize % 3 !== 0) return false;
+
+  const power = blockSize / 3;
+  // The first part is long enough and mixed enough not to be a clock time ("12:30:45")
+  return (power & (power - 1)) === 0 && first.length >= 6 && /[a-z]/i.test(first);
+}
+
+// JA4+ fingerprint variants, most specific first
+export const JA4_VARIANTS = [
+  { name: 'JA4H', source: '[a-z]{2}\\d{2}[cn][nr]\\d{2}[0-9a-z]{4}_[0-9a-f]{12}_[0-9a-f]{12}_[0-9a-f]{12}' },
+  { name: 'JA4', source: '[tqd][0-9s][0-9a-z][di]\\d{4}[0-9a-z]{2}_[0-9a-f]{12}_[0-9a-f]{12}' },
+  { name: 'JA4S', source: '[tqd][0-9s][0-9a-z]\\d{2}[0-9a-z]{2}_[0-9a-f]{4}_[0-9a-f]{12}' },
+  { name: 'JA4X', source: '[0-9a-f]{12}_[0-9a-f]{12}_[0-9a-f]{12}' },
+  { name: 'JA4SSH', source: 'c\\d{1,4}s\\d{1,4}_c\\d{1,4}s\\d{1,4}_c\\d{1,4}s\\d{1,4}' },
+  { name: 'JA4T', source: '\\d{1,5}_\\d{1,3}(?:-\\d{1,3})+_\\d{1,5}_\\d{1,2}' },
+];
+
+/**
+ * Returns the JA4+ variant of a fingerprint
+ * @param {string} value - Fingerprint
+ * @returns {string|null} Variant name (JA4, JA4S, JA4H, JA4X, JA4SSH, JA4T)
+ */
+export function getJA4Variant(value) {
+  const variant = JA4_VARIANTS.find(({ source }) => new RegExp(`^${source}$`, 'i').test(value));
+  return variant ? variant.name : null;
+}
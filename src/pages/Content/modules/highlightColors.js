@@ -0,0 +1,119 @@
+/**
+ * Highlight colors
+ * Decides the color of each IOC's highlight on the page and in the popup: its type color
+ * (overridable per type in Settings), its risk color once analysis has scored it, or the
+ * single highlight color. Settings are stored in chrome.storage.sync under
+ * `highlightColoring` ('auto', 'type' or 'single') and `typeColors` ({ [typeName]: color }).
+ */
+
+import { getTypeColor } from './iocRegistry';
+
+export const HIGHLIGHT_COLORINGS = [
+  { id: 'auto', label: 'By type, by risk once analyzed' },
+  { id: 'type', label: 'By type' },
+  { id: 'single', label: 'Single color' },
+];
+
+export const DEFAULT_HIGHLIGHT_COLORING = 'auto';
+
+export const RISK_LEVELS = [
+  { label: 'High risk', min: 70, color: '#e74c3c' },
+  { label: 'Medium risk', min: 40, color: '#f39c12' },
+  { label: 'Low risk', min: 0, color: '#f7b731' },
+];
+
+const UNSCORED_COLOR = '#95a5a6';
+
+/**
+ * Returns the risk level a score falls in
+ * @param {number} riskScore - Score from 0 to 100
+ * @returns {{label: string, min: number, color: string}}
+ */
+export function getRiskLevel(riskScore) {
+  return RISK_LEVELS.find(level => riskScore >= level.min) || RISK_LEVELS[RISK_LEVELS.length - 1];
+}
+
+/**
+ * Returns the color for a risk score
+ * @param {number|null} riskScore - Score from 0 to 100, or null when not analyzed
+ * @returns {string}
+ */
+export function getRiskColor(riskScore) {
+  if (riskScore === null || riskScore === undefined || isNaN(riskScore)) return UNSCORED_COLOR;
+  return getRiskLevel(riskScore).color;
+}
+
+/**
+ * Returns the color of an IOC type, with the user's override if set
+ * @param {string} type - Type name
+ * @param {Object} typeColors - `typeColors` settings
+ * @returns {string}
+ */
+export function getTypeDisplayColor(type, typeColors = {}) {
+  return (typeColors && typeColors[type]) || getTypeColor(type);
+}
+
+/**
+ * Whether an IOC has a risk score
+ * @param {Object} analysis - Risk analysis of the IOC ({riskScore, ...}) or undefined
+ * @returns {boolean}
+ */
+function isScored(analysis) {
+  return Boolean(analysis) && analysis.riskScore !== null && analysis.riskScore !== undefined;
+}
+
+/**
+ * Returns the highlight color of an IOC
+ * @param {Object} ioc - IOC with type
+ * @param {Object} settings - Coloring settings
+ * @param {string} settings.coloring - 'auto', 'type' or 'single'
+ * @param {Object} settings.typeColors - Per-type color overrides
+ * @param {string} settings.highlightColor - Color used in 'single' mode
+ * @param {Object} settings.analysis - Risk analysis of the IOC, if any
+ * @returns {string}
+ */
+export function getHighlightColor(ioc, { coloring, typeColors, highlightColor, analysis }) {
+  if (coloring === 'single') return highlightColor;
+  if (coloring === 'auto' && isScored(analysis)) return getRiskColor(analysis.riskScore);
+  return getTypeDisplayColor(ioc.type, typeColors);
+}
+
+/**
+ * Lists the colors in use on a page, for the legend
+ * @param {Array} iocs - Highlighted IOCs
+ * @param {Object} settings - Coloring settings (see getHighlightColor)
+ * @param {Function} getAnalysis - (ioc) => risk analysis of the IOC, if any
+ * @returns {Array<{label: string, color: string}>} Risk levels first (highest first), then
+ *   types in order of first appearance; empty in 'single' mode
+ */
+export function getLegendEntries(iocs, settings, getAnalysis) {
+  if (settings.coloring === 'single') return [];
+  const riskLevels = new Set();
+  const types = new Map();
+  iocs.forEach(ioc => {
+    const analysis = getAnalysis(ioc);
+    if (settings.coloring === 'auto' && isScored(analysis)) {
+      riskLevels.add(getRiskLevel(analysis.riskScore));
+    } else if (!types.has(ioc.type)) {
+      types.set(ioc.type, getTypeDisplayColor(ioc.type, settings.typeColors));
+    }
+  });
+  return [
+    ...RISK_LEVELS.filter(level => riskLevels.has(level)).map(({ label, color }) => ({ label, color })),
+    ...Array.from(types, ([label, color]) => ({ label, color })),
+  ];
+}
+
+/**
+ * Returns black or white, whichever reads better on a background color
+ * @param {string} color - Background color as #rgb or #rrggbb
+ * @returns {string}
+ */
+export function getTextColor(color) {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+  if (!hex) return '#ffffff';
+  const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+  const [red, green, blue] = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+  // Perceived brightness (ITU-R BT.601)
+  return (red * 299 + green * 587 + blue * 114) / 1000 > 160 ? '#1a1a1a' : '#ffffff';
+}
@@ -1,40 +1,229 @@
 /**
  * Highlighter module for marking IOCs on the page
+ * Highlights are painted as ranges with the CSS Custom Highlight API where the browser
+ * supports it (see rangeHighlights.js), or as <span> elements wrapped around the matches.
  */
 
+import { getIOCType } from './iocDetector';
+import { createMatcher } from './multiMatcher';
+import { INVISIBLE_CHARS } from './textSources';
+import { getTextColor } from './highlightColors';
+import {
+  supportsRangeHighlights,
+  addRangeHighlights,
+  clearRangeHighlights,
+  getRangeHighlightIOCs,
+  getRangeHighlights,
+  findRangeAt,
+  setHoveredRange,
+} from './rangeHighlights';
+
 const HIGHLIGHT_CLASS = 'ioc-snatch-highlight';
 const HIGHLIGHT_DATA_ATTR = 'data-ioc-value';
 const HIGHLIGHT_TYPE_ATTR = 'data-ioc-type';
+const HIGHLIGHT_MATCH_ATTR = 'data-ioc-match';
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'textarea']);
+// Elements that do not break a run of text: a value can continue across them
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font', 'i', 'ins',
+  'kbd', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'tt', 'u', 'var', 'wbr',
+]);
+// Nodes walked between two text nodes before they are treated as separate runs
+const MAX_JOIN_STEPS = 32;
+
+// Nodes walked by the last highlightIOCs call, so highlights in frames and shadow roots
+// can be found again
+let highlightRoots = [];
+
+// IOCs of the last highlightIOCs call by type|value, to resolve a hovered span to its IOC
+let highlightedIOCs = new Map();
+let highlightHandlers = {};
+const listenedDocuments = new WeakSet();
+// Links the spans of a value split across text nodes
+let nextMatchId = 1;
 
 /**
  * Highlights IOCs on the page
  * @param {Array} iocs - Array of IOC objects with type and value
  * @param {string} highlightColor - CSS color for highlighting
+ * @param {Object} options - Optional rendering options
+ * @param {Function} options.getColor - (ioc) => CSS color, overrides highlightColor per IOC
+ *   (type and risk colors)
+ * @param {Function} options.isDimmed - (ioc) => boolean, de-emphasizes matching IOCs
+ * @param {Array<Node>} options.roots - Nodes to highlight in (defaults to document.body); add
+ *   same-origin frame bodies and shadow roots to highlight their text too
+ * @param {boolean} options.append - Keep existing highlights and only walk options.roots
+ *   (content added to the page since the last call)
+ * @param {string} options.mode - 'ranges' to paint without changing the DOM where the CSS
+ *   Custom Highlight API is supported, 'spans' (default) to wrap matches in <span> elements
  */
-export function highlightIOCs(iocs, highlightColor = '#ff6b6b') {
-  // Remove existing highlights first
-  removeHighlights();
+export function highlightIOCs(iocs, highlightColor = '#ff6b6b', options = {}) {
+  const roots = options.roots || [document.body];
+  if (!options.append) {
+    // Remove existing highlights first
+    removeHighlights();
+    highlightRoots = roots;
+    highlightedIOCs = new Map();
+  }
   
   if (!iocs || iocs.length === 0) return;
+  iocs.forEach(ioc => highlightedIOCs.set(`${ioc.type}|${ioc.value}`, ioc));
+  roots.forEach(root => listenForInteraction(root.ownerDocument || document));
+  
+  // For de-fanged URLs, we need to search for the original de-fanged text on the page.
+  // All search values go into one matcher that is run once over each run of text
+  const matcher = createMatcher(iocs.map(ioc => ioc.originalValue || ioc.value));
   
-  // Create a list of IOCs with their search values
-  // For de-fanged URLs, we need to search for the original de-fanged text on the page
-  const iocSearchList = iocs.map(ioc => ({
-    ioc: ioc,
-    searchValue: ioc.originalValue || ioc.value, // Use original value for searching if it exists
-  }));
+  // Read phase: find the matches in every run of text of the page, frames and shadow roots.
+  // A run joins the text nodes that read as one piece of text, so values split by inline
+  // elements (<code>45.9.148</code>.12, evil<span>[.]</span>com) are found as well
+  const highlights = [];
+  groupTextRuns(roots.flatMap(collectTextNodes)).forEach(run => {
+    const { text, segments } = joinRun(run);
+    if (text.trim().length === 0) return;
+    
+    const matches = matcher.findAll(text);
+    if (matches.length === 0) return;
+    
+    // Drop overlapping matches (e.g. a domain inside a URL), keeping the type the registry
+    // detects first, then sort the rest by start position
+    const reps = removeOverlaps(matches.map(match => ({ ...match, ioc: iocs[match.index] })));
+    reps.sort((a, b) => a.start - b.start);
+    highlights.push(...mapToFragments(reps, segments));
+  });
   
-  // Walk through all text nodes in the document
-  const walker = document.createTreeWalker(
-    document.body,
+  // Paint as ranges where supported, leaving the DOM as it is. A range may cover several
+  // text nodes, so a split value is painted as one highlight
+  const useRanges = ({ fragments }) => options.mode === 'ranges' && supportsRangeHighlights(fragments[0].node.ownerDocument || document);
+  addRangeHighlights(highlights.filter(useRanges), {
+    color: highlightColor,
+    getColor: options.getColor,
+    isDimmed: options.isDimmed,
+  });
+  
+  // Spans can only wrap text inside one node: a split value gets one span per fragment,
+  // linked by a shared match id and styled to join up
+  const nodeReplacements = new Map(); // Text -> Array<{start, end, ioc, part, matchId}>
+  highlights.filter(highlight => !useRanges(highlight)).forEach(({ ioc, fragments }) => {
+    const matchId = fragments.length > 1 ? String(nextMatchId++) : null;
+    fragments.forEach(({ node, start, end }, i) => {
+      if (!nodeReplacements.has(node)) nodeReplacements.set(node, []);
+      nodeReplacements.get(node).push({ start, end, ioc, matchId, part: matchId && getFragmentPart(i, fragments.length) });
+    });
+  });
+  
+  // Write phase: replace each text node once with a fragment of text and highlight spans,
+  // cloned from one template per color
+  const templates = new Map();
+  const getTemplate = (ioc) => {
+    const color = (options.getColor && options.getColor(ioc)) || highlightColor;
+    const isDimmed = Boolean(options.isDimmed && options.isDimmed(ioc));
+    const key = `${color}|${isDimmed}`;
+    if (!templates.has(key)) templates.set(key, createHighlightTemplate(color, isDimmed));
+    return templates.get(key);
+  };
+  nodeReplacements.forEach((reps, node) => {
+    const doc = node.ownerDocument || document;
+    const text = node.textContent;
+    const fragment = doc.createDocumentFragment();
+    let lastIndex = 0;
+    
+    reps.forEach(rep => {
+      // Add text before this replacement
+      if (rep.start > lastIndex) {
+        fragment.appendChild(doc.createTextNode(text.substring(lastIndex, rep.start)));
+      }
+      
+      // Add highlight span
+      const highlightSpan = doc.importNode(getTemplate(rep.ioc), false);
+      highlightSpan.setAttribute(HIGHLIGHT_DATA_ATTR, rep.ioc.value);
+      highlightSpan.setAttribute(HIGHLIGHT_TYPE_ATTR, rep.ioc.type);
+      if (rep.matchId) {
+        highlightSpan.setAttribute(HIGHLIGHT_MATCH_ATTR, rep.matchId);
+        joinFragmentStyle(highlightSpan, rep.part);
+      }
+      highlightSpan.textContent = text.substring(rep.start, rep.end);
+      fragment.appendChild(highlightSpan);
+      
+      lastIndex = rep.end;
+    });
+    
+    // Add remaining text after last replacement
+    if (lastIndex < text.length) {
+      fragment.appendChild(doc.createTextNode(text.substring(lastIndex)));
+    }
+    
+    node.parentNode.replaceChild(fragment, node);
+  });
+}
+
+/**
+ * Names a fragment's place in a value split across text nodes
+ * @param {number} index - Fragment index
+ * @param {number} count - Number of fragments
+ * @returns {string} 'start', 'middle' or 'end'
+ */
+function getFragmentPart(index, count) {
+  if (index === 0) return 'start';
+  return index === count - 1 ? 'end' : 'middle';
+}
+
+/**
+ * Squares off the inner edges of a fragment span so the fragments read as one highlight
+ * @param {HTMLElement} highlightSpan - Fragment span
+ * @param {string} part - 'start', 'middle' or 'end'
+ */
+function joinFragmentStyle(highlightSpan, part) {
+  if (part !== 'end') {
+    highlightSpan.style.borderTopRightRadius = '0';
+    highlightSpan.style.borderBottomRightRadius = '0';
+    highlightSpan.style.paddingRight = '0';
+  }
+  if (part !== 'start') {
+    highlightSpan.style.borderTopLeftRadius = '0';
+    highlightSpan.style.borderBottomLeftRadius = '0';
+    highlightSpan.style.paddingLeft = '0';
+  }
+}
+
+/**
+ * Creates the span that highlights are cloned from
+ * @param {string} highlightColor - CSS color for highlighting
+ * @param {boolean} isDimmed - De-emphasized highlight (non-routable addresses)
+ * @returns {HTMLElement}
+ */
+function createHighlightTemplate(highlightColor, isDimmed) {
+  const highlightSpan = document.createElement('span');
+  highlightSpan.className = HIGHLIGHT_CLASS;
+  highlightSpan.style.backgroundColor = highlightColor;
+  highlightSpan.style.color = getTextColor(highlightColor);
+  highlightSpan.style.padding = '2px 4px';
+  highlightSpan.style.borderRadius = '3px';
+  highlightSpan.style.cursor = 'pointer';
+  highlightSpan.style.fontWeight = 'bold';
+  if (isDimmed) {
+    highlightSpan.style.opacity = '0.45';
+    highlightSpan.style.fontWeight = 'normal';
+  }
+  return highlightSpan;
+}
+
+/**
+ * Returns the text nodes below a root that can be highlighted
+ * @param {Node} root - Page body, frame body or shadow root
+ * @returns {Array<Text>}
+ */
+function collectTextNodes(root) {
+  const doc = root.ownerDocument || document;
+  const walker = doc.createTreeWalker(
+    root,
     NodeFilter.SHOW_TEXT,
     {
       acceptNode: function(node) {
-        // Skip script and style tags
+        // Skip script and style tags, and form fields whose text is their value
         const parent = node.parentElement;
         if (!parent) return NodeFilter.FILTER_REJECT;
-        const tagName = parent.tagName.toLowerCase();
-        if (tagName === 'script' || tagName === 'style' || tagName === 'noscript') {
+        if (SKIPPED_TAGS.has(parent.tagName.toLowerCase())) {
           return NodeFilter.FILTER_REJECT;
         }
         // Skip already highlighted nodes
@@ -46,118 +235,295 @@ export function highlightIOCs(iocs, highlightColor = '#ff6b6b') {
     }
   );
   
-  const replacements = [];
+  const nodes = [];
   let node;
-  
-  // Collect all text nodes and their replacements
-  while (node = walker.nextNode()) {
-    const text = node.textContent;
-    if (!text || text.trim().length === 0) continue;
-    
-    // Check each IOC value
-    iocSearchList.forEach(({ ioc, searchValue }) => {
-      const regex = new RegExp(escapeRegex(searchValue), 'gi');
-      let match;
-      
-      while ((match = regex.exec(text)) !== null) {
-        replacements.push({
-          node: node,
-          start: match.index,
-          end: match.index + match[0].length,
-          value: match[0],
-          ioc: ioc,
-        });
+  while ((node = walker.nextNode())) {
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+/**
+ * Whether nothing but inline elements separates two text nodes, so the text reads on
+ * without a break. Walks the tree from one node to the next in document order
+ * @param {Text} previous - Earlier text node
+ * @param {Text} node - Following text node
+ * @returns {boolean}
+ */
+function isJoined(previous, node) {
+  const isInline = (element) => element.nodeType === Node.ELEMENT_NODE && INLINE_TAGS.has(element.tagName.toLowerCase());
+  let current = previous;
+  let descend = false;
+  for (let steps = 0; steps < MAX_JOIN_STEPS; steps++) {
+    let next = descend ? current.firstChild : null;
+    if (!next) {
+      while (!current.nextSibling) {
+        current = current.parentNode;
+        if (!current || !isInline(current)) return false;
       }
-    });
+      next = current.nextSibling;
+    }
+    if (next === node) return true;
+    // Other text in between was skipped (script, existing highlight); blocks, <br> and
+    // images break the text
+    if (next.nodeType === Node.TEXT_NODE) return false;
+    if (next.nodeType === Node.ELEMENT_NODE && !isInline(next)) return false;
+    current = next;
+    descend = next.nodeType === Node.ELEMENT_NODE;
   }
-  
-  // Sort replacements by node and position (reverse order to avoid index shifting)
-  replacements.sort((a, b) => {
-    if (a.node !== b.node) {
-      return 0; // Process nodes separately
+  return false;
+}
+
+/**
+ * Groups text nodes, in document order, into runs of text that read on without a break
+ * @param {Array<Text>} nodes - Text nodes from collectTextNodes
+ * @returns {Array<Array<Text>>}
+ */
+function groupTextRuns(nodes) {
+  const runs = [];
+  nodes.forEach((node, i) => {
+    if (i > 0 && isJoined(nodes[i - 1], node)) {
+      runs[runs.length - 1].push(node);
+    } else {
+      runs.push([node]);
     }
-    return b.start - a.start; // Reverse order
   });
-  
-  // Group replacements by node
-  const nodeReplacements = new Map();
-  replacements.forEach(rep => {
-    if (!nodeReplacements.has(rep.node)) {
-      nodeReplacements.set(rep.node, []);
+  return runs;
+}
+
+/**
+ * Joins a run's text, leaving out invisible characters (soft hyphens, zero-width spaces)
+ * the way the scanned text does
+ * @param {Array<Text>} run - Text nodes of the run
+ * @returns {{text: string, segments: Array<{node: Text, offset: number, start: number, end: number}>}}
+ *   The joined text and the pieces of it each node holds: node text from offset on fills
+ *   text from start to end
+ */
+function joinRun(run) {
+  let text = '';
+  const segments = [];
+  const addSegment = (node, offset, piece) => {
+    if (!piece) return;
+    segments.push({ node, offset, start: text.length, end: text.length + piece.length });
+    text += piece;
+  };
+  run.forEach(node => {
+    const data = node.textContent;
+    let offset = 0;
+    for (const invisible of data.matchAll(INVISIBLE_CHARS)) {
+      addSegment(node, offset, data.slice(offset, invisible.index));
+      offset = invisible.index + invisible[0].length;
     }
-    nodeReplacements.get(rep.node).push(rep);
+    addSegment(node, offset, data.slice(offset));
   });
-  
-  // Apply replacements
-  nodeReplacements.forEach((reps, textNode) => {
-    const currentText = textNode.textContent;
+  return { text, segments };
+}
+
+/**
+ * Maps matches in a run's joined text back onto its text nodes
+ * @param {Array} reps - Non-overlapping matches sorted by start, with their IOC
+ * @param {Array} segments - Segments returned by joinRun
+ * @returns {Array<{ioc: Object, fragments: Array<{node: Text, start: number, end: number}>}>}
+ *   One fragment per text node the match covers, in order
+ */
+function mapToFragments(reps, segments) {
+  let first = 0;
+  return reps.map(rep => {
+    while (segments[first].end <= rep.start) first++;
     const fragments = [];
-    
-    // Sort replacements by start position
-    reps.sort((a, b) => a.start - b.start);
-    
-    let lastIndex = 0;
-    
-    // Process each replacement
-    reps.forEach(rep => {
-      // Add text before this replacement
-      if (rep.start > lastIndex) {
-        fragments.push(document.createTextNode(currentText.substring(lastIndex, rep.start)));
+    for (let i = first; i < segments.length && segments[i].start < rep.end; i++) {
+      const { node, offset, start, end } = segments[i];
+      const fragmentStart = offset + Math.max(rep.start, start) - start;
+      const fragmentEnd = offset + Math.min(rep.end, end) - start;
+      const last = fragments[fragments.length - 1];
+      if (last && last.node === node) {
+        last.end = fragmentEnd; // Same node past an invisible character
+      } else {
+        fragments.push({ node, start: fragmentStart, end: fragmentEnd });
       }
-      
-      // Add highlight span
-      const highlightSpan = document.createElement('span');
-      highlightSpan.className = HIGHLIGHT_CLASS;
-      highlightSpan.setAttribute(HIGHLIGHT_DATA_ATTR, rep.ioc.value);
-      highlightSpan.setAttribute(HIGHLIGHT_TYPE_ATTR, rep.ioc.type);
-      highlightSpan.style.backgroundColor = highlightColor;
-      highlightSpan.style.color = '#ffffff';
-      highlightSpan.style.padding = '2px 4px';
-      highlightSpan.style.borderRadius = '3px';
-      highlightSpan.style.cursor = 'pointer';
-      highlightSpan.style.fontWeight = 'bold';
-      highlightSpan.textContent = rep.value;
-      fragments.push(highlightSpan);
-      
-      lastIndex = rep.end;
-    });
-    
-    // Add remaining text after last replacement
-    if (lastIndex < currentText.length) {
-      fragments.push(document.createTextNode(currentText.substring(lastIndex)));
     }
-    
-    // Replace the text node with fragments
-    if (fragments.length > 0) {
-      const parent = textNode.parentNode;
-      fragments.forEach(fragment => {
-        parent.insertBefore(fragment, textNode);
-      });
-      parent.removeChild(textNode);
+    return { ioc: rep.ioc, fragments };
+  });
+}
+
+/**
+ * Keeps the highest-priority match wherever matches overlap
+ * @param {Array} reps - Replacements within a single run of text
+ * @returns {Array} Non-overlapping replacements
+ */
+function removeOverlaps(reps) {
+  const getPriority = (rep) => {
+    const definition = getIOCType(rep.ioc.type);
+    return definition ? definition.priority : Infinity;
+  };
+  const ranked = [...reps].sort((a, b) =>
+    getPriority(a) - getPriority(b) || (b.end - b.start) - (a.end - a.start)
+  );
+  
+  const kept = [];
+  ranked.forEach(rep => {
+    if (!kept.some(other => rep.start < other.end && rep.end > other.start)) {
+      kept.push(rep);
     }
   });
+  return kept;
+}
+
+/**
+ * Whether a node is a highlight span or part of one
+ * @param {Node} node - Node to check
+ * @returns {boolean}
+ */
+export function isHighlightNode(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return Boolean(element && element.closest(`.${HIGHLIGHT_CLASS}`));
+}
+
+/**
+ * Finds the highlight spans in the page and in the frames and shadow roots last highlighted
+ * @returns {Array<Element>}
+ */
+function queryHighlights() {
+  const roots = [document, ...highlightRoots.filter(root => root.isConnected && root !== document.body)];
+  return roots.flatMap(root => Array.from(root.querySelectorAll(`.${HIGHLIGHT_CLASS}`)));
+}
+
+/**
+ * Sets the callbacks for pointer interaction with highlights, in either rendering mode
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onHover - (ioc, rect) when the pointer enters a highlight,
+ *   (null, null) when it leaves
+ * @param {Function} handlers.onClick - (ioc, rect, event) when a highlight is clicked
+ */
+export function setHighlightHandlers(handlers) {
+  highlightHandlers = handlers || {};
+}
+
+/**
+ * Returns the box of a highlight span, or of all spans of its value when the value is split
+ * across text nodes
+ * @param {Element} span - Highlight span
+ * @returns {DOMRect|Object} Client rect with left, top, right, bottom, width and height
+ */
+function getSpanRect(span) {
+  const matchId = span.getAttribute(HIGHLIGHT_MATCH_ATTR);
+  if (!matchId) return span.getBoundingClientRect();
+  const rects = Array.from(
+    span.getRootNode().querySelectorAll(`[${HIGHLIGHT_MATCH_ATTR}="${matchId}"]`),
+    fragment => fragment.getBoundingClientRect()
+  );
+  const left = Math.min(...rects.map(rect => rect.left));
+  const top = Math.min(...rects.map(rect => rect.top));
+  const right = Math.max(...rects.map(rect => rect.right));
+  const bottom = Math.max(...rects.map(rect => rect.bottom));
+  return { left, top, right, bottom, width: right - left, height: bottom - top };
+}
+
+/**
+ * Finds the highlight under the pointer: the span the event came from, or the highlighted
+ * range at the pointer's position
+ * @param {MouseEvent} event - Pointer event
+ * @returns {{ioc: Object, rect: DOMRect, target: Element|Object}|null} target is the span or
+ *   the range entry, so moving between two occurrences of one IOC counts as a new hover
+ */
+function hitTest(event) {
+  const target = event.composedPath()[0];
+  const span = target && target.closest ? target.closest(`.${HIGHLIGHT_CLASS}`) : null;
+  if (span) {
+    const ioc = highlightedIOCs.get(`${span.getAttribute(HIGHLIGHT_TYPE_ATTR)}|${span.getAttribute(HIGHLIGHT_DATA_ATTR)}`);
+    return ioc ? { ioc, rect: getSpanRect(span), target: span } : null;
+  }
+  const entry = findRangeAt(event.view ? event.view.document : document, event.clientX, event.clientY);
+  return entry ? { ioc: entry.ioc, rect: entry.range.getBoundingClientRect(), target: entry } : null;
 }
 
 /**
- * Escapes special regex characters
+ * Listens for pointer events on a document (once per document). Hover is hit-tested at
+ * most once per frame; events are never cancelled, so the page behaves as before
+ * @param {Document} doc - Page or frame document
  */
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function listenForInteraction(doc) {
+  if (listenedDocuments.has(doc)) return;
+  listenedDocuments.add(doc);
+
+  let hovered = null;
+  let pendingMove = null;
+  doc.addEventListener('mousemove', (event) => {
+    if (!pendingMove) {
+      (doc.defaultView || window).requestAnimationFrame(() => {
+        const hit = hitTest(pendingMove);
+        pendingMove = null;
+        if ((hit && hit.target) === (hovered && hovered.target)) return;
+        hovered = hit;
+        setHoveredRange(hit && hit.target.range ? hit.target : null);
+        if (highlightHandlers.onHover) highlightHandlers.onHover(hit ? hit.ioc : null, hit ? hit.rect : null);
+      });
+    }
+    pendingMove = event;
+  }, { passive: true });
+
+  doc.addEventListener('click', (event) => {
+    const hit = hitTest(event);
+    if (hit && highlightHandlers.onClick) highlightHandlers.onClick(hit.ioc, hit.rect, event);
+  }, true);
 }
 
 /**
  * Removes all highlights from the page
  */
 export function removeHighlights() {
-  const highlights = document.querySelectorAll(`.${HIGHLIGHT_CLASS}`);
+  clearRangeHighlights();
+  const highlights = queryHighlights();
+  const parents = new Set();
   highlights.forEach(highlight => {
     const parent = highlight.parentNode;
-    const text = highlight.textContent;
-    const textNode = document.createTextNode(text);
+    const textNode = (highlight.ownerDocument || document).createTextNode(highlight.textContent);
     parent.replaceChild(textNode, highlight);
-    // Normalize adjacent text nodes
-    parent.normalize();
+    parents.add(parent);
+  });
+  // Merge the split text nodes back together, once per parent
+  parents.forEach(parent => parent.normalize());
+}
+
+/**
+ * Orders two ranges by their start. Ranges in different shadow roots or frames cannot be
+ * compared directly and are ordered by the position of their start nodes
+ * @param {Range} a - First range
+ * @param {Range} b - Second range
+ * @returns {number} Negative when a starts first, positive when b does, 0 when they start together
+ */
+export function compareRanges(a, b) {
+  try {
+    return a.compareBoundaryPoints(Range.START_TO_START, b);
+  } catch (error) {
+    return a.startContainer.compareDocumentPosition(b.startContainer) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+  }
+}
+
+/**
+ * Returns every highlight on the page, in either rendering mode, in document order. The spans
+ * of a value split across text nodes count as one occurrence
+ * @returns {Array<{ioc: Object, range: Range}>} range covers the highlighted text
+ */
+export function getHighlightOccurrences() {
+  const spansByMatch = new Map();
+  const occurrences = [];
+  queryHighlights().forEach(span => {
+    const matchId = span.getAttribute(HIGHLIGHT_MATCH_ATTR);
+    if (matchId && spansByMatch.has(matchId)) {
+      spansByMatch.get(matchId).range.setEndAfter(span);
+      return;
+    }
+    const ioc = highlightedIOCs.get(`${span.getAttribute(HIGHLIGHT_TYPE_ATTR)}|${span.getAttribute(HIGHLIGHT_DATA_ATTR)}`);
+    if (!ioc) return;
+    const range = (span.ownerDocument || document).createRange();
+    range.selectNode(span);
+    const occurrence = { ioc, range };
+    if (matchId) spansByMatch.set(matchId, occurrence);
+    occurrences.push(occurrence);
   });
+  getRangeHighlights().forEach(({ ioc, range }) => occurrences.push({ ioc, range }));
+  return occurrences.sort((a, b) => compareRanges(a.range, b.range));
 }
 
 /**
@@ -165,14 +531,17 @@ export function removeHighlights() {
  * @returns {Array} Array of IOC objects
  */
 export function getHighlightedIOCs() {
-  const highlights = document.querySelectorAll(`.${HIGHLIGHT_CLASS}`);
+  const highlights = [
+    ...queryHighlights().map(highlight => ({
+      value: highlight.getAttribute(HIGHLIGHT_DATA_ATTR),
+      type: highlight.getAttribute(HIGHLIGHT_TYPE_ATTR),
+    })),
+    ...getRangeHighlightIOCs(),
+  ];
   const iocs = [];
   const seen = new Set();
   
-  highlights.forEach(highlight => {
-    const value = highlight.getAttribute(HIGHLIGHT_DATA_ATTR);
-    const type = highlight.getAttribute(HIGHLIGHT_TYPE_ATTR);
-    
+  highlights.forEach(({ value, type }) => {
     if (value && !seen.has(value)) {
       seen.add(value);
       iocs.push({
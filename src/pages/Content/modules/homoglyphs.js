@@ -0,0 +1,154 @@
+/**
+ * Homoglyph detection
+ * Flags host names that mix scripts (Latin with Cyrillic, Greek, ...) or whose letters are
+ * confusable with a protected brand: аррӏе.com (all Cyrillic) or paypa1.com both read as a
+ * brand that they are not. Confusables come from a bundled subset of the Unicode
+ * confusables table (UTS #39); the brand list is configurable in Settings.
+ */
+
+import { toUnicode, toASCII } from './idn';
+import { getPublicSuffix } from './publicSuffixList';
+
+export const DEFAULT_PROTECTED_BRANDS = [
+  'adobe', 'amazon', 'apple', 'bankofamerica', 'binance', 'chase', 'coinbase', 'dhl',
+  'docusign', 'dropbox', 'facebook', 'fedex', 'github', 'google', 'icloud', 'instagram',
+  'linkedin', 'metamask', 'microsoft', 'netflix', 'office', 'outlook', 'paypal',
+  'telegram', 'twitter', 'wellsfargo', 'whatsapp', 'yahoo',
+];
+
+// Characters that render like a Latin letter or digit, keyed by the letter they imitate
+const CONFUSABLE_GROUPS = {
+  a: 'аɑαａ',
+  b: 'ьƅｂ',
+  c: 'сϲⅽｃ',
+  d: 'ԁⅾｄ',
+  e: 'еҽєｅ',
+  g: 'ɡցｇ',
+  h: 'һհｈ',
+  i: 'іıɩιⅰｉ',
+  j: 'јϳｊ',
+  k: 'κｋ',
+  l: 'ӏⅼℓǀ1ｌ',
+  m: 'ｍ',
+  n: 'ոｎ',
+  o: 'оοօ０0ｏ',
+  p: 'рρｐ',
+  q: 'ԛզｑ',
+  r: 'гｒ',
+  s: 'ѕｓ',
+  t: 'ｔ',
+  u: 'υսｕ',
+  v: 'ѵνｖ',
+  w: 'ԝｗ',
+  x: 'хχｘ',
+  y: 'уүγｙ',
+  z: 'ｚ',
+};
+
+const CONFUSABLES = new Map(
+  Object.entries(CONFUSABLE_GROUPS).flatMap(([letter, lookalikes]) =>
+    Array.from(lookalikes, (char) => [char, letter])
+  )
+);
+
+// Letter pairs that read as a single letter at a glance: rnicrosoft, vvhatsapp
+const LETTER_PAIRS = [
+  [/rn/g, 'm'],
+  [/vv/g, 'w'],
+];
+
+const SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Arabic', 'Hebrew', 'Thai', 'Devanagari'];
+const SCRIPT_PATTERNS = SCRIPTS.map((script) => [script, new RegExp(`\\p{Script=${script}}`, 'u')]);
+
+// Script mixes that are normal in a single label (UTS #39 "highly restrictive" profile)
+const ALLOWED_SCRIPT_MIXES = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Hangul'],
+];
+
+let protectedBrands = DEFAULT_PROTECTED_BRANDS;
+
+/**
+ * Sets the brands that look-alike host names are checked against
+ * @param {Array<string>} brands - Brand names ("paypal") or domains ("paypal.com")
+ */
+export function setProtectedBrands(brands) {
+  protectedBrands = (brands || [])
+    .map((brand) => brand.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Returns the brand list in use
+ * @returns {Array<string>}
+ */
+export function getProtectedBrands() {
+  return protectedBrands;
+}
+
+/**
+ * Reduces a label to the Latin letters it looks like ("аррӏе" -> "apple")
+ * @param {string} label - Host name label
+ * @returns {string}
+ */
+export function getSkeleton(label) {
+  const mapped = Array.from(label.normalize('NFKC').toLowerCase(), (char) => CONFUSABLES.get(char) || char).join('');
+  return LETTER_PAIRS.reduce((skeleton, [pattern, letter]) => skeleton.replace(pattern, letter), mapped);
+}
+
+/**
+ * Returns the scripts of the letters in a label
+ * @param {string} label - Host name label
+ * @returns {Array<string>} Script names; letters of other scripts count as "Other"
+ */
+export function getScripts(label) {
+  const scripts = new Set();
+  for (const char of label) {
+    if (!/\p{L}/u.test(char)) continue;
+    const match = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(char));
+    scripts.add(match ? match[0] : 'Other');
+  }
+  return Array.from(scripts);
+}
+
+/**
+ * Whether a label mixes scripts in a way real names do not
+ * @param {Array<string>} scripts - Scripts of the label's letters
+ * @returns {boolean}
+ */
+function isMixedScript(scripts) {
+  if (scripts.length < 2) return false;
+  return !ALLOWED_SCRIPT_MIXES.some((allowed) => scripts.every((script) => allowed.includes(script)));
+}
+
+/**
+ * Checks a host name for mixed scripts and for labels that imitate a protected brand
+ * @param {string} host - Host name in Unicode or Punycode form
+ * @returns {{brand: string|null, mixedScript: boolean, scripts: Array<string>}|null} null
+ *   when the host looks like what it is
+ */
+export function findLookalike(host) {
+  const unicodeHost = toUnicode(host);
+  const suffix = getPublicSuffix(toASCII(host));
+  const labelCount = unicodeHost.split('.').length - (suffix ? suffix.split('.').length : 1);
+  const labels = unicodeHost.split('.').slice(0, Math.max(labelCount, 0));
+
+  let brand = null;
+  let mixedScript = false;
+  const scripts = new Set();
+  labels.forEach((label) => {
+    const labelScripts = getScripts(label);
+    labelScripts.forEach((script) => scripts.add(script));
+    if (isMixedScript(labelScripts)) mixedScript = true;
+
+    if (brand) return;
+    const skeleton = getSkeleton(label);
+    brand = protectedBrands.find((candidate) => {
+      const name = candidate.split('.')[0];
+      return label !== name && skeleton === getSkeleton(name);
+    }) || null;
+  });
+
+  if (!brand && !mixedScript) return null;
+  return { brand, mixedScript, scripts: Array.from(scripts) };
+}
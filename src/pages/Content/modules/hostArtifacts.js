@@ -0,0 +1,36 @@
+/**
+ * Host-based artifacts
+ * Helpers for the file path, registry key, named pipe and mutex IOC types: registry hive
+ * normalization and linking paths to the file names they contain.
+ */
+
+const REGISTRY_HIVES = {
+  HKEY_LOCAL_MACHINE: 'HKLM',
+  HKEY_CURRENT_USER: 'HKCU',
+  HKEY_CLASSES_ROOT: 'HKCR',
+  HKEY_USERS: 'HKU',
+  HKEY_CURRENT_CONFIG: 'HKCC',
+};
+
+/**
+ * Rewrites the hive of a registry key to its short upper-case form
+ * (HKEY_LOCAL_MACHINE\Software, hklm:\Software -> HKLM\Software)
+ * @param {string} key - Registry key as written
+ * @returns {string} Normalized key
+ */
+export function normalizeRegistryKey(key) {
+  const match = key.match(/^([a-z_]+):?(\\[\s\S]*)$/i);
+  if (!match) return key;
+  const hive = match[1].toUpperCase();
+  return `${REGISTRY_HIVES[hive] || hive}${match[2]}`;
+}
+
+/**
+ * Returns the file name at the end of a Windows or Unix path
+ * @param {string} path - File path
+ * @returns {string|null} Last path segment, or null for a directory path
+ */
+export function getPathFilename(path) {
+  const name = path.split(/[\\/]/).pop();
+  return name || null;
+}
@@ -0,0 +1,293 @@
+/**
+ * Hover card
+ * A card anchored to a page highlight with what is known about its IOC (type, value,
+ * occurrence count, risk analysis) and actions: copy fanged or defanged, add to the current
+ * list, mark as a false positive, and the configured pivot links. Hovering a highlight opens
+ * the card after a short delay; clicking one pins it until Escape or a click elsewhere.
+ * The card lives in a closed shadow root (see isolatedHost.js).
+ */
+
+import { DEFAULT_DEFANG_OUTPUT, formatDefangedValue } from './defangOutput';
+import { DEFAULT_PIVOT_LINKS, getPivotLinks } from './pivotLinks';
+import { getRiskColor, getTypeDisplayColor } from './highlightColors';
+import { createIsolatedHost, attachHost } from './isolatedHost';
+
+const HOST_TAG = 'ioc-snatch-card';
+const SHOW_DELAY = 300; // ms the pointer rests on a highlight before the card opens
+const HIDE_DELAY = 250; // ms to move the pointer from the highlight onto the card
+const CARD_WIDTH = 320;
+const CARD_MARGIN = 8; // px between the card and the highlight or the viewport edge
+
+const CARD_CSS = `
+  :host {
+    all: initial !important;
+    position: fixed !important;
+    top: 0 !important;
+    left: 0 !important;
+    z-index: 2147483647 !important;
+  }
+  .card {
+    position: fixed;
+    box-sizing: border-box;
+    width: ${CARD_WIDTH}px;
+    padding: 10px 12px;
+    background: #2d2d2d;
+    color: #e0e0e0;
+    border: 1px solid #404040;
+    border-radius: 8px;
+    box-shadow: 0 6px 20px rgba(0, 0, 0, 0.5);
+    font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+    text-align: left;
+  }
+  .card[hidden] { display: none; }
+  .header { display: flex; align-items: center; gap: 8px; margin-bottom: 6px; }
+  .type { padding: 2px 8px; border-radius: 10px; color: #ffffff; font-size: 11px; font-weight: 600; }
+  .count { color: #b0b0b0; font-size: 12px; }
+  .value { font-family: 'Courier New', monospace; word-break: break-all; margin-bottom: 6px; }
+  .muted { color: #808080; font-size: 12px; word-break: break-all; margin-bottom: 6px; }
+  .risk { margin-bottom: 6px; font-size: 12px; }
+  .risk-score { display: inline-block; padding: 1px 6px; border-radius: 4px; color: #ffffff; font-weight: 600; margin-right: 6px; }
+  .actions { display: flex; flex-wrap: wrap; gap: 6px; margin: 8px 0; }
+  button {
+    all: unset;
+    padding: 4px 8px;
+    border-radius: 4px;
+    background: #3a3a3a;
+    border: 1px solid #404040;
+    color: #e0e0e0;
+    font-size: 12px;
+    cursor: pointer;
+  }
+  button:hover, button:focus-visible { border-color: #4a90e2; background: #4a4a4a; }
+  .pivots { display: flex; flex-wrap: wrap; gap: 4px 10px; font-size: 12px; }
+  a { color: #5ba3f5; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+  .status { min-height: 16px; margin-top: 6px; color: #b0b0b0; font-size: 12px; }
+`;
+
+let host = null;
+let card = null;
+let currentIOC = null;
+let pinned = false;
+let pointerOnCard = false;
+let showTimer = null;
+let hideTimer = null;
+let actions = {};
+let settings = { defangOutput: DEFAULT_DEFANG_OUTPUT, pivotLinks: DEFAULT_PIVOT_LINKS, typeColors: {} };
+
+/**
+ * Sets the callbacks for the actions that need the extension (storage, background)
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.addToList - (ioc) => Promise<string>, resolves to a status message
+ * @param {Function} handlers.markFalsePositive - (ioc) => Promise
+ * @param {Function} handlers.getAnalysis - (ioc) => Promise<Object|null>, the risk analysis
+ *   gathered for the IOC ({riskScore, riskLevel, riskExplanation}), if any
+ */
+export function setHoverCardActions(handlers) {
+  actions = handlers || {};
+}
+
+/**
+ * Updates the settings the card uses
+ * @param {Object} updates - `defangOutput`, `pivotLinks` and/or `typeColors` settings
+ */
+export function setHoverCardSettings(updates) {
+  settings = { ...settings, ...updates };
+}
+
+/**
+ * Whether a node is the card's host element (so page observers can ignore it)
+ * @param {Node} node - Node to check
+ * @returns {boolean}
+ */
+export function isHoverCardNode(node) {
+  return Boolean(host && node && host.contains(node));
+}
+
+/**
+ * Shows the card for a highlight
+ * @param {Object} ioc - IOC of the highlight
+ * @param {DOMRect|Object} rect - Client rect of the highlight
+ * @param {Object} options - Display options
+ * @param {boolean} options.pinned - Open at once and stay open until dismissed (click)
+ */
+export function showHoverCard(ioc, rect, options = {}) {
+  clearTimeout(showTimer);
+  clearTimeout(hideTimer);
+  if (options.pinned) {
+    openCard(ioc, rect, true);
+    return;
+  }
+  // Hovering other highlights does not replace a pinned card
+  if (pinned || (currentIOC === ioc && card && !card.hidden)) return;
+  showTimer = setTimeout(() => openCard(ioc, rect, false), SHOW_DELAY);
+}
+
+/**
+ * Hides the card
+ * @param {Object} options - Hide options
+ * @param {boolean} options.delayed - Wait HIDE_DELAY so the pointer can move onto the card;
+ *   pinned cards stay open
+ */
+export function hideHoverCard(options = {}) {
+  clearTimeout(showTimer);
+  clearTimeout(hideTimer);
+  if (options.delayed) {
+    if (!pinned) {
+      hideTimer = setTimeout(() => {
+        if (!pointerOnCard) closeCard();
+      }, HIDE_DELAY);
+    }
+    return;
+  }
+  closeCard();
+}
+
+/**
+ * Hides the card and forgets its IOC
+ */
+function closeCard() {
+  if (card) card.hidden = true;
+  pointerOnCard = false;
+  currentIOC = null;
+  pinned = false;
+}
+
+/**
+ * Creates the host element, its closed shadow root and the listeners that dismiss the card
+ */
+function createHost() {
+  const { host: cardHost, root } = createIsolatedHost(HOST_TAG, CARD_CSS);
+  host = cardHost;
+
+  card = document.createElement('div');
+  card.className = 'card';
+  card.setAttribute('role', 'dialog');
+  card.hidden = true;
+  card.addEventListener('mouseenter', () => { pointerOnCard = true; });
+  card.addEventListener('mouseleave', () => {
+    pointerOnCard = false;
+    hideHoverCard({ delayed: true });
+  });
+  root.appendChild(card);
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !card.hidden) hideHoverCard();
+  }, true);
+  document.addEventListener('mousedown', (event) => {
+    if (!card.hidden && !event.composedPath().includes(host)) hideHoverCard();
+  }, true);
+  window.addEventListener('scroll', () => {
+    if (!card.hidden && !pinned) hideHoverCard();
+  }, { capture: true, passive: true });
+}
+
+/**
+ * Creates an element of the card
+ * @param {string} tag - Tag name
+ * @param {string} className - Class name
+ * @param {string} text - Text content
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Fills the card for an IOC and places it next to the highlight
+ * @param {Object} ioc - IOC of the highlight
+ * @param {DOMRect|Object} rect - Client rect of the highlight
+ * @param {boolean} pin - Keep the card open until dismissed
+ */
+function openCard(ioc, rect, pin) {
+  if (!host) createHost();
+  attachHost(host);
+  currentIOC = ioc;
+  pinned = pin;
+  card.textContent = '';
+
+  const header = card.appendChild(createElement('div', 'header'));
+  const type = header.appendChild(createElement('span', 'type', ioc.type));
+  type.style.backgroundColor = getTypeDisplayColor(ioc.type, settings.typeColors);
+  if (ioc.count > 0) {
+    header.appendChild(createElement('span', 'count', ioc.count === 1 ? 'Seen once' : `Seen ${ioc.count} times`));
+  }
+  card.appendChild(createElement('div', 'value', ioc.value));
+  if (ioc.originalValue && ioc.originalValue !== ioc.value) {
+    card.appendChild(createElement('div', 'muted', `Written as ${ioc.originalValue}`));
+  }
+  const risk = card.appendChild(createElement('div', 'risk'));
+  risk.hidden = true;
+
+  const status = createElement('div', 'status');
+  status.setAttribute('aria-live', 'polite');
+  const setStatus = (message) => { status.textContent = message; };
+  const copy = (text, message) => navigator.clipboard.writeText(text).then(
+    () => setStatus(message),
+    (error) => setStatus(`Copy failed: ${error.message}`)
+  );
+
+  const buttons = card.appendChild(createElement('div', 'actions'));
+  [
+    { label: 'Copy', run: () => copy(ioc.value, 'Copied') },
+    { label: 'Copy defanged', run: () => copy(formatDefangedValue(ioc, settings.defangOutput), 'Copied defanged') },
+    { label: 'Add to list', run: () => actions.addToList && actions.addToList(ioc).then(setStatus, (error) => setStatus(error.message)) },
+    {
+      label: 'False positive',
+      run: () => actions.markFalsePositive && actions.markFalsePositive(ioc).then(() => hideHoverCard(), (error) => setStatus(error.message)),
+    },
+  ].forEach(({ label, run }) => {
+    const button = buttons.appendChild(createElement('button', '', label));
+    button.type = 'button';
+    button.addEventListener('click', run);
+  });
+
+  const links = getPivotLinks(ioc, settings.pivotLinks);
+  if (links.length > 0) {
+    const pivots = card.appendChild(createElement('div', 'pivots'));
+    links.forEach(link => {
+      const anchor = pivots.appendChild(createElement('a', '', link.name));
+      anchor.href = link.url;
+      anchor.target = '_blank';
+      anchor.rel = 'noopener noreferrer';
+    });
+  }
+  card.appendChild(status);
+
+  card.hidden = false;
+  positionCard(rect);
+
+  // Risk analysis is read from storage, so it arrives after the card is shown
+  if (actions.getAnalysis) {
+    actions.getAnalysis(ioc).then(analysis => {
+      if (currentIOC !== ioc || !analysis || analysis.riskScore === null || analysis.riskScore === undefined) return;
+      const score = risk.appendChild(createElement('span', 'risk-score', `${Math.round(analysis.riskScore)}/100`));
+      score.style.backgroundColor = getRiskColor(analysis.riskScore);
+      risk.appendChild(createElement('span', '', analysis.riskLevel || ''));
+      if (analysis.riskExplanation) {
+        risk.appendChild(createElement('div', 'muted', analysis.riskExplanation));
+      }
+      risk.hidden = false;
+      positionCard(rect);
+    });
+  }
+}
+
+/**
+ * Places the card below the highlight, or above it when there is no room below, keeping it
+ * inside the viewport
+ * @param {DOMRect|Object} rect - Client rect of the highlight
+ */
+function positionCard(rect) {
+  const height = card.offsetHeight;
+  let top = rect.bottom + CARD_MARGIN;
+  if (top + height > window.innerHeight && rect.top - CARD_MARGIN - height >= 0) {
+    top = rect.top - CARD_MARGIN - height;
+  }
+  const left = Math.max(CARD_MARGIN, Math.min(rect.left, window.innerWidth - CARD_WIDTH - CARD_MARGIN));
+  card.style.top = `${Math.max(CARD_MARGIN, top)}px`;
+  card.style.left = `${left}px`;
+}
@@ -0,0 +1,157 @@
+/**
+ * Internationalized domain names
+ * Punycode (RFC 3492) conversion between the Unicode form of a host name (аррӏе.com) and
+ * the ASCII "xn--" form DNS uses (xn--80ak6aa92e.com), label by label.
+ */
+
+const BASE = 36;
+const T_MIN = 1;
+const T_MAX = 26;
+const SKEW = 38;
+const DAMP = 700;
+const INITIAL_BIAS = 72;
+const INITIAL_N = 128;
+const ACE_PREFIX = 'xn--';
+
+/**
+ * Adapts the bias after each encoded code point (RFC 3492 section 6.1)
+ */
+function adapt(delta, pointCount, firstTime) {
+  let scaled = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+  scaled += Math.floor(scaled / pointCount);
+  let k = 0;
+  while (scaled > ((BASE - T_MIN) * T_MAX) >> 1) {
+    scaled = Math.floor(scaled / (BASE - T_MIN));
+    k += BASE;
+  }
+  return k + Math.floor(((BASE - T_MIN + 1) * scaled) / (scaled + SKEW));
+}
+
+/**
+ * Returns the threshold for digit position k
+ */
+function threshold(k, bias) {
+  if (k <= bias) return T_MIN;
+  if (k >= bias + T_MAX) return T_MAX;
+  return k - bias;
+}
+
+// Digits 0-25 are a-z, 26-35 are 0-9
+const encodeDigit = (digit) => String.fromCharCode(digit < 26 ? digit + 97 : digit + 22);
+
+function decodeDigit(code) {
+  if (code >= 48 && code <= 57) return code - 22;
+  if (code >= 65 && code <= 90) return code - 65;
+  if (code >= 97 && code <= 122) return code - 97;
+  return BASE;
+}
+
+/**
+ * Encodes a Unicode label as Punycode (without the "xn--" prefix)
+ * @param {string} label - Unicode label
+ * @returns {string}
+ */
+function encodeLabel(label) {
+  const input = Array.from(label, (char) => char.codePointAt(0));
+  let output = input.filter((code) => code < 0x80).map((code) => String.fromCharCode(code)).join('');
+  const basicCount = output.length;
+  if (basicCount > 0) output += '-';
+
+  let n = INITIAL_N;
+  let delta = 0;
+  let bias = INITIAL_BIAS;
+  let handled = basicCount;
+  while (handled < input.length) {
+    const current = n;
+    const next = Math.min(...input.filter((code) => code >= current));
+    delta += (next - n) * (handled + 1);
+    n = next;
+
+    for (const code of input) {
+      if (code < n) delta++;
+      if (code !== n) continue;
+
+      let q = delta;
+      for (let k = BASE; ; k += BASE) {
+        const t = threshold(k, bias);
+        if (q < t) break;
+        output += encodeDigit(t + ((q - t) % (BASE - t)));
+        q = Math.floor((q - t) / (BASE - t));
+      }
+      output += encodeDigit(q);
+      bias = adapt(delta, handled + 1, handled === basicCount);
+      delta = 0;
+      handled++;
+    }
+
+    delta++;
+    n++;
+  }
+  return output;
+}
+
+/**
+ * Decodes a Punycode label (without the "xn--" prefix)
+ * @param {string} label - Punycode label
+ * @returns {string|null} null when the label is not valid Punycode
+ */
+function decodeLabel(label) {
+  const delimiter = label.lastIndexOf('-');
+  const output = [];
+  for (let j = 0; j < Math.max(delimiter, 0); j++) {
+    if (label.charCodeAt(j) >= 0x80) return null;
+    output.push(label.charCodeAt(j));
+  }
+
+  let n = INITIAL_N;
+  let bias = INITIAL_BIAS;
+  let i = 0;
+  for (let index = delimiter > 0 ? delimiter + 1 : 0; index < label.length;) {
+    const previous = i;
+    let weight = 1;
+    for (let k = BASE; ; k += BASE) {
+      if (index >= label.length) return null;
+      const digit = decodeDigit(label.charCodeAt(index++));
+      if (digit >= BASE) return null;
+      i += digit * weight;
+      const t = threshold(k, bias);
+      if (digit < t) break;
+      weight *= BASE - t;
+    }
+
+    bias = adapt(i - previous, output.length + 1, previous === 0);
+    n += Math.floor(i / (output.length + 1));
+    i %= output.length + 1;
+    if (n > 0x10ffff) return null;
+    output.splice(i++, 0, n);
+  }
+  return String.fromCodePoint(...output);
+}
+
+/**
+ * Converts a host name to its ASCII (Punycode) form
+ * @param {string} host - Host name in Unicode or ASCII form
+ * @returns {string} Lower-case ASCII host name
+ */
+export function toASCII(host) {
+  return host
+    .normalize('NFC')
+    .toLowerCase()
+    .split('.')
+    .map((label) => (/[\u0080-\uffff]/.test(label) ? `${ACE_PREFIX}${encodeLabel(label)}` : label))
+    .join('.');
+}
+
+/**
+ * Converts a host name to its Unicode form, leaving labels that are not valid Punycode as-is
+ * @param {string} host - Host name in Unicode or ASCII form
+ * @returns {string} Lower-case Unicode host name
+ */
+export function toUnicode(host) {
+  return host
+    .normalize('NFC')
+    .toLowerCase()
+    .split('.')
+    .map((label) => (label.startsWith(ACE_PREFIX) && decodeLabel(label.slice(ACE_PREFIX.length))) || label)
+    .join('.');
+}
@@ -0,0 +1,148 @@
+/**
+ * Incremental scanning
+ * Pages that add content without navigating (infinite scroll, "load more" tables, chat
+ * channels) are re-scanned piece by piece: mutation records are reduced to the subtrees that
+ * were added or changed, and the IOCs found there are merged into the page's results. What
+ * the changes removed (detached subtrees, the previous value of edited text) is scanned too
+ * and taken off the counts, so pages that keep replacing their content do not inflate them.
+ */
+
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META']);
+
+/**
+ * Returns the element a mutated node belongs to (text nodes report their parent)
+ * @param {Node} node - Added or changed node
+ * @returns {Element|null}
+ */
+export function toElement(node) {
+  if (!node) return null;
+  if (node.nodeType === Node.ELEMENT_NODE) return node;
+  return node.nodeType === Node.TEXT_NODE ? node.parentElement : null;
+}
+
+/**
+ * Whether a node's text is part of the scanned text (not inside a script, style, ...)
+ * @param {Node} node - Element or text node
+ * @returns {boolean}
+ */
+function isScannable(node) {
+  const element = toElement(node);
+  return Boolean(element) && !SKIPPED_TAGS.has(element.tagName) && !element.closest('script, style, noscript, template');
+}
+
+/**
+ * Reads a batch of mutations: the nodes added or changed, and the text they replaced. Text
+ * nodes that were edited or added to existing elements are scanned on their own, so the rest
+ * of the element, counted before, is not counted again
+ * @param {Array<MutationRecord>} records - Mutation records (observed with characterDataOldValue)
+ * @param {Function} isIgnored - (node) => boolean, true for nodes the extension created itself
+ * @param {Function} isPending - (node) => boolean, true for nodes added or changed since the
+ *   last scan, whose text no scan has counted yet
+ * @returns {{nodes: Array<Node>, removedNodes: Array<Node>, oldTexts: Array<string>}}
+ */
+export function readMutations(records, isIgnored, isPending) {
+  const nodes = [];
+  const removedNodes = [];
+  const oldTexts = [];
+  const pending = (node) => isPending(node) || nodes.some(other => other === node || other.contains(node));
+
+  records.forEach(record => {
+    if (record.type === 'characterData') {
+      const node = record.target;
+      if (isIgnored(node) || !isScannable(node)) return;
+      // Only the first edit since the last scan replaces counted text
+      if (!pending(node) && record.oldValue) oldTexts.push(record.oldValue);
+      nodes.push(node);
+      return;
+    }
+    if (isIgnored(record.target)) return;
+    // Text removed from content added since the last scan was never counted
+    const counted = isScannable(record.target) && !pending(record.target);
+    record.removedNodes.forEach(node => {
+      if (counted && !isIgnored(node) && !pending(node) && !SKIPPED_TAGS.has(node.tagName)) {
+        removedNodes.push(node);
+      }
+    });
+    record.addedNodes.forEach(node => {
+      if (!isIgnored(node) && (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE)) {
+        nodes.push(node);
+      }
+    });
+  });
+  return { nodes, removedNodes, oldTexts };
+}
+
+/**
+ * Reduces pending nodes to the outermost connected subtrees worth scanning
+ * @param {Iterable<Node>} nodes - Elements and text nodes collected from mutations
+ * @returns {Array<Node>}
+ */
+export function getScanRoots(nodes) {
+  const candidates = Array.from(new Set(nodes)).filter(node => node.isConnected && isScannable(node));
+  return candidates.filter(node =>
+    !candidates.some(other => other !== node && other.contains(node))
+  );
+}
+
+/**
+ * Merges the IOCs found in new content into the page's results. IOCs already known keep
+ * their id (and so their place and selection in the popup) and have their count raised by
+ * what was added and lowered by what was removed; those left with no occurrences are
+ * dropped. Child IOCs of known parents are re-pointed at the known parent
+ * @param {Array} current - Results of the previous scans
+ * @param {Array} detected - IOCs found in the new content
+ * @param {Array} removed - IOCs found in the content the changes removed
+ * @returns {{iocs: Array, added: Array}} Merged results and the IOCs that are new
+ */
+export function mergeIOCs(current, detected, removed = []) {
+  const key = (ioc) => `${ioc.type}|${ioc.value}`;
+  const known = new Map(current.map(ioc => [key(ioc), ioc]));
+
+  // Ids of detected IOCs that are already known, mapped to the known IOC's id
+  const knownIds = new Map();
+  detected.forEach(ioc => {
+    const existing = known.get(key(ioc));
+    if (existing) knownIds.set(ioc.id, existing.id);
+  });
+  const remapParents = (parentIds) => parentIds && parentIds.map(id => knownIds.get(id) || id);
+
+  const updated = new Map();
+  const getUpdated = (existing) => updated.get(existing.id) || existing;
+  const added = [];
+  detected.forEach(ioc => {
+    const existing = known.get(key(ioc));
+    if (!existing) {
+      added.push(ioc.parentIds ? { ...ioc, parentIds: remapParents(ioc.parentIds) } : ioc);
+      return;
+    }
+    const merged = { ...existing, count: existing.count + ioc.count };
+    if (existing.sources && ioc.sources) {
+      merged.sources = Array.from(new Set([...existing.sources, ...ioc.sources]));
+    }
+    // Only IOCs that are already someone's child take on new parents, so standalone
+    // results do not disappear into a tree
+    if (existing.parentIds && ioc.parentIds) {
+      merged.parentIds = Array.from(new Set([...existing.parentIds, ...remapParents(ioc.parentIds)]));
+    }
+    updated.set(existing.id, merged);
+  });
+  removed.forEach(ioc => {
+    const existing = known.get(key(ioc));
+    if (!existing) return;
+    const merged = getUpdated(existing);
+    updated.set(existing.id, { ...merged, count: Math.max(merged.count - ioc.count, 0) });
+  });
+
+  const iocs = [...current.map(getUpdated), ...added].filter(ioc => ioc.count > 0);
+  if (iocs.length < current.length + added.length) {
+    // Children whose parents were dropped keep the parents that are left
+    const ids = new Set(iocs.map(ioc => ioc.id));
+    iocs.forEach((ioc, index) => {
+      if (!ioc.parentIds || ioc.parentIds.every(id => ids.has(id))) return;
+      const { parentIds, ...rest } = ioc;
+      const remaining = parentIds.filter(id => ids.has(id));
+      iocs[index] = remaining.length > 0 ? { ...rest, parentIds: remaining } : rest;
+    });
+  }
+  return { iocs, added };
+}
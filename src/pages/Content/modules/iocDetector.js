@@ -1,248 +1,429 @@
 /**
- * IOC Detection Patterns
- * Detects various cybersecurity indicators of compromise
+ * IOC Detection
+ * Detects various cybersecurity indicators of compromise using the types in the IOC registry
  */
 
-export const IOC_TYPES = {
-  IPV4: 'IPv4',
-  IPV6: 'IPv6',
-  CIDR: 'CIDR',
-  DEFANGED_IP: 'Defanged IP',
-  MD5: 'MD5',
-  SHA1: 'SHA1',
-  SHA256: 'SHA256',
-  SHA512: 'SHA512',
-  EMAIL: 'Email',
-  DEFANGED_URL: 'Defanged URL',
-  URL: 'URL',
-  FILENAME: 'Filename',
+import { getIOCType, getIOCTypes } from './iocRegistry';
+import { matchAllWithBudget } from './regexGuard';
+import { applySuppressionRules } from './falsePositives';
+import { IOC_TYPES } from './builtinTypes';
+import { detectDefangStyles } from './refang';
+import { unwrapURL, findEncodedBlobs } from './decoders';
+import { getChildIndicators } from './relatedIndicators';
+
+export { IOC_TYPES };
+export {
+  registerIOCType,
+  unregisterIOCType,
+  getIOCType,
+  getIOCTypes,
+  getTypeColor,
+  getTypeCategory,
+  IOC_CATEGORIES,
+} from './iocRegistry';
+
+// Types reported from decoded text; other matches inside decoded blobs are mostly noise
+const DERIVABLE_TYPES = [
+  IOC_TYPES.URL,
+  IOC_TYPES.DEFANGED_URL,
+  IOC_TYPES.IPV4,
+  IOC_TYPES.IPV6,
+  IOC_TYPES.DEFANGED_IP,
+  IOC_TYPES.DOMAIN,
+  IOC_TYPES.EMAIL,
+];
+
+// Types written de-fanged ("evil[.]com", "hxxp://"); the backslashes of paths and pipes
+// ("\\.\pipe\x") are not defang styles
+const DEFANGABLE_TYPES = [
+  IOC_TYPES.URL,
+  IOC_TYPES.DEFANGED_URL,
+  IOC_TYPES.IPV4,
+  IOC_TYPES.IPV6,
+  IOC_TYPES.DEFANGED_IP,
+  IOC_TYPES.CIDR,
+  IOC_TYPES.DOMAIN,
+  IOC_TYPES.EMAIL,
+];
+
+// Types that hold the same kind of value, so a child IPv4 host matches an IP detected de-fanged
+const SAME_VALUE_TYPES = {
+  [IOC_TYPES.IPV4]: [IOC_TYPES.DEFANGED_IP],
 };
 
+// Width of the buckets suppressing matches are indexed in; a match is checked against the
+// suppressing spans that cover the bucket it starts in
+const SUPPRESSION_BUCKET_SIZE = 256;
+
+// How many layers of wrapping to peel (e.g. a SafeLinks URL around a Proofpoint URL)
+const MAX_DECODE_DEPTH = 3;
+
 /**
- * Detection patterns for different IOC types
+ * Detects all IOCs in a given text string
+ * @param {string} text - The text to scan
+ * @param {Object} options - Optional detection options
+ * @param {Set<string>} options.restored - Values the user restored from false-positive suppression
+ * @param {Set<string>} options.falsePositives - Values the user marked as false positives
+ * @param {number} options.decodeDepth - Wrapping layers already peeled (set on recursive calls)
+ * @param {boolean} options.customTypes - Run only the user's custom types (true) or only the
+ *   built-in types (false); all types run when unset
+ * @returns {Array} Array of detected IOCs with type, value, occurrences (character offsets),
+ *   occurrence count, a sentence-level context snippet around the first occurrence and the
+ *   defang styles (`defangStyles`, e.g. ['hxxp', '[.]']) the value was written with.
+ *   Likely false positives are flagged with `suppressed` and a `suppressionReason`.
+ *   Indicators recovered from rewritten links and encoded blobs carry `derivedFrom` (the
+ *   wrapped string as written) and `derivation` (e.g. 'SafeLinks', 'base64'); their
+ *   occurrences are those of the wrapped string.
+ *   The host, registered domain, port and file name of a URL, and the domain of an email,
+ *   are reported as child IOCs whose `parentIds` hold the ids of the URLs/emails they came from
  */
-export const IOC_PATTERNS = {
-  // CIDR ranges (must be checked before plain IPs to avoid duplicates)
-  // IPv4 CIDR: IP address followed by / and subnet mask (0-32)
-  [IOC_TYPES.CIDR]: /\b(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\/(?:[0-9]|[12][0-9]|3[0-2])\b|\b(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}\/(?:[0-9]|[1-9][0-9]|1[01][0-9]|12[0-8])\b|\b(?:[0-9a-fA-F]{1,4}:)*::(?:[0-9a-fA-F]{1,4}:)*[0-9a-fA-F]{1,4}\/(?:[0-9]|[1-9][0-9]|1[01][0-9]|12[0-8])\b/g,
-  
-  // De-fanged IP addresses (must be checked before regular IPs)
-  // IPv4 with brackets around dots: 104.194.150[.]26 or 104[.]194[.]150[.]26
-  [IOC_TYPES.DEFANGED_IP]: /\b(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)(?:\.|\[\.\]|\(\.\))){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\b/g,
-  
-  // IPv4 address (excludes private/localhost ranges for better accuracy)
-  // Exclude if already matched as CIDR or de-fanged
-  [IOC_TYPES.IPV4]: /\b(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)(?!\/)\b/g,
-  
-  // IPv6 address (exclude if already matched as CIDR)
-  [IOC_TYPES.IPV6]: /\b(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}(?!\/)\b|\b(?:[0-9a-fA-F]{1,4}:)*::(?:[0-9a-fA-F]{1,4}:)*[0-9a-fA-F]{1,4}(?!\/)\b/g,
-  
-  // MD5 hash (32 hex characters)
-  [IOC_TYPES.MD5]: /\b[a-fA-F0-9]{32}\b/g,
-  
-  // SHA1 hash (40 hex characters)
-  [IOC_TYPES.SHA1]: /\b[a-fA-F0-9]{40}\b/g,
+export function detectIOCs(text, options = {}) {
+  const detectedIOCs = [];
+  const foundIOCs = new Map(); // Normalized and original values -> IOC, to avoid duplicates
+  const suppressors = createSuppressionIndex();
+  const sharedMatches = createSharedMatches(getIOCTypes());
   
-  // SHA256 hash (64 hex characters)
-  [IOC_TYPES.SHA256]: /\b[a-fA-F0-9]{64}\b/g,
+  // Types run in registry priority order, so e.g. CIDR ranges are found before the plain
+  // IPs inside them and de-fanged URLs before regular URLs
+  getIOCTypes().forEach(definition => {
+    if (definition.derivedOnly) return;
+    if (options.customTypes !== undefined && Boolean(definition.custom) !== options.customTypes) return;
+    const type = definition.name;
+    
+    for (const match of sharedMatches.get(definition, text) || findMatches(definition, text)) {
+      const normalizedMatch = match[0].trim();
+      const start = match.index + match[0].indexOf(normalizedMatch);
+      const end = start + normalizedMatch.length;
+      
+      // Avoid very short matches
+      if (normalizedMatch.length <= 2) continue;
+      
+      // A value seen before (possibly under a higher-priority type such as a de-fanged IP)
+      // only adds another occurrence
+      const knownIOC = foundIOCs.get(normalizedMatch);
+      if (knownIOC) {
+        addOccurrence(knownIOC, start, end);
+        suppressors.add(knownIOC.type, start, end);
+        continue;
+      }
+      
+      // Drop matches that sit inside a match of a type that suppresses this one
+      // (e.g. the IP part of a CIDR range)
+      if (suppressors.covers(type, start, end)) continue;
+      
+      // Normalize (refang) and validate the candidate
+      const finalValue = definition.normalize(normalizedMatch);
+      if (!finalValue || !definition.validate(finalValue, { match: normalizedMatch, start, end, text, detected: detectedIOCs })) {
+        continue;
+      }
+      
+      // Regular URLs and IPs that were already detected as de-fanged only add an occurrence
+      const existingIOC = foundIOCs.get(finalValue);
+      if (existingIOC) {
+        addOccurrence(existingIOC, start, end);
+        suppressors.add(existingIOC.type, start, end);
+        addDefangStyles(existingIOC, normalizedMatch);
+        foundIOCs.set(normalizedMatch, existingIOC);
+        continue;
+      }
+      
+      const ioc = {
+        type: type,
+        value: finalValue,
+        originalValue: finalValue !== normalizedMatch ? normalizedMatch : undefined, // Keep original for display if needed
+        id: `${type}-${finalValue}-${Date.now()}-${Math.random()}`,
+        occurrences: [{ start, end }],
+        defangStyles: DEFANGABLE_TYPES.includes(type) ? detectDefangStyles(normalizedMatch) : [],
+      };
+      foundIOCs.set(finalValue, ioc);
+      foundIOCs.set(normalizedMatch, ioc); // Also add original to avoid duplicate detection
+      detectedIOCs.push(ioc);
+      suppressors.add(type, start, end);
+    }
+  });
   
-  // SHA512 hash (128 hex characters)
-  [IOC_TYPES.SHA512]: /\b[a-fA-F0-9]{128}\b/g,
+  // Matches inside a rewritten link are pieces of its encoded target ("2Fevil.example.com");
+  // the unwrapped URL stands for them (see addDerivedIOCs)
+  removeMatchesInsideWrappers(detectedIOCs);
   
-  // Email address
-  [IOC_TYPES.EMAIL]: /\b[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}\b/g,
+  // Summarize occurrences for display: count plus the sentence around the first sighting,
+  // then let the type add its own details
+  detectedIOCs.forEach(ioc => {
+    ioc.occurrences.sort((a, b) => a.start - b.start);
+    ioc.count = ioc.occurrences.length;
+    ioc.context = getContextSnippet(text, ioc.occurrences[0].start, ioc.occurrences[0].end);
+    
+    const definition = getIOCType(ioc.type);
+    if (definition && definition.enrich) {
+      Object.assign(ioc, definition.enrich(ioc, detectedIOCs));
+    }
+  });
   
-  // De-fanged URLs (must be checked before regular URLs)
-  // Patterns: hxxp://, hxxps://, ftxp://, and URLs with [.] or (.) instead of dots
-  // Handles multi-part TLDs like .co.uk, .com.au, etc. with brackets anywhere in domain
-  // Captures full URLs including paths, query strings (?key=value), fragments (#section), and file extensions
-  [IOC_TYPES.DEFANGED_URL]: /\b(?:hxxps?|ftxp):\/\/[^\s<>"{}|\\^`]+|\b(?:https?|ftp|hxxps?|ftxp):\/\/[^\s<>"{}|\\^`]*[\[\(]\.?[\]\)][^\s<>"{}|\\^`]+/g,
+  // Flag version numbers, identifier-like hex, benign file names and other noise
+  applySuppressionRules(detectedIOCs, text, options.restored, options.falsePositives);
   
-  // URL (http/https/ftp) - exclude if already matched as de-fanged
-  // Captures full URLs including paths (/path/to/file.html), query strings (?key=value&key2=value2), 
-  // fragments (#section), ports (:80), and all valid URL characters
-  // Stops at whitespace or clearly non-URL characters (<>"{}|\^`)
-  [IOC_TYPES.URL]: /\b(?:https?|ftp):\/\/[^\s<>"{}|\\^`]+/g,
+  const decodeDepth = options.decodeDepth || 0;
+  // Only built-in types wrap or encode other indicators
+  if (decodeDepth < MAX_DECODE_DEPTH && options.customTypes !== true) {
+    addDerivedIOCs(text, detectedIOCs, { ...options, decodeDepth: decodeDepth + 1 });
+  }
+  if (decodeDepth === 0) {
+    addChildIOCs(detectedIOCs);
+  }
   
-  // Filename with common suspicious extensions (more focused pattern)
-  [IOC_TYPES.FILENAME]: /\b[\w\-_][\w\-_.]*\.(?:exe|dll|bat|cmd|com|pif|scr|vbs|js|jar|msi|sys|drv|bin|sh|ps1|app|deb|rpm|dmg|pkg|apk|ipa|zip|rar|7z|tar|gz|pdf|doc|docx|xls|xlsx|ppt|pptx|txt|log|csv|xml|json|html|htm|php|asp|aspx|jsp|py|rb|pl|bash|psm1|psd1|vbe|wsf|wsh|jse|war|ear|class|iso|img|dat|db|sqlite|mdb|accdb|bak|tmp|temp|old|backup|lock|pid|conf|config|ini|cfg|yaml|yml|env|properties|key|pem|crt|cert|p12|pfx|keystore|truststore|jks)\b/gi,
-};
+  return detectedIOCs;
+}
 
 /**
- * Detects all IOCs in a given text string
- * @param {string} text - The text to scan
- * @returns {Array} Array of detected IOCs with type and value
+ * Drops the occurrences that lie inside a rewritten link (SafeLinks, Proofpoint and the other
+ * wrappers unwrapURL recognizes), and the IOCs left with none
+ * @param {Array} detectedIOCs - Detected IOCs; changed in place
  */
-export function detectIOCs(text) {
-  const detectedIOCs = [];
-  const foundValues = new Set(); // To avoid duplicates
+function removeMatchesInsideWrappers(detectedIOCs) {
+  const wrappers = detectedIOCs.filter(ioc =>
+    (ioc.type === IOC_TYPES.URL || ioc.type === IOC_TYPES.DEFANGED_URL) && unwrapURL(ioc.value)
+  );
+  if (wrappers.length === 0) return;
   
-  // Order matters: CIDR should be checked first to avoid matching the IP part separately
-  // De-fanged IPs should be checked before regular IPs
-  // De-fanged URLs should be checked before regular URLs
-  const detectionOrder = [
-    IOC_TYPES.CIDR,
-    IOC_TYPES.DEFANGED_IP,
-    IOC_TYPES.IPV4,
-    IOC_TYPES.IPV6,
-    IOC_TYPES.MD5,
-    IOC_TYPES.SHA1,
-    IOC_TYPES.SHA256,
-    IOC_TYPES.SHA512,
-    IOC_TYPES.EMAIL,
-    IOC_TYPES.DEFANGED_URL,
-    IOC_TYPES.URL,
-    IOC_TYPES.FILENAME,
-  ];
+  const spans = wrappers.flatMap(wrapper => wrapper.occurrences);
+  for (let i = detectedIOCs.length - 1; i >= 0; i--) {
+    const ioc = detectedIOCs[i];
+    if (wrappers.includes(ioc)) continue;
+    ioc.occurrences = ioc.occurrences.filter(occurrence =>
+      !spans.some(span => occurrence.start >= span.start && occurrence.end <= span.end)
+    );
+    if (ioc.occurrences.length === 0) detectedIOCs.splice(i, 1);
+  }
+}
+
+/**
+ * Adds the indicators contained in each URL and email as its children. A value that was
+ * already detected only inside the parent (e.g. the file name at the end of the URL), or
+ * that is already another parent's child, is linked rather than duplicated
+ * @param {Array} detectedIOCs - Detected IOCs; child IOCs are appended
+ */
+function addChildIOCs(detectedIOCs) {
+  const key = ioc => `${ioc.type}|${ioc.value}`;
+  const known = new Map(detectedIOCs.map(ioc => [key(ioc), ioc]));
   
-  // Scan for each IOC type in order
-  detectionOrder.forEach(type => {
-    const pattern = IOC_PATTERNS[type];
-    if (!pattern) return;
-    
-    const matches = text.match(pattern);
+  detectedIOCs.slice().forEach(parent => {
+    // The hosts of SafeLinks and other rewriters are not indicators; the unwrapped URL has the children
+    if (parent.suppressed || unwrapURL(parent.value)) return;
     
-    if (matches) {
-      matches.forEach(match => {
-        const normalizedMatch = match.trim();
-        // Avoid duplicates and very short matches
-        // Also check if this match is part of a previously found CIDR
-        if (normalizedMatch.length > 2 && !foundValues.has(normalizedMatch)) {
-          // Check if this IP is part of a CIDR we already found
-          let isPartOfCIDR = false;
-          if (type === IOC_TYPES.IPV4 || type === IOC_TYPES.IPV6) {
-            for (const foundValue of foundValues) {
-              if (foundValue.includes('/') && foundValue.startsWith(normalizedMatch + '/')) {
-                isPartOfCIDR = true;
-                break;
-              }
-            }
-          }
-          
-          if (!isPartOfCIDR) {
-            // Normalize de-fanged URLs and IPs
-            let finalValue = normalizedMatch;
-            if (type === IOC_TYPES.DEFANGED_URL) {
-              finalValue = normalizeDefangedURL(normalizedMatch);
-            } else if (type === IOC_TYPES.DEFANGED_IP) {
-              finalValue = normalizeDefangedIP(normalizedMatch);
-            }
-            
-            // For regular URLs, check if they were already detected as de-fanged URLs
-            if (type === IOC_TYPES.URL) {
-              let wasDefanged = false;
-              for (const foundValue of foundValues) {
-                // Check if this URL matches a normalized de-fanged URL
-                if (foundValue === normalizedMatch || foundValue === finalValue) {
-                  wasDefanged = true;
-                  break;
-                }
-              }
-              if (wasDefanged) {
-                return; // Skip this URL as it was already detected as de-fanged
-              }
-            }
-            
-            // For regular IPs, check if they were already detected as de-fanged IPs
-            if (type === IOC_TYPES.IPV4 || type === IOC_TYPES.IPV6) {
-              let wasDefanged = false;
-              for (const foundValue of foundValues) {
-                // Check if this IP matches a normalized de-fanged IP
-                if (foundValue === normalizedMatch || foundValue === finalValue) {
-                  wasDefanged = true;
-                  break;
-                }
-              }
-              if (wasDefanged) {
-                return; // Skip this IP as it was already detected as de-fanged
-              }
-            }
-            
-            // Check if normalized value already exists (avoid duplicates)
-            if (!foundValues.has(finalValue) && !foundValues.has(normalizedMatch)) {
-              foundValues.add(finalValue);
-              foundValues.add(normalizedMatch); // Also add original to avoid duplicate detection
-              detectedIOCs.push({
-                type: type,
-                value: finalValue,
-                originalValue: (type === IOC_TYPES.DEFANGED_URL || type === IOC_TYPES.DEFANGED_IP) ? normalizedMatch : undefined, // Keep original for display if needed
-                id: `${type}-${finalValue}-${Date.now()}-${Math.random()}`,
-              });
-            }
-          }
+    getChildIndicators(parent).forEach(indicator => {
+      const existing = [indicator.type, ...(SAME_VALUE_TYPES[indicator.type] || [])]
+        .map(type => known.get(key({ ...indicator, type })))
+        .find(Boolean);
+      if (existing) {
+        if (existing === parent) return;
+        const insideParent = existing.occurrences.every(occurrence =>
+          parent.occurrences.some(outer => occurrence.start >= outer.start && occurrence.end <= outer.end)
+        );
+        if (existing.parentIds || insideParent) {
+          existing.parentIds = [...(existing.parentIds || []), parent.id];
+          parent.occurrences.forEach(({ start, end }) => addOccurrence(existing, start, end));
+          existing.count = existing.occurrences.length;
         }
-      });
+        return;
+      }
+      
+      const child = {
+        ...indicator,
+        id: `${indicator.type}-${indicator.value}-${Date.now()}-${Math.random()}`,
+        occurrences: parent.occurrences.map(occurrence => ({ ...occurrence })),
+        count: parent.count,
+        context: parent.context,
+        defangStyles: [],
+        parentIds: [parent.id],
+      };
+      const definition = getIOCType(child.type);
+      if (definition && definition.enrich) {
+        Object.assign(child, definition.enrich(child, detectedIOCs));
+      }
+      known.set(key(child), child);
+      detectedIOCs.push(child);
+    });
+  });
+}
+
+/**
+ * Unwraps rewritten links and decodes base64/hex blobs, then adds the indicators found in
+ * the decoded text that were not detected directly
+ * @param {string} text - The scanned text
+ * @param {Array} detectedIOCs - IOCs detected in the text; derived IOCs are appended
+ * @param {Object} options - Detection options for the decoded text
+ */
+function addDerivedIOCs(text, detectedIOCs, options) {
+  const sources = [];
+  detectedIOCs.forEach(ioc => {
+    if (ioc.type !== IOC_TYPES.URL && ioc.type !== IOC_TYPES.DEFANGED_URL) return;
+    const unwrapped = unwrapURL(ioc.value);
+    if (unwrapped) {
+      sources.push({ decoded: unwrapped.value, via: unwrapped.via, value: ioc.originalValue || ioc.value, occurrences: ioc.occurrences });
     }
   });
+  findEncodedBlobs(text).forEach(blob => {
+    sources.push({ ...blob, occurrences: [{ start: blob.start, end: blob.end }] });
+  });
   
-  return detectedIOCs;
+  const key = ioc => `${ioc.type}|${ioc.value}`;
+  const known = new Map(detectedIOCs.map(ioc => [key(ioc), ioc]));
+  sources.forEach(source => {
+    detectIOCs(source.decoded, options).forEach(found => {
+      if (!DERIVABLE_TYPES.includes(found.type)) return;
+      
+      // The same indicator behind several wrappers only gains occurrences
+      const knownIOC = known.get(key(found));
+      if (knownIOC) {
+        if (knownIOC.derivedFrom) {
+          source.occurrences.forEach(({ start, end }) => addOccurrence(knownIOC, start, end));
+          knownIOC.count = knownIOC.occurrences.length;
+        }
+        return;
+      }
+      
+      const { start, end } = source.occurrences[0];
+      const ioc = {
+        ...found,
+        occurrences: source.occurrences.map(occurrence => ({ ...occurrence })),
+        count: source.occurrences.length,
+        context: getContextSnippet(text, start, end),
+        // Keep the outermost wrapper when the value was nested several layers deep
+        derivedFrom: source.value,
+        derivation: found.derivation ? `${source.via}, ${found.derivation}` : source.via,
+      };
+      known.set(key(ioc), ioc);
+      detectedIOCs.push(ioc);
+    });
+  });
 }
 
 /**
- * Normalizes de-fanged IP addresses back to their original form
- * @param {string} defangedIP - The de-fanged IP address
- * @returns {string} Normalized IP address
+ * Runs a type's pattern over the text; time-limited types are run under the regex guard
+ * @param {Object} definition - Registered IOC type
+ * @param {string} text - The text to scan
+ * @returns {Iterable} Matches with match[0] and match.index
  */
-function normalizeDefangedIP(defangedIP) {
-  let normalized = defangedIP;
-  
-  // Replace [.] with . (handles brackets around dots - most common pattern)
-  normalized = normalized.replace(/\[\.\]/g, '.');
-  
-  // Replace (.) with . (handles parentheses around dots)
-  normalized = normalized.replace(/\(\.\)/g, '.');
+function findMatches(definition, text) {
+  if (!definition.maxScanTime) {
+    return text.matchAll(definition.pattern);
+  }
   
-  // Replace [dot] with . (handles bracket-word format)
-  normalized = normalized.replace(/\[dot\]/gi, '.');
-  
-  // Replace (dot) with . (handles parenthesis-word format)
-  normalized = normalized.replace(/\(dot\)/gi, '.');
-  
-  // Handle brackets with just a dot inside: [ . ] or [. ] or [ .] (with spaces)
-  normalized = normalized.replace(/\[\s*\.\s*\]/g, '.');
-  
-  // Handle parentheses with just a dot inside: ( . ) or (. ) or ( .) (with spaces)
-  normalized = normalized.replace(/\(\s*\.\s*\)/g, '.');
-  
-  return normalized;
+  const { matches, timedOut } = matchAllWithBudget(definition.pattern, text, definition.maxScanTime);
+  if (timedOut) {
+    console.warn(`IOC Snatch.ai: Pattern for "${definition.name}" exceeded its ${definition.maxScanTime}ms budget; results are partial`);
+  }
+  return matches;
 }
 
 /**
- * Normalizes de-fanged URLs back to their original form
- * @param {string} defangedUrl - The de-fanged URL
- * @returns {string} Normalized URL
+ * Keeps the matches of patterns that several types share (the MD5-sized hashes told apart by
+ * their label), so each such pattern runs once per text
+ * @param {Array} definitions - Registered IOC types
+ * @returns {{get: Function}} get(definition, text) returns the matches of a shared pattern,
+ *   or null for a pattern only one type uses
  */
-function normalizeDefangedURL(defangedUrl) {
-  let normalized = defangedUrl;
-  
-  // Replace hxxp:// with http://
-  normalized = normalized.replace(/^hxxp:\/\//i, 'http://');
-  
-  // Replace hxxps:// with https://
-  normalized = normalized.replace(/^hxxps:\/\//i, 'https://');
-  
-  // Replace ftxp:// with ftp://
-  normalized = normalized.replace(/^ftxp:\/\//i, 'ftp://');
-  
-  // Replace [.] with . (handles brackets around dots - most common pattern)
-  normalized = normalized.replace(/\[\.\]/g, '.');
-  
-  // Replace (.) with . (handles parentheses around dots)
-  normalized = normalized.replace(/\(\.\)/g, '.');
-  
-  // Replace [dot] with . (handles bracket-word format)
-  normalized = normalized.replace(/\[dot\]/gi, '.');
-  
-  // Replace (dot) with . (handles parenthesis-word format)
-  normalized = normalized.replace(/\(dot\)/gi, '.');
-  
-  // Handle brackets with just a dot inside: [ . ] or [. ] or [ .] (with spaces)
-  normalized = normalized.replace(/\[\s*\.\s*\]/g, '.');
-  
-  // Handle parentheses with just a dot inside: ( . ) or (. ) or ( .) (with spaces)
-  normalized = normalized.replace(/\(\s*\.\s*\)/g, '.');
+function createSharedMatches(definitions) {
+  const key = ({ pattern }) => `${pattern.source}/${pattern.flags}`;
+  const uses = new Map();
+  definitions.forEach(definition => {
+    if (definition.derivedOnly || definition.maxScanTime) return;
+    uses.set(key(definition), (uses.get(key(definition)) || 0) + 1);
+  });
+  const matches = new Map();
+  return {
+    get(definition, text) {
+      if (definition.derivedOnly || definition.maxScanTime || uses.get(key(definition)) < 2) return null;
+      if (!matches.has(key(definition))) {
+        matches.set(key(definition), Array.from(text.matchAll(definition.pattern)));
+      }
+      return matches.get(key(definition));
+    },
+  };
+}
+
+/**
+ * Creates an index of the spans matched by types that suppress other types, so checking a
+ * match does not walk every IOC found before it
+ * @returns {{add: Function, covers: Function}} add(type, start, end) records a match;
+ *   covers(type, start, end) tells whether a match of `type` lies inside a recorded match
+ *   of a type that suppresses it
+ */
+function createSuppressionIndex() {
+  const buckets = new Map(); // Bucket number -> [{suppresses, start, end}] of spans over it
+  return {
+    add(type, start, end) {
+      const definition = getIOCType(type);
+      if (!definition || definition.suppresses.length === 0) return;
+      const span = { suppresses: definition.suppresses, start, end };
+      const last = Math.floor((end - 1) / SUPPRESSION_BUCKET_SIZE);
+      for (let bucket = Math.floor(start / SUPPRESSION_BUCKET_SIZE); bucket <= last; bucket++) {
+        if (!buckets.has(bucket)) buckets.set(bucket, []);
+        buckets.get(bucket).push(span);
+      }
+    },
+    covers(type, start, end) {
+      const spans = buckets.get(Math.floor(start / SUPPRESSION_BUCKET_SIZE)) || [];
+      return spans.some(span => span.suppresses.includes(type) && start >= span.start && end <= span.end);
+    },
+  };
+}
+
+/**
+ * Records another occurrence of an IOC unless it overlaps one already recorded
+ * (the same text can be matched by more than one pattern, e.g. de-fanged and plain IPv4)
+ * @param {Object} ioc - Detected IOC
+ * @param {number} start - Start offset of the match in the scanned text
+ * @param {number} end - End offset of the match in the scanned text
+ */
+function addOccurrence(ioc, start, end) {
+  const overlaps = ioc.occurrences.some(occurrence => start < occurrence.end && end > occurrence.start);
+  if (!overlaps) {
+    ioc.occurrences.push({ start, end });
+  }
+}
+
+/**
+ * Adds the defang styles of another spelling of an IOC (e.g. "evil[.]com" after "evil{.}com")
+ * @param {Object} ioc - Detected IOC
+ * @param {string} match - Matched text
+ */
+function addDefangStyles(ioc, match) {
+  if (!DEFANGABLE_TYPES.includes(ioc.type)) return;
+  detectDefangStyles(match).forEach(style => {
+    if (!ioc.defangStyles.includes(style)) {
+      ioc.defangStyles.push(style);
+    }
+  });
+}
+
+/**
+ * Extracts the sentence surrounding a match, trimmed to a readable length
+ * @param {string} text - The scanned text
+ * @param {number} start - Start offset of the match
+ * @param {number} end - End offset of the match
+ * @param {number} maxSide - Maximum number of characters kept on each side of the match
+ * @returns {string} Context snippet, with "..." where the sentence was cut
+ */
+export function getContextSnippet(text, start, end, maxSide = 60) {
+  // Sentence boundaries: line breaks, or ".!?" followed by whitespace (dots inside IOCs don't count)
+  let from = start;
+  while (from > 0 && start - from < maxSide) {
+    const prev = text[from - 1];
+    if (prev === '\n' || (/\s/.test(prev) && /[.!?]/.test(text[from - 2] || ''))) break;
+    from--;
+  }
+  let to = end;
+  while (to < text.length && to - end < maxSide) {
+    const next = text[to];
+    if (next === '\n' || (/[.!?]/.test(next) && (to + 1 === text.length || /\s/.test(text[to + 1])))) break;
+    to++;
+  }
   
-  return normalized;
+  const snippet = text.slice(from, to).replace(/\s+/g, ' ').trim();
+  const prefix = from > 0 && start - from >= maxSide ? '...' : '';
+  const suffix = to < text.length && to - end >= maxSide ? '...' : '';
+  return `${prefix}${snippet}${suffix}`;
 }
 
 /**
@@ -252,7 +433,11 @@ function normalizeDefangedURL(defangedUrl) {
  * @returns {boolean}
  */
 export function validateIOC(value, type) {
-  if (!IOC_PATTERNS[type]) return false;
-  const pattern = new RegExp(`^${IOC_PATTERNS[type].source.replace(/[gimuy]/g, '')}$`);
+  const definition = getIOCType(type);
+  if (!definition) return false;
+  if (definition.derivedOnly) {
+    return definition.validate(value, { match: value, start: 0, end: value.length, text: value, detected: [] });
+  }
+  const pattern = new RegExp(`^(?:${definition.pattern.source})$`, definition.pattern.flags.replace('g', ''));
   return pattern.test(value);
 }
@@ -0,0 +1,108 @@
+/**
+ * IOC Type Registry
+ * Single source of truth for the IOC types known to the detector, highlighter and popup.
+ * Built-in types are registered by builtinTypes.js; additional types can be registered
+ * at runtime with registerIOCType().
+ */
+
+const DEFAULT_PRIORITY = 500;
+const DEFAULT_COLOR = '#95a5a6';
+
+// Groups the popup and exports keep apart: network/file indicators vs. TTPs and vulnerabilities
+export const IOC_CATEGORIES = {
+  INDICATOR: 'indicator',
+  TTP: 'ttp',
+};
+
+const registry = new Map();
+
+/**
+ * Registers (or replaces) an IOC type
+ * @param {Object} definition - Type definition
+ * @param {string} definition.name - Display name, also used as the IOC's `type` field
+ * @param {RegExp} definition.pattern - Global regex that finds candidates in text; not set
+ *   for derived-only types
+ * @param {boolean} [definition.derivedOnly] - The type is never matched in text, only derived
+ *   from other IOCs (e.g. the port of a URL); values are checked with `validate` alone
+ * @param {number} [definition.priority] - Detection order, lower runs first. A type can only
+ *   suppress types with a larger priority, since those are detected after it
+ * @param {Function} [definition.normalize] - (match) => normalized value, e.g. refanging
+ * @param {Function} [definition.validate] - (value, context) => boolean, where context holds
+ *   { match, start, end, text, detected }; return false to reject a candidate
+ * @param {string} [definition.color] - Badge/highlight color
+ * @param {string} [definition.category] - One of IOC_CATEGORIES (defaults to INDICATOR)
+ * @param {Array<string>} [definition.suppresses] - Type names whose matches are dropped when
+ *   they fall inside a match of this type (e.g. CIDR suppresses IPv4)
+ * @param {Function} [definition.enrich] - (ioc, detected) => extra fields merged into each
+ *   detected IOC of this type, e.g. the address category of an IP; `detected` holds every IOC
+ *   found in the text so related IOCs can be linked
+ * @param {number} [definition.maxScanTime] - If set, the pattern is run in bounded segments
+ *   and abandoned after this many milliseconds (used for user-supplied patterns)
+ * @returns {Object} The stored definition
+ */
+export function registerIOCType(definition) {
+  if (!definition || !definition.name) {
+    throw new Error('IOC type definition requires a name');
+  }
+  if (!definition.derivedOnly && (!(definition.pattern instanceof RegExp) || !definition.pattern.global)) {
+    throw new Error(`IOC type "${definition.name}" requires a global RegExp pattern`);
+  }
+
+  const stored = {
+    priority: DEFAULT_PRIORITY,
+    normalize: (match) => match,
+    validate: () => true,
+    color: DEFAULT_COLOR,
+    category: IOC_CATEGORIES.INDICATOR,
+    suppresses: [],
+    ...definition,
+  };
+  registry.set(stored.name, stored);
+  return stored;
+}
+
+/**
+ * Removes an IOC type from the registry
+ * @param {string} name - Type name
+ * @returns {boolean} Whether a type was removed
+ */
+export function unregisterIOCType(name) {
+  return registry.delete(name);
+}
+
+/**
+ * Looks up a registered IOC type
+ * @param {string} name - Type name
+ * @returns {Object|undefined}
+ */
+export function getIOCType(name) {
+  return registry.get(name);
+}
+
+/**
+ * Returns all registered IOC types in detection order
+ * @returns {Array<Object>}
+ */
+export function getIOCTypes() {
+  return Array.from(registry.values()).sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Returns the display color for an IOC type
+ * @param {string} name - Type name
+ * @returns {string} CSS color
+ */
+export function getTypeColor(name) {
+  const definition = registry.get(name);
+  return definition ? definition.color : DEFAULT_COLOR;
+}
+
+/**
+ * Returns the category of an IOC type
+ * @param {string} name - Type name
+ * @returns {string} One of IOC_CATEGORIES
+ */
+export function getTypeCategory(name) {
+  const definition = registry.get(name);
+  return definition ? definition.category : IOC_CATEGORIES.INDICATOR;
+}
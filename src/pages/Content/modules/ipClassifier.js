@@ -0,0 +1,172 @@
+/**
+ * IP address classification
+ * Tags IPv4/IPv6 addresses and CIDR ranges with their special-purpose category
+ * (RFC 6890 / IANA special-purpose registries), so that private, reserved and bogon
+ * addresses can be hidden or de-emphasized.
+ */
+
+export const IP_CATEGORIES = {
+  PUBLIC: 'public',
+  PRIVATE: 'private',
+  RESERVED: 'reserved',
+  BOGON: 'bogon',
+};
+
+// [range, label, RFC, category]
+const IPV4_SPECIAL_RANGES = [
+  ['0.0.0.0/8', 'This network', 'RFC 1122', IP_CATEGORIES.BOGON],
+  ['10.0.0.0/8', 'Private (RFC1918)', 'RFC 1918', IP_CATEGORIES.PRIVATE],
+  ['100.64.0.0/10', 'CGNAT shared', 'RFC 6598', IP_CATEGORIES.PRIVATE],
+  ['127.0.0.0/8', 'Loopback', 'RFC 1122', IP_CATEGORIES.RESERVED],
+  ['169.254.0.0/16', 'Link-local', 'RFC 3927', IP_CATEGORIES.RESERVED],
+  ['172.16.0.0/12', 'Private (RFC1918)', 'RFC 1918', IP_CATEGORIES.PRIVATE],
+  ['192.0.0.0/24', 'IETF protocol assignment', 'RFC 6890', IP_CATEGORIES.RESERVED],
+  ['192.0.2.0/24', 'TEST-NET-1', 'RFC 5737', IP_CATEGORIES.RESERVED],
+  ['192.88.99.0/24', '6to4 relay anycast', 'RFC 7526', IP_CATEGORIES.RESERVED],
+  ['192.168.0.0/16', 'Private (RFC1918)', 'RFC 1918', IP_CATEGORIES.PRIVATE],
+  ['198.18.0.0/15', 'Benchmarking', 'RFC 2544', IP_CATEGORIES.RESERVED],
+  ['198.51.100.0/24', 'TEST-NET-2', 'RFC 5737', IP_CATEGORIES.RESERVED],
+  ['203.0.113.0/24', 'TEST-NET-3', 'RFC 5737', IP_CATEGORIES.RESERVED],
+  ['224.0.0.0/4', 'Multicast', 'RFC 5771', IP_CATEGORIES.RESERVED],
+  ['255.255.255.255/32', 'Limited broadcast', 'RFC 919', IP_CATEGORIES.BOGON],
+  ['240.0.0.0/4', 'Reserved (class E)', 'RFC 1112', IP_CATEGORIES.BOGON],
+];
+
+const IPV6_SPECIAL_RANGES = [
+  ['::/128', 'Unspecified', 'RFC 4291', IP_CATEGORIES.BOGON],
+  ['::1/128', 'Loopback', 'RFC 4291', IP_CATEGORIES.RESERVED],
+  ['100::/64', 'Discard-only', 'RFC 6666', IP_CATEGORIES.RESERVED],
+  ['2001:db8::/32', 'Documentation', 'RFC 3849', IP_CATEGORIES.RESERVED],
+  ['fc00::/7', 'Unique local (ULA)', 'RFC 4193', IP_CATEGORIES.PRIVATE],
+  ['fe80::/10', 'Link-local', 'RFC 4291', IP_CATEGORIES.RESERVED],
+  ['ff00::/8', 'Multicast', 'RFC 4291', IP_CATEGORIES.RESERVED],
+  // Everything outside global unicast (2000::/3) is unallocated
+  ['::/0', 'Unallocated', 'RFC 4291', IP_CATEGORIES.BOGON],
+];
+
+const GLOBAL_UNICAST_V6 = '2000::/3';
+
+/**
+ * Parses a dotted-quad IPv4 address into 4 octets
+ * @param {string} address - IPv4 address
+ * @returns {Array<number>|null}
+ */
+function parseIPv4(address) {
+  const parts = address.split('.');
+  if (parts.length !== 4) return null;
+  const octets = parts.map(Number);
+  return octets.every((octet, i) => /^\d{1,3}$/.test(parts[i]) && octet <= 255) ? octets : null;
+}
+
+/**
+ * Parses an IPv6 address into 16 bytes, expanding "::" and embedded IPv4
+ * @param {string} address - IPv6 address
+ * @returns {Array<number>|null}
+ */
+function parseIPv6(address) {
+  let text = address.toLowerCase().split('%')[0];
+
+  // Trailing dotted IPv4 (::ffff:1.2.3.4) becomes two hex groups
+  const embedded = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    const octets = parseIPv4(embedded[2]);
+    if (!octets) return null;
+    text = `${embedded[1]}${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if ((halves.length === 1 && missing !== 0) || missing < 0) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (!groups.every((group) => /^[0-9a-f]{1,4}$/.test(group))) return null;
+
+  const bytes = [];
+  groups.forEach((group) => {
+    const value = parseInt(group, 16);
+    bytes.push(value >> 8, value & 0xff);
+  });
+  return bytes;
+}
+
+/**
+ * Parses an address or CIDR into bytes and a prefix length
+ * @param {string} value - IP address or CIDR range
+ * @returns {{bytes: Array<number>, prefix: number, version: number}|null}
+ */
+function parseIP(value) {
+  const [address, prefixText] = value.trim().split('/');
+  const v4 = parseIPv4(address);
+  const bytes = v4 || parseIPv6(address);
+  if (!bytes) return null;
+
+  const bits = bytes.length * 8;
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) return null;
+  return { bytes, prefix, version: v4 ? 4 : 6 };
+}
+
+/**
+ * Checks whether the first `prefix` bits of two byte arrays are equal
+ */
+function prefixMatches(bytes, rangeBytes, prefix) {
+  for (let bit = 0; bit < prefix; bit += 8) {
+    const remaining = Math.min(8, prefix - bit);
+    const mask = (0xff << (8 - remaining)) & 0xff;
+    if ((bytes[bit / 8] & mask) !== (rangeBytes[bit / 8] & mask)) return false;
+  }
+  return true;
+}
+
+/**
+ * Checks whether a parsed address/range lies entirely inside a special range
+ */
+function isInRange(parsed, range) {
+  const rangeParsed = parseIP(range);
+  return (
+    rangeParsed &&
+    rangeParsed.version === parsed.version &&
+    parsed.prefix >= rangeParsed.prefix &&
+    prefixMatches(parsed.bytes, rangeParsed.bytes, rangeParsed.prefix)
+  );
+}
+
+/**
+ * Classifies an IPv4/IPv6 address or CIDR range
+ * @param {string} value - IP address or CIDR range (already refanged)
+ * @returns {{category: string, label: string, rfc: string, routable: boolean}|null}
+ *   null when the value is not a parseable IP
+ */
+export function classifyIP(value) {
+  const parsed = parseIP(value);
+  if (!parsed) return null;
+
+  // IPv4-mapped IPv6 (::ffff:a.b.c.d) takes the classification of the IPv4 address
+  if (parsed.version === 6 && isInRange(parsed, '::ffff:0:0/96') && parsed.prefix === 128) {
+    return classifyIP(parsed.bytes.slice(12).join('.'));
+  }
+
+  const ranges = parsed.version === 4 ? IPV4_SPECIAL_RANGES : IPV6_SPECIAL_RANGES;
+  const isGlobalV6 = parsed.version === 6 && isInRange(parsed, GLOBAL_UNICAST_V6);
+
+  for (const [range, label, rfc, category] of ranges) {
+    if (range === '::/0' && isGlobalV6) continue;
+    if (isInRange(parsed, range)) {
+      return { category, label, rfc, routable: false };
+    }
+  }
+
+  return { category: IP_CATEGORIES.PUBLIC, label: 'Public', rfc: '', routable: true };
+}
+
+/**
+ * Whether an IOC was classified as a private, reserved or bogon address
+ * @param {Object} ioc - Detected IOC
+ * @returns {boolean}
+ */
+export function isNonRoutable(ioc) {
+  return !!ioc.ipClass && !ioc.ipClass.routable;
+}
@@ -0,0 +1,31 @@
+/**
+ * Isolated host
+ * Creates the elements the extension draws on top of pages (hover card, color legend) inside
+ * a closed shadow root, so page CSS cannot restyle them and page scripts cannot read them.
+ */
+
+/**
+ * Creates a host element with a closed shadow root styled by the given CSS. The host is
+ * appended to the document element by the caller when first shown
+ * @param {string} tagName - Custom element name of the host (e.g. 'ioc-snatch-card')
+ * @param {string} css - Styles for the shadow root; :host rules should be !important so page
+ *   styles for the tag cannot override them
+ * @returns {{host: HTMLElement, root: ShadowRoot}}
+ */
+export function createIsolatedHost(tagName, css) {
+  const host = document.createElement(tagName);
+  const root = host.attachShadow({ mode: 'closed' });
+  // A constructed stylesheet is not subject to the page's style-src policy
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(css);
+  root.adoptedStyleSheets = [sheet];
+  return { host, root };
+}
+
+/**
+ * Appends a host to the page if it is not (or no longer) attached
+ * @param {HTMLElement} host - Host element
+ */
+export function attachHost(host) {
+  if (!host.isConnected) document.documentElement.appendChild(host);
+}
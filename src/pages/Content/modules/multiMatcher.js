@@ -0,0 +1,87 @@
+/**
+ * Multi-pattern matcher
+ * Finds every occurrence of many literal strings in one pass over a text (Aho-Corasick),
+ * case-insensitively. Used by the highlighter, which would otherwise run one regex per IOC
+ * over every text node of the page.
+ */
+
+// Lower-case form of each UTF-16 code unit; characters whose lower-case form is longer
+// (such as "İ") are kept as-is so match offsets stay those of the original text
+let foldTable = null;
+
+function getFoldTable() {
+  if (!foldTable) {
+    foldTable = new Uint16Array(0x10000);
+    for (let code = 0; code < 0x10000; code++) {
+      const lower = String.fromCharCode(code).toLowerCase();
+      foldTable[code] = lower.length === 1 ? lower.charCodeAt(0) : code;
+    }
+  }
+  return foldTable;
+}
+
+/**
+ * Builds a matcher for a list of literal strings
+ * @param {Array<string>} patterns - Strings to find (empty strings are ignored)
+ * @returns {{findAll: Function}} findAll(text) returns every match, overlapping ones
+ *   included, as {start, end, index} where index is the position of the string in patterns
+ */
+export function createMatcher(patterns) {
+  const fold = getFoldTable();
+  const transitions = [new Map()]; // Per state: folded code unit -> next state
+  const outputs = [[]]; // Per state: indexes of the patterns that end here
+  const fail = [0];
+
+  patterns.forEach((pattern, index) => {
+    if (!pattern) return;
+    let state = 0;
+    for (let i = 0; i < pattern.length; i++) {
+      const code = fold[pattern.charCodeAt(i)];
+      let next = transitions[state].get(code);
+      if (next === undefined) {
+        next = transitions.length;
+        transitions.push(new Map());
+        outputs.push([]);
+        fail.push(0);
+        transitions[state].set(code, next);
+      }
+      state = next;
+    }
+    outputs[state].push(index);
+  });
+
+  // Breadth-first, so each state's failure link points at an already finished state
+  const queue = Array.from(transitions[0].values());
+  for (let head = 0; head < queue.length; head++) {
+    const state = queue[head];
+    transitions[state].forEach((next, code) => {
+      let link = fail[state];
+      while (link !== 0 && !transitions[link].has(code)) link = fail[link];
+      const target = transitions[link].get(code);
+      fail[next] = target !== undefined && target !== next ? target : 0;
+      if (outputs[fail[next]].length > 0) {
+        outputs[next] = outputs[next].concat(outputs[fail[next]]);
+      }
+      queue.push(next);
+    });
+  }
+
+  const lengths = patterns.map(pattern => (pattern ? pattern.length : 0));
+
+  return {
+    findAll(text) {
+      const matches = [];
+      let state = 0;
+      for (let i = 0; i < text.length; i++) {
+        const code = fold[text.charCodeAt(i)];
+        while (state !== 0 && !transitions[state].has(code)) state = fail[state];
+        state = transitions[state].get(code) || 0;
+        const ended = outputs[state];
+        for (let j = 0; j < ended.length; j++) {
+          matches.push({ start: i + 1 - lengths[ended[j]], end: i + 1, index: ended[j] });
+        }
+      }
+      return matches;
+    },
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * Occurrence navigator
+ * Steps through the highlights on the page in document order: all of them, those of one
+ * type, or those of one IOC (from the popup's list). The highlight navigated to is scrolled
+ * to the middle of the viewport and marked with a pulsing ring, drawn in a closed shadow
+ * root (see isolatedHost.js) so both rendering modes look alike.
+ */
+
+import { getHighlightOccurrences, compareRanges } from './highlighter';
+import { createIsolatedHost, attachHost } from './isolatedHost';
+
+const HOST_TAG = 'ioc-snatch-pulse';
+const PULSE_DURATION = 1800; // ms the ring stays on the highlight
+const RING_PADDING = 3; // px between the ring and the highlighted text
+
+const PULSE_CSS = `
+  :host {
+    all: initial !important;
+    position: fixed !important;
+    top: 0 !important;
+    left: 0 !important;
+    z-index: 2147483646 !important;
+    pointer-events: none !important;
+  }
+  .ring {
+    position: fixed;
+    box-sizing: border-box;
+    border: 2px solid #4a90e2;
+    border-radius: 4px;
+    animation: pulse 0.6s ease-out 3;
+  }
+  @keyframes pulse {
+    from { box-shadow: 0 0 0 0 rgba(74, 144, 226, 0.7); }
+    to { box-shadow: 0 0 0 10px rgba(74, 144, 226, 0); }
+  }
+  @media (prefers-reduced-motion: reduce) {
+    .ring { animation: none; }
+  }
+`;
+
+let host = null;
+let ring = null;
+let pulseFrame = null;
+let pulseTimer = null;
+// Highlight navigated to last ({ioc, range}); next and previous step from it. A span
+// removed since keeps its place: its range collapses to where the span was
+let current = null;
+
+/**
+ * Finds the highlights that pass a filter
+ * @param {Object} filter - Which highlights to step through
+ * @param {string} filter.type - Only IOCs of this type
+ * @param {string} filter.value - Only this IOC (with filter.type)
+ * @returns {Array<{ioc: Object, range: Range}>} In document order
+ */
+function getOccurrences(filter = {}) {
+  return getHighlightOccurrences().filter(({ ioc }) =>
+    (!filter.type || ioc.type === filter.type) && (!filter.value || ioc.value === filter.value)
+  );
+}
+
+/**
+ * Picks the occurrence to go to
+ * @param {Array<{range: Range}>} occurrences - Candidates in document order
+ * @param {string} direction - 'first', 'next' or 'previous'; next and previous wrap around
+ * @returns {number} Index in occurrences
+ */
+function pickIndex(occurrences, direction) {
+  const from = current && current.range;
+  if (direction === 'first' || !from) {
+    return direction === 'previous' ? occurrences.length - 1 : 0;
+  }
+  if (direction === 'previous') {
+    for (let i = occurrences.length - 1; i >= 0; i--) {
+      if (compareRanges(occurrences[i].range, from) < 0) return i;
+    }
+    return occurrences.length - 1;
+  }
+  const next = occurrences.findIndex(({ range }) => compareRanges(range, from) > 0);
+  return next === -1 ? 0 : next;
+}
+
+/**
+ * Goes to a highlight: scrolls it into view and pulses it
+ * @param {Object} options - Navigation options
+ * @param {string} options.direction - 'first', 'next' or 'previous'
+ * @param {Object} options.filter - `type` and/or `value` to step through (see getOccurrences);
+ *   `sameType: true` limits the steps to the type of the highlight navigated to last
+ * @returns {{index: number, total: number, ioc: Object|null}} 1-based position of the
+ *   highlight among those passing the filter; index and total are 0 when none is found
+ */
+export function navigateOccurrences({ direction = 'next', filter = {} } = {}) {
+  const occurrences = getOccurrences(filter.sameType ? { type: current && current.ioc.type } : filter);
+  if (occurrences.length === 0) return { index: 0, total: 0, ioc: null };
+
+  const index = pickIndex(occurrences, direction);
+  current = occurrences[index];
+  revealRange(current.range);
+  return { index: index + 1, total: occurrences.length, ioc: current.ioc };
+}
+
+/**
+ * Forgets the highlight navigated to and removes its ring (when highlights are cleared)
+ */
+export function resetOccurrenceNavigation() {
+  current = null;
+  stopPulse();
+}
+
+/**
+ * Whether a node is the ring's host element (so page observers can ignore it)
+ * @param {Node} node - Node to check
+ * @returns {boolean}
+ */
+export function isOccurrenceMarkerNode(node) {
+  return Boolean(host && node && host.contains(node));
+}
+
+/**
+ * Returns a range's box in the top document's viewport, adding the offsets of the same-origin
+ * frames it is in
+ * @param {Range} range - Highlighted range
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+function getViewportRect(range) {
+  const rect = range.getBoundingClientRect();
+  let { left, top } = rect;
+  let view = range.startContainer.ownerDocument.defaultView;
+  while (view && view !== window && view.frameElement) {
+    const frameRect = view.frameElement.getBoundingClientRect();
+    left += frameRect.left;
+    top += frameRect.top;
+    view = view.parent;
+  }
+  return { left, top, width: rect.width, height: rect.height };
+}
+
+/**
+ * Scrolls a highlight to the middle of the viewport and pulses a ring around it. The ring
+ * follows the highlight while the page scrolls
+ * @param {Range} range - Highlighted range
+ */
+function revealRange(range) {
+  // A span's range starts in its parent, before the span
+  const node = range.startContainer;
+  const element = node.nodeType === Node.ELEMENT_NODE ? node.childNodes[range.startOffset] || node : node.parentElement;
+  if (element) element.scrollIntoView({ block: 'center', inline: 'nearest' });
+  // The element may be a long paragraph that does not fit: center the text itself
+  const rect = getViewportRect(range);
+  if (rect.top < 0 || rect.top + rect.height > window.innerHeight) {
+    window.scrollBy(0, rect.top - (window.innerHeight - rect.height) / 2);
+  }
+
+  if (!host) {
+    const { host: pulseHost, root } = createIsolatedHost(HOST_TAG, PULSE_CSS);
+    host = pulseHost;
+    ring = document.createElement('div');
+    ring.className = 'ring';
+    root.appendChild(ring);
+  }
+  // Re-attaching the host restarts the animation of a ring that is already shown
+  stopPulse();
+  attachHost(host);
+
+  const follow = () => {
+    const { left, top, width, height } = getViewportRect(range);
+    ring.style.left = `${left - RING_PADDING}px`;
+    ring.style.top = `${top - RING_PADDING}px`;
+    ring.style.width = `${width + RING_PADDING * 2}px`;
+    ring.style.height = `${height + RING_PADDING * 2}px`;
+    pulseFrame = requestAnimationFrame(follow);
+  };
+  follow();
+  pulseTimer = setTimeout(stopPulse, PULSE_DURATION);
+}
+
+/**
+ * Removes the ring and stops following its highlight
+ */
+function stopPulse() {
+  cancelAnimationFrame(pulseFrame);
+  clearTimeout(pulseTimer);
+  if (host) host.remove();
+}
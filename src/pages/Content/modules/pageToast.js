@@ -0,0 +1,65 @@
+/**
+ * Page toast
+ * A short message at the top of the page confirming the context menu's actions (copied,
+ * added to the list). Drawn in a closed shadow root (see isolatedHost.js).
+ */
+
+import { createIsolatedHost, attachHost } from './isolatedHost';
+
+const HOST_TAG = 'ioc-snatch-toast';
+const TOAST_DURATION = 2500; // ms
+
+const TOAST_CSS = `
+  :host {
+    all: initial !important;
+    position: fixed !important;
+    top: 16px !important;
+    left: 50% !important;
+    transform: translateX(-50%) !important;
+    z-index: 2147483647 !important;
+    pointer-events: none !important;
+  }
+  .toast {
+    max-width: 420px;
+    padding: 8px 14px;
+    background: rgba(45, 45, 45, 0.95);
+    color: #e0e0e0;
+    border: 1px solid #404040;
+    border-left: 3px solid #4a90e2;
+    border-radius: 6px;
+    box-shadow: 0 4px 14px rgba(0, 0, 0, 0.4);
+    font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+  }
+`;
+
+let host = null;
+let toast = null;
+let hideTimer = null;
+
+/**
+ * Shows a message for a few seconds, replacing the one shown
+ * @param {string} message - Message text
+ */
+export function showPageToast(message) {
+  if (!host) {
+    const { host: toastHost, root } = createIsolatedHost(HOST_TAG, TOAST_CSS);
+    host = toastHost;
+    toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.setAttribute('role', 'status');
+    root.appendChild(toast);
+  }
+  toast.textContent = message;
+  attachHost(host);
+  clearTimeout(hideTimer);
+  hideTimer = setTimeout(() => host.remove(), TOAST_DURATION);
+}
+
+/**
+ * Whether a node is the toast's host element (so page observers can ignore it)
+ * @param {Node} node - Node to check
+ * @returns {boolean}
+ */
+export function isPageToastNode(node) {
+  return Boolean(host && node && host.contains(node));
+}
@@ -0,0 +1,104 @@
+/**
+ * Pivot links
+ * Lookup URLs an IOC can be opened in from the page's hover card (VirusTotal, AbuseIPDB,
+ * ...). Each link is a URL template in which {value} is replaced by the URL-encoded, fanged
+ * value, offered for the IOC types it lists (or for every type when it lists none).
+ * Links are stored in chrome.storage.sync under `pivotLinks`:
+ *   [{ id, name, url, types: [typeName, ...], enabled }]
+ */
+
+import { IOC_TYPES } from './builtinTypes';
+import { getIOCType } from './iocRegistry';
+
+export const PIVOT_VALUE_PLACEHOLDER = '{value}';
+
+const IP_TYPES = [IOC_TYPES.IPV4, IOC_TYPES.IPV6, IOC_TYPES.DEFANGED_IP];
+const HASH_TYPES = [IOC_TYPES.MD5, IOC_TYPES.SHA1, IOC_TYPES.SHA256, IOC_TYPES.SHA512];
+
+export const DEFAULT_PIVOT_LINKS = [
+  {
+    id: 'virustotal',
+    name: 'VirusTotal',
+    url: 'https://www.virustotal.com/gui/search/{value}',
+    types: [...IP_TYPES, IOC_TYPES.DOMAIN, IOC_TYPES.URL, IOC_TYPES.DEFANGED_URL, ...HASH_TYPES],
+    enabled: true,
+  },
+  {
+    id: 'abuseipdb',
+    name: 'AbuseIPDB',
+    url: 'https://www.abuseipdb.com/check/{value}',
+    types: IP_TYPES,
+    enabled: true,
+  },
+  {
+    id: 'shodan',
+    name: 'Shodan',
+    url: 'https://www.shodan.io/host/{value}',
+    types: IP_TYPES,
+    enabled: true,
+  },
+  {
+    id: 'urlscan',
+    name: 'urlscan.io',
+    url: 'https://urlscan.io/domain/{value}',
+    types: [IOC_TYPES.DOMAIN],
+    enabled: true,
+  },
+  {
+    id: 'nvd',
+    name: 'NVD',
+    url: 'https://nvd.nist.gov/vuln/detail/{value}',
+    types: [IOC_TYPES.CVE],
+    enabled: true,
+  },
+  {
+    id: 'google',
+    name: 'Google',
+    url: 'https://www.google.com/search?q=%22{value}%22',
+    types: [],
+    enabled: true,
+  },
+];
+
+/**
+ * Fills a link's URL template with an IOC value
+ * @param {string} template - URL containing {value}
+ * @param {string} value - Fanged IOC value
+ * @returns {string}
+ */
+export function buildPivotURL(template, value) {
+  return template.split(PIVOT_VALUE_PLACEHOLDER).join(encodeURIComponent(value));
+}
+
+/**
+ * Returns the enabled links offered for an IOC, with their URLs filled in
+ * @param {Object} ioc - IOC with type and (fanged) value
+ * @param {Array} links - `pivotLinks` settings
+ * @returns {Array<{id: string, name: string, url: string}>}
+ */
+export function getPivotLinks(ioc, links = DEFAULT_PIVOT_LINKS) {
+  return links
+    .filter(link => link.enabled !== false)
+    .filter(link => !link.types || link.types.length === 0 || link.types.includes(ioc.type))
+    .map(link => ({ id: link.id, name: link.name, url: buildPivotURL(link.url, ioc.value) }));
+}
+
+/**
+ * Checks a pivot link before it is saved
+ * @param {Object} link - Link with name, url and types
+ * @param {Array} existingLinks - Already saved links (for name clashes)
+ * @returns {string} Error message, or an empty string if the link is usable
+ */
+export function validatePivotLink(link, existingLinks = []) {
+  const name = (link.name || '').trim();
+  if (!name) return 'Please enter a name for the link.';
+  if (existingLinks.some(other => other.id !== link.id && other.name.toLowerCase() === name.toLowerCase())) {
+    return `A link named "${name}" already exists.`;
+  }
+  if (!/^https?:\/\//i.test(link.url)) return 'The URL must start with http:// or https://.';
+  if (!link.url.includes(PIVOT_VALUE_PLACEHOLDER)) {
+    return `The URL must contain ${PIVOT_VALUE_PLACEHOLDER} where the IOC value goes.`;
+  }
+  const unknownType = (link.types || []).find(type => !getIOCType(type));
+  return unknownType ? `Unknown IOC type "${unknownType}".` : '';
+}
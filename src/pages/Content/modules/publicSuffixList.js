@@ -0,0 +1,144 @@
+/**
+ * Bundled public suffix list
+ * A trimmed snapshot of the Public Suffix List (https://publicsuffix.org/) covering
+ * every country-code TLD, the generic TLDs seen in threat reporting and the common
+ * second-level registries. Used to tell real hostnames apart from file names such as
+ * "file.exe" or "config.yaml".
+ */
+
+// Country-code TLDs (ISO 3166-1 alpha-2 plus the IANA exceptions)
+const COUNTRY_CODE_TLDS = `
+ac ad ae af ag ai al am ao aq ar as at au aw ax az ba bb bd be bf bg bh bi bj bm bn bo
+br bs bt bw by bz ca cc cd cf cg ch ci ck cl cm cn co cr cu cv cw cx cy cz de dj dk dm
+do dz ec ee eg er es et eu fi fj fk fm fo fr ga gd ge gf gg gh gi gl gm gn gp gq gr gs
+gt gu gw gy hk hm hn hr ht hu id ie il im in io iq ir is it je jm jo jp ke kg kh ki km
+kn kp kr kw ky kz la lb lc li lk lr ls lt lu lv ly ma mc md me mg mh mk ml mm mn mo mp
+mq mr ms mt mu mv mw mx my mz na nc ne nf ng ni nl no np nr nu nz om pa pe pf pg ph pk
+pl pm pn pr ps pt pw py qa re ro rs ru rw sa sb sc sd se sg sh si sk sl sm sn so sr ss
+st su sv sx sy sz tc td tf tg th tj tk tl tm tn to tr tt tv tw tz ua ug uk us uy uz va
+vc ve vg vi vn vu wf ws ye yt za zm zw
+`;
+
+// Generic TLDs: legacy, popular new gTLDs and the ones frequently abused by malware
+const GENERIC_TLDS = `
+com net org info biz gov edu mil int arpa onion
+academy agency app art asia auto bar beauty best bid bike bio black blog blue boston
+boutique build business buzz cab cafe cam camp capital care careers casa cash casino
+cat center cfd chat cheap city click cloud club codes coffee college community company
+computer consulting cool country coupons credit cyou date dating deals design dev
+diamonds digital direct directory domains download earth email energy engineering
+enterprises estate events exchange expert express fail family fans farm fashion finance
+financial fit fitness fun fund gallery game games garden gdn gift gifts global gold golf
+graphics green group guide guru health help host hosting house icu immo inc industries
+ink institute insure international investments jobs kim land lat lease legal life link
+live llc loan loans lol love ltd luxury management market marketing mba media men mobi
+moe mom money monster mov name network news ninja nexus one online ooo page partners
+party photo photography photos pics pink pizza place plus poker press pro productions
+promo properties property pub pw quest racing red rent repair report rest review reviews
+rip rocks run sale sbs school science services sex sexy shop shopping show singles site
+ski social software solutions space store stream studio style sucks supply support surf
+systems tax team tech technology tel tips today tools top tours town toys trade trading
+training travel tube uno vip vision vote voyage wang watch webcam website wiki win wine
+work works world wtf xxx xyz yoga zip zone
+amazon android apple google microsoft windows yahoo
+`;
+
+// Second-level public suffixes operated by registries (and common hosting suffixes
+// that hand out subdomains to arbitrary customers)
+const MULTI_LEVEL_SUFFIXES = `
+co.uk org.uk me.uk ltd.uk plc.uk net.uk ac.uk gov.uk nhs.uk sch.uk
+com.au net.au org.au edu.au gov.au asn.au id.au
+co.nz net.nz org.nz govt.nz ac.nz
+co.jp ne.jp or.jp ac.jp go.jp gr.jp
+co.kr or.kr ne.kr go.kr ac.kr
+com.cn net.cn org.cn gov.cn edu.cn ac.cn
+com.hk net.hk org.hk gov.hk edu.hk
+com.tw net.tw org.tw gov.tw edu.tw
+com.sg net.sg org.sg gov.sg edu.sg
+com.my net.my org.my gov.my edu.my
+co.id or.id web.id go.id ac.id
+co.in net.in org.in firm.in gen.in ind.in gov.in ac.in
+co.za org.za net.za gov.za ac.za web.za
+com.br net.br org.br gov.br edu.br
+com.ar net.ar org.ar gob.ar edu.ar
+com.mx net.mx org.mx gob.mx edu.mx
+com.co net.co org.co gov.co edu.co
+com.tr net.tr org.tr gov.tr edu.tr biz.tr
+com.ru net.ru org.ru msk.ru spb.ru
+com.ua net.ua org.ua in.ua kiev.ua gov.ua
+com.pl net.pl org.pl info.pl biz.pl waw.pl
+com.vn net.vn org.vn gov.vn edu.vn
+com.ph net.ph org.ph gov.ph edu.ph
+com.pk net.pk org.pk gov.pk edu.pk
+com.ng org.ng gov.ng edu.ng
+com.eg org.eg gov.eg edu.eg
+com.sa net.sa org.sa gov.sa edu.sa
+co.il org.il net.il gov.il ac.il
+co.th in.th or.th go.th ac.th
+com.pe com.ve com.ec com.uy com.py com.bo
+github.io gitlab.io herokuapp.com azurewebsites.net cloudfront.net blogspot.com
+appspot.com firebaseapp.com web.app pages.dev workers.dev netlify.app vercel.app
+duckdns.org no-ip.org ddns.net hopto.org zapto.org serveo.net ngrok.io ngrok-free.app
+trycloudflare.com r2.dev 000webhostapp.com weebly.com wixsite.com glitch.me repl.co
+`;
+
+const toSet = (list) => new Set(list.trim().split(/\s+/));
+
+export const PUBLIC_SUFFIXES = new Set([
+  ...toSet(COUNTRY_CODE_TLDS),
+  ...toSet(GENERIC_TLDS),
+  ...toSet(MULTI_LEVEL_SUFFIXES),
+]);
+
+/**
+ * TLDs that are also common file extensions. A bare "name.ext" ending in one of
+ * these is far more likely to be a file than a host, so it is only accepted as a
+ * domain when it has more than two labels or was written defanged.
+ */
+export const AMBIGUOUS_SUFFIXES = new Set([
+  'zip', 'mov', 'one', 'inc', 'run', 'sh', 'py', 'pl', 'md', 'rs', 'so', 'ps', 'cc',
+]);
+
+/**
+ * Internationalized TLDs in the Unicode form they are written in text. Punycode TLDs
+ * (xn--p1ai) are accepted as-is, but a Unicode TLD must be listed here so that prose
+ * in non-Latin scripts ("слово.дело") is not read as a host name.
+ */
+export const IDN_TLDS = toSet(`
+рф рус укр бг срб бел мкд қаз мон онлайн сайт орг ком москва дети
+中国 中國 香港 台湾 台灣 新加坡 公司 网络 网址 在线 中文网 移动
+한국 ελ ею مصر امارات السعودية ایران الاردن قطر ישראל
+भारत ไทย ලංකා இந்தியா გე հայ
+`);
+
+/**
+ * Returns the longest public suffix of a hostname, or null when the hostname does
+ * not end in a known suffix
+ * @param {string} hostname - Lower-case hostname without a trailing dot
+ * @returns {string|null}
+ */
+export function getPublicSuffix(hostname) {
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (PUBLIC_SUFFIXES.has(candidate)) {
+      return candidate;
+    }
+  }
+  // Punycode TLDs (xn--...) are not enumerated above, accept them as-is
+  const tld = labels[labels.length - 1];
+  return tld && tld.startsWith('xn--') ? tld : null;
+}
+
+/**
+ * Returns the registrable domain (public suffix plus one label) of a hostname
+ * @param {string} hostname - Lower-case hostname
+ * @returns {string|null} e.g. "bad.co.uk" for "cdn.bad.co.uk"
+ */
+export function getRegisteredDomain(hostname) {
+  const suffix = getPublicSuffix(hostname);
+  if (!suffix || suffix === hostname) return null;
+  const rest = hostname.slice(0, hostname.length - suffix.length - 1);
+  const label = rest.split('.').pop();
+  return label ? `${label}.${suffix}` : null;
+}
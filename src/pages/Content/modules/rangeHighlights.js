@@ -0,0 +1,274 @@
+/**
+ * Range highlights
+ * Paints IOCs with the CSS Custom Highlight API: each match is a Range registered in
+ * CSS.highlights and styled through ::highlight(), so the page's DOM tree is never touched.
+ * Pages that re-render (React, Vue), rich-text editors and forms keep working, and copied
+ * text is what the page shows. Hovered and clicked highlights are found by hit-testing the
+ * ranges under the pointer. Each highlight color gets its own named highlight (and a dimmed
+ * variant), since a ::highlight() rule styles every range of its highlight alike.
+ */
+
+import { getTextColor } from './highlightColors';
+
+const HIGHLIGHT_PREFIX = 'ioc-snatch';
+const DIMMED_SUFFIX = '-dimmed';
+const HOVER_HIGHLIGHT_NAME = 'ioc-snatch-hover';
+
+// Ranges per text node, so hit-testing only looks at the ranges of the node under the pointer.
+// A range covering several nodes is listed under each of them
+let rangesByNode = new Map(); // Text -> Array<{range, ioc, name, nodes}>
+// Documents and shadow roots that hold highlights -> their stylesheet
+let styledRoots = new Map();
+// Highlight colors in use -> name of their highlight
+let colorNames = new Map();
+let hoveredEntry = null;
+
+/**
+ * Returns the window of a document or shadow root
+ * @param {Document|ShadowRoot|Node} node - Node in the window's document
+ * @returns {Window|null}
+ */
+function getView(node) {
+  const doc = node.nodeType === Node.DOCUMENT_NODE ? node : node.ownerDocument;
+  return doc ? doc.defaultView : null;
+}
+
+/**
+ * Whether the CSS Custom Highlight API is available for a document
+ * @param {Document} doc - Page or frame document
+ * @returns {boolean}
+ */
+export function supportsRangeHighlights(doc = document) {
+  const view = getView(doc);
+  try {
+    return Boolean(view && view.CSS && view.CSS.highlights && view.Highlight && doc.adoptedStyleSheets);
+  } catch (error) {
+    return false; // Cross-origin frame
+  }
+}
+
+/**
+ * Builds the ::highlight() rules for the colors in use. The hover highlight only adds an
+ * underline, so the hovered range keeps its own color
+ * @param {boolean} pointer - Show a pointer cursor (while a highlight is hovered)
+ * @returns {string}
+ */
+function getHighlightCSS(pointer = false) {
+  const rules = Array.from(colorNames, ([color, name]) => [
+    `::highlight(${name}) { background-color: ${color}; color: ${getTextColor(color)}; }`,
+    `::highlight(${name}${DIMMED_SUFFIX}) { background-color: color-mix(in srgb, ${color} 45%, transparent); }`,
+  ].join('\n'));
+  rules.push(`::highlight(${HOVER_HIGHLIGHT_NAME}) { text-decoration: underline 2px; }`);
+  if (pointer) rules.push(':root { cursor: pointer !important; }');
+  return rules.join('\n');
+}
+
+/**
+ * Returns the highlight name for a color, adding the color's rules to every stylesheet the
+ * first time it is used
+ * @param {string} color - CSS color
+ * @param {boolean} dimmed - De-emphasized variant
+ * @returns {string}
+ */
+function getHighlightName(color, dimmed) {
+  if (!colorNames.has(color)) {
+    colorNames.set(color, `${HIGHLIGHT_PREFIX}-${colorNames.size}`);
+    styledRoots.forEach(sheet => sheet.replaceSync(getHighlightCSS()));
+  }
+  return colorNames.get(color) + (dimmed ? DIMMED_SUFFIX : '');
+}
+
+/**
+ * Returns the ::highlight() stylesheet of a document or shadow root, adopting it on first
+ * use. Highlight styles do not cross shadow boundaries, so each shadow root gets its own
+ * @param {Document|ShadowRoot} root - Root of the highlighted text
+ * @returns {CSSStyleSheet|null}
+ */
+function styleRoot(root) {
+  if (styledRoots.has(root)) return styledRoots.get(root);
+  if (!root.adoptedStyleSheets) return null;
+  const sheet = new (getView(root).CSSStyleSheet)();
+  sheet.replaceSync(getHighlightCSS());
+  root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+  styledRoots.set(root, sheet);
+  return sheet;
+}
+
+/**
+ * Returns a named highlight of a document's registry, creating it if needed
+ * @param {Document} doc - Document whose registry to use
+ * @param {string} name - Highlight name
+ * @returns {Highlight}
+ */
+function getHighlight(doc, name) {
+  const view = getView(doc);
+  let highlight = view.CSS.highlights.get(name);
+  if (!highlight) {
+    highlight = new view.Highlight();
+    if (name === HOVER_HIGHLIGHT_NAME) highlight.priority = 1;
+    view.CSS.highlights.set(name, highlight);
+  }
+  return highlight;
+}
+
+/**
+ * Highlights matches as ranges. Ranges already registered for the same text nodes are
+ * replaced, so re-highlighting changed content does not stack highlights
+ * @param {Array<{fragments: Array<{node: Text, start: number, end: number}>, ioc: Object}>} matches -
+ *   Matches; a match split across text nodes has one fragment per node and is painted as a
+ *   single range from the first fragment's start to the last fragment's end
+ * @param {Object} options - Rendering options
+ * @param {string} options.color - CSS color for highlighting
+ * @param {Function} options.getColor - (ioc) => CSS color, overrides options.color per IOC
+ * @param {Function} options.isDimmed - (ioc) => boolean, de-emphasizes matching IOCs
+ */
+export function addRangeHighlights(matches, options = {}) {
+  new Set(matches.flatMap(match => match.fragments.map(fragment => fragment.node))).forEach(removeNodeRanges);
+  matches.forEach(({ fragments, ioc }) => {
+    const first = fragments[0];
+    const last = fragments[fragments.length - 1];
+    const doc = first.node.ownerDocument;
+    const range = doc.createRange();
+    range.setStart(first.node, first.start);
+    range.setEnd(last.node, last.end);
+
+    const color = (options.getColor && options.getColor(ioc)) || options.color;
+    const name = getHighlightName(color, Boolean(options.isDimmed && options.isDimmed(ioc)));
+    getHighlight(doc, name).add(range);
+    styleRoot(first.node.getRootNode());
+
+    const entry = { range, ioc, name, nodes: fragments.map(fragment => fragment.node) };
+    entry.nodes.forEach(node => {
+      if (!rangesByNode.has(node)) rangesByNode.set(node, []);
+      rangesByNode.get(node).push(entry);
+    });
+  });
+}
+
+/**
+ * Drops the ranges that cover a text node, including their registration under the other
+ * nodes a split range covers
+ * @param {Text} node - Text node
+ */
+function removeNodeRanges(node) {
+  const entries = rangesByNode.get(node);
+  if (!entries) return;
+  entries.forEach(entry => {
+    getHighlight(node.ownerDocument, entry.name).delete(entry.range);
+    entry.nodes.filter(other => other !== node).forEach(other => {
+      const remaining = (rangesByNode.get(other) || []).filter(candidate => candidate !== entry);
+      if (remaining.length > 0) {
+        rangesByNode.set(other, remaining);
+      } else {
+        rangesByNode.delete(other);
+      }
+    });
+  });
+  rangesByNode.delete(node);
+}
+
+/**
+ * Removes all range highlights and their stylesheets
+ */
+export function clearRangeHighlights() {
+  const documents = new Set(Array.from(rangesByNode.keys(), node => node.ownerDocument));
+  const names = [
+    ...Array.from(colorNames.values()).flatMap(name => [name, name + DIMMED_SUFFIX]),
+    HOVER_HIGHLIGHT_NAME,
+  ];
+  documents.forEach(doc => {
+    const view = getView(doc);
+    if (!view) return;
+    names.forEach(name => view.CSS.highlights.delete(name));
+  });
+  styledRoots.forEach((sheet, root) => {
+    root.adoptedStyleSheets = root.adoptedStyleSheets.filter(candidate => candidate !== sheet);
+  });
+  rangesByNode = new Map();
+  styledRoots = new Map();
+  colorNames = new Map();
+  hoveredEntry = null;
+}
+
+/**
+ * Returns the current range highlights, each once
+ * @returns {Array<{range: Range, ioc: Object}>}
+ */
+export function getRangeHighlights() {
+  // A split range is registered under each of its nodes
+  return Array.from(new Set(Array.from(rangesByNode.values()).flat()))
+    .filter(({ range }) => !range.collapsed);
+}
+
+/**
+ * Returns the IOCs that currently have a range highlight
+ * @returns {Array<Object>}
+ */
+export function getRangeHighlightIOCs() {
+  return getRangeHighlights().map(({ ioc }) => ioc);
+}
+
+/**
+ * Whether a point lies inside one of a range's boxes
+ * @param {Range} range - Highlighted range
+ * @param {number} x - Client x coordinate
+ * @param {number} y - Client y coordinate
+ * @returns {boolean}
+ */
+function rangeContainsPoint(range, x, y) {
+  return Array.from(range.getClientRects()).some(rect =>
+    x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+  );
+}
+
+/**
+ * Returns the node under a point, looking into the shadow roots that hold highlights
+ * @param {Document} doc - Document to hit-test
+ * @param {number} x - Client x coordinate
+ * @param {number} y - Client y coordinate
+ * @returns {Node|null}
+ */
+function getNodeAt(doc, x, y) {
+  if (doc.caretPositionFromPoint) {
+    const shadowRoots = Array.from(styledRoots.keys()).filter(root => root.host);
+    const position = doc.caretPositionFromPoint(x, y, { shadowRoots });
+    return position && position.offsetNode;
+  }
+  if (doc.caretRangeFromPoint) {
+    const range = doc.caretRangeFromPoint(x, y);
+    return range && range.startContainer;
+  }
+  return null;
+}
+
+/**
+ * Finds the highlighted range under a point
+ * @param {Document} doc - Document the pointer is over
+ * @param {number} x - Client x coordinate
+ * @param {number} y - Client y coordinate
+ * @returns {{range: Range, ioc: Object}|null}
+ */
+export function findRangeAt(doc, x, y) {
+  if (rangesByNode.size === 0) return null;
+  const candidates = rangesByNode.get(getNodeAt(doc, x, y)) || [];
+  return candidates.find(({ range }) => !range.collapsed && rangeContainsPoint(range, x, y)) || null;
+}
+
+/**
+ * Paints the hovered range more strongly and shows a pointer cursor over it
+ * @param {{range: Range}|null} entry - Hovered range, or null when nothing is hovered
+ */
+export function setHoveredRange(entry) {
+  if (entry === hoveredEntry) return;
+  if (hoveredEntry) {
+    const doc = hoveredEntry.range.startContainer.ownerDocument;
+    getHighlight(doc, HOVER_HIGHLIGHT_NAME).clear();
+    styleRoot(doc).replaceSync(getHighlightCSS());
+  }
+  hoveredEntry = entry;
+  if (entry) {
+    const doc = entry.range.startContainer.ownerDocument;
+    getHighlight(doc, HOVER_HIGHLIGHT_NAME).add(entry.range);
+    styleRoot(doc).replaceSync(getHighlightCSS(true));
+  }
+}
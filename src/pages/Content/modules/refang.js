@@ -0,0 +1,132 @@
+/**
+ * Refang grammar
+ * The defang styles used in threat reports, shared by the detection patterns (which must
+ * find defanged indicators) and the normalizers (which turn them back into real values).
+ * Each style has an id that is recorded on detected IOCs so the popup can show how an
+ * indicator was written. defang() goes the other way for copied and exported values.
+ */
+
+// Scheme separators: "://", "[://]", "[:]//", "(:)//"
+const SCHEME_SEPARATOR = '(?:\\[:\\/\\/\\]|(?:\\[:\\]|\\(:\\)|:)\\/\\/)';
+
+/**
+ * Regex source fragments for building detection patterns. All are meant to be used with
+ * the "i" flag.
+ */
+export const DEFANG_SOURCES = {
+  // Plain and defanged schemes: http, hxxp, h**p, meow, ftp, fxp, ftxp
+  SCHEME: '(?:https?|hxxps?|h\\*\\*ps?|meows?|ftp|fxp|ftxp)',
+  SCHEME_SEPARATOR,
+  // A plain or defanged dot between labels
+  DOT: '(?:\\.|\\[\\s?\\.\\s?\\]|\\(\\s?\\.\\s?\\)|\\{\\s?\\.\\s?\\}|\\[dot\\]|\\(dot\\)|\\{dot\\}|\\\\\\.| dot )',
+  // Defanged dots that plain URL characters do not already cover (no spaces inside URLs)
+  URL_DOT: '(?:\\{\\.\\}|\\{dot\\}|\\\\\\.)',
+  // A plain or defanged "@"
+  AT: '(?:@|\\[@\\]|\\(@\\)|\\{@\\}|\\[at\\]|\\(at\\)|\\{at\\})',
+};
+
+/**
+ * Defang styles in the order they are undone. Scheme styles come first since they look
+ * ahead for a (possibly defanged) separator.
+ */
+export const DEFANG_STYLES = [
+  { id: 'hxxp', label: 'hxxp://', pattern: new RegExp(`\\bhxxp(s?)(?=${SCHEME_SEPARATOR})`, 'gi'), replacement: 'http$1' },
+  { id: 'h**p', label: 'h**p://', pattern: new RegExp(`\\bh\\*\\*p(s?)(?=${SCHEME_SEPARATOR})`, 'gi'), replacement: 'http$1' },
+  { id: 'meow', label: 'meow://', pattern: new RegExp(`\\bmeow(s?)(?=${SCHEME_SEPARATOR})`, 'gi'), replacement: 'http$1' },
+  { id: 'fxp', label: 'fxp:// or ftxp://', pattern: new RegExp(`\\bft?xp(?=${SCHEME_SEPARATOR})`, 'gi'), replacement: 'ftp' },
+  { id: '[://]', label: '[://]', pattern: /\[:\/\/\]/g, replacement: '://' },
+  { id: '[:]', label: '[:] or (:)', pattern: /\[:\]|\(:\)/g, replacement: ':' },
+  { id: '[.]', label: '[.]', pattern: /\[\s?\.\s?\]/g, replacement: '.' },
+  { id: '(.)', label: '(.)', pattern: /\(\s?\.\s?\)/g, replacement: '.' },
+  { id: '{.}', label: '{.}', pattern: /\{\s?\.\s?\}/g, replacement: '.' },
+  { id: '[dot]', label: '[dot], (dot) or {dot}', pattern: /\[dot\]|\(dot\)|\{dot\}/gi, replacement: '.' },
+  { id: '\\.', label: '\\.', pattern: /\\\./g, replacement: '.' },
+  { id: ' dot ', label: '" dot "', pattern: /(?<=[a-z0-9]) dot (?=[a-z0-9])/gi, replacement: '.' },
+  { id: '[at]', label: '[at], (at) or {at}', pattern: /\[at\]|\(at\)|\{at\}/gi, replacement: '@' },
+  { id: '[@]', label: '[@], (@) or {@}', pattern: /\[@\]|\(@\)|\{@\}/g, replacement: '@' },
+];
+
+/**
+ * Undoes every known defang style in a value (or a block of text)
+ * @param {string} value - Possibly defanged text, e.g. "hxxps[://]evil[.]com"
+ * @returns {string} Refanged text, e.g. "https://evil.com"
+ */
+export function refang(value) {
+  return DEFANG_STYLES.reduce((text, style) => text.replace(style.pattern, style.replacement), value);
+}
+
+/**
+ * Lists the defang styles used in a value
+ * @param {string} value - Possibly defanged text
+ * @returns {Array<string>} Style ids, e.g. ['hxxp', '[.]']; empty if the value is not defanged
+ */
+export function detectDefangStyles(value) {
+  return DEFANG_STYLES
+    .filter((style) => {
+      style.pattern.lastIndex = 0;
+      return style.pattern.test(value);
+    })
+    .map((style) => style.id);
+}
+
+/**
+ * Whether a value contains any defang style
+ * @param {string} value - Candidate text
+ * @returns {boolean}
+ */
+export function isDefanged(value) {
+  return detectDefangStyles(value).length > 0;
+}
+
+/**
+ * Styles available when defanging values for output; each is undone by refang()
+ */
+export const DEFANG_OUTPUT_STYLES = [
+  { id: 'hxxp', label: 'hxxp://' },
+  { id: '[.]', label: '[.]' },
+  { id: '[@]', label: '[@]' },
+  { id: '[:]//', label: '[:]//' },
+];
+
+/**
+ * Defangs a (fanged) value so it can be pasted without creating a live link
+ * @param {string} value - Fanged value, e.g. "https://evil.com/a.php"
+ * @param {Array<string>} styles - DEFANG_OUTPUT_STYLES ids to apply
+ * @returns {string} Defanged value, e.g. "hxxps[:]//evil[.]com/a.php"
+ */
+export function defang(value, styles) {
+  let result = value;
+  if (styles.includes('[.]')) {
+    result = defangHostDots(result);
+  }
+  if (styles.includes('[@]')) {
+    result = result.replace(/@/g, '[@]');
+  }
+  if (styles.includes('[:]//')) {
+    result = result.replace(/^([a-z][a-z0-9+.-]*):\/\//i, '$1[:]//');
+  }
+  if (styles.includes('hxxp')) {
+    result = result
+      .replace(/^http(s?)(?=:|\[:\])/i, 'hxxp$1')
+      .replace(/^ftp(?=:|\[:\])/i, 'fxp');
+  }
+  return result;
+}
+
+/**
+ * Replaces the dots of the host part with "[.]": only the host of a URL and the domain of an
+ * email address, so paths and mailbox names stay readable; every dot of anything else
+ * @param {string} value - Fanged value
+ * @returns {string}
+ */
+function defangHostDots(value) {
+  const url = value.match(/^([a-z][a-z0-9+.-]*:\/\/(?:[^@/?#]*@)?)([^/:?#]+)([\s\S]*)$/i);
+  if (url) {
+    return `${url[1]}${url[2].replace(/\./g, '[.]')}${url[3]}`;
+  }
+  const at = value.lastIndexOf('@');
+  if (at !== -1) {
+    return `${value.slice(0, at + 1)}${value.slice(at + 1).replace(/\./g, '[.]')}`;
+  }
+  return value.replace(/\./g, '[.]');
+}
@@ -0,0 +1,343 @@
+/**
+ * Regex guard for user-supplied patterns
+ * Rejects patterns prone to catastrophic backtracking before they are used, and runs
+ * accepted patterns in bounded segments with a time budget. The budget is only checked
+ * between segments, so custom patterns are run in the detection worker, which the content
+ * script terminates when a scan takes too long.
+ */
+
+export const MAX_PATTERN_LENGTH = 500;
+
+// Segments are cut at line breaks (or whitespace) so matches rarely straddle a cut
+const SEGMENT_LENGTH = 4096;
+
+// Repeat counts and ranges ({1,10}) up to this size are small enough to backtrack through
+const MAX_SMALL_RANGE = 10;
+
+// Characters tried against the first atom of each alternative of a repeated group
+const SAMPLE_CHARS = [
+  ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+  '\t', '\n', '\u00e9', '\u0416', '\u4e2d',
+];
+
+/**
+ * Statically checks a regex source for constructs that cause catastrophic backtracking
+ * @param {string} source - Regex source, without delimiters
+ * @param {string} flags - Regex flags
+ * @returns {{safe: boolean, reason: string}} reason is empty when safe
+ */
+export function checkPatternSafety(source, flags = '') {
+  if (!source) {
+    return { safe: false, reason: 'Pattern is empty' };
+  }
+  if (source.length > MAX_PATTERN_LENGTH) {
+    return { safe: false, reason: `Pattern is longer than ${MAX_PATTERN_LENGTH} characters` };
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(source, flags);
+  } catch (error) {
+    return { safe: false, reason: `Invalid regular expression: ${error.message}` };
+  }
+  if (regex.test('')) {
+    return { safe: false, reason: 'Pattern matches empty text' };
+  }
+
+  // Walk the source tracking, per group, its atoms and whether it contains a variable
+  // quantifier ("?", "{1,3}") or an unbounded or large one ("+", "{2,}", "{1,100}"). Repeating
+  // such a group ("(a+)+", "(.*,){12}", "(a?){30}") lets a single exec() backtrack through
+  // every way of splitting the text between the repeats, and the time budget is only checked
+  // between exec() calls. So is repeating a group whose alternatives can start with the same
+  // character ("(a|aa)+", "(\w|\d)+"). Groups that start or end with a literal separator
+  // nothing else in them matches ("(?:-[a-z]+)*", "(?:[a-z]+\.)+") split the text one way only.
+  const stack = [createFrame()];
+  let lastAtom = null; // { group: frame } for a just-closed group, { source } for any other atom
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const frame = stack[stack.length - 1];
+    const quantifier = lastAtom ? source.slice(i).match(/^(?:[*+?]|\{\d+(?:,\d*)?\})\??/) : null;
+
+    if (quantifier) {
+      const text = quantifier[0];
+      const { min, max } = parseQuantifier(text);
+      const heavy = max - min > MAX_SMALL_RANGE;
+      const group = lastAtom.group;
+      if (group && max > 1) {
+        const unsafeRepeat = group.heavy || (group.variable && (heavy || max > MAX_SMALL_RANGE));
+        if (unsafeRepeat && !isSeparated(group, flags)) {
+          return { safe: false, reason: 'Repeated groups with quantifiers inside, such as (a+)+ or (.*,){12}, can freeze the page' };
+        }
+        if ((heavy || max > MAX_SMALL_RANGE) && alternativesOverlap(source.slice(group.start, lastAtom.end), flags)) {
+          return { safe: false, reason: 'Repeated alternatives that can match the same text, such as (a|aa)+, can freeze the page' };
+        }
+      }
+      if (lastAtom.backreference && heavy) {
+        return { safe: false, reason: 'Repeated backreferences are not allowed' };
+      }
+      if (min !== max) frame.variable = true;
+      if (heavy) frame.heavy = true;
+      frame.atoms[frame.atoms.length - 1].quantified = true;
+      lastAtom = null;
+      i += text.length;
+      continue;
+    }
+
+    if (char === '\\') {
+      const escape = source.slice(i).match(/^\\(?:u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[A-Za-z]|[pP]\{[^}]+\}|k<[^>]*>|.)/);
+      const text = escape ? escape[0] : source.slice(i, i + 2);
+      // Position assertions (\b) match no character and cannot be quantified usefully
+      if (/^\\[bB]$/.test(text)) {
+        lastAtom = null;
+      } else {
+        lastAtom = { source: text, backreference: /^\\(?:[1-9]|k<)/.test(text) };
+        frame.atoms.push(lastAtom);
+      }
+      i += text.length;
+      continue;
+    }
+
+    if (char === '[') {
+      const end = skipClass(source, i);
+      lastAtom = { source: source.slice(i, end) };
+      frame.atoms.push(lastAtom);
+      i = end;
+      continue;
+    }
+
+    if (char === '(') {
+      const child = createFrame();
+      stack.push(child);
+      lastAtom = null;
+      i++;
+      // Skip group modifiers: (?: (?= (?! (?<= (?<! (?<name>
+      if (source[i] === '?') {
+        const named = source.slice(i).match(/^\?<[A-Za-z_$][\w$]*>/);
+        i += named ? named[0].length : source[i + 1] === '<' ? 3 : 2;
+      }
+      child.start = i;
+      continue;
+    }
+
+    if (char === ')') {
+      const closed = stack.length > 1 ? stack.pop() : stack[0];
+      const parent = stack[stack.length - 1];
+      if (parent !== closed) {
+        // What a group contains is also contained in its parent
+        parent.variable = parent.variable || closed.variable;
+        parent.heavy = parent.heavy || closed.heavy;
+      }
+      lastAtom = { group: closed, end: i };
+      parent.atoms.push(lastAtom);
+      i++;
+      continue;
+    }
+
+    if (char === '|') {
+      frame.alternation = true;
+      lastAtom = null;
+    } else if (char === '^' || char === '$') {
+      lastAtom = null;
+    } else {
+      lastAtom = { source: char };
+      frame.atoms.push(lastAtom);
+    }
+    i++;
+  }
+
+  return { safe: true, reason: '' };
+}
+
+/**
+ * Creates the walker's record of one group
+ * @returns {Object}
+ */
+function createFrame() {
+  return { atoms: [], variable: false, heavy: false, alternation: false, start: 0 };
+}
+
+/**
+ * Reads the repeat counts of a quantifier
+ * @param {string} quantifier - Quantifier text ("+", "{2,5}", "*?")
+ * @returns {{min: number, max: number}} max is Infinity for unbounded quantifiers
+ */
+function parseQuantifier(quantifier) {
+  if (quantifier[0] === '*') return { min: 0, max: Infinity };
+  if (quantifier[0] === '+') return { min: 1, max: Infinity };
+  if (quantifier[0] === '?') return { min: 0, max: 1 };
+  const [, min, comma, max] = quantifier.match(/^\{(\d+)(,?)(\d*)\}/);
+  if (!comma) return { min: Number(min), max: Number(min) };
+  return { min: Number(min), max: max ? Number(max) : Infinity };
+}
+
+/**
+ * Whether a group starts or ends with a literal character (e.g. "-" or "\.") that none of its
+ * other atoms can match, so every repeat of the group is pinned to an occurrence of it
+ * @param {Object} group - Walker record of the group
+ * @param {string} flags - Regex flags
+ * @returns {boolean}
+ */
+function isSeparated(group, flags) {
+  const { atoms } = group;
+  if (group.alternation || atoms.length < 2 || atoms.some(atom => atom.group)) return false;
+  return [atoms[0], atoms[atoms.length - 1]].some(separator => {
+    const literal = getLiteralChar(separator);
+    return literal !== null && atoms.every(atom => atom === separator || !atomMatches(atom.source, literal, flags));
+  });
+}
+
+/**
+ * Returns the character an unquantified literal atom ("-", "\.") matches
+ * @param {Object} atom - Walker record of the atom
+ * @returns {string|null}
+ */
+function getLiteralChar(atom) {
+  if (atom.quantified || !atom.source) return null;
+  if (atom.source.length === 1 && !/[.\\[\]()|^$*+?{}]/.test(atom.source)) return atom.source;
+  if (/^\\[^\w]$/.test(atom.source)) return atom.source[1];
+  return null;
+}
+
+/**
+ * Whether an atom can match a character
+ * @param {string} atom - Regex source of the atom
+ * @param {string} char - Character
+ * @param {string} flags - Regex flags
+ * @returns {boolean} True when it cannot be told
+ */
+function atomMatches(atom, char, flags) {
+  try {
+    return new RegExp(`^(?:${atom})$`, flags.replace(/[gy]/g, '')).test(char);
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Splits a group's content at its top-level "|"
+ * @param {string} content - Regex source between the group's parentheses
+ * @returns {Array<string>} Alternatives
+ */
+function splitAlternatives(content) {
+  const alternatives = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      i = skipClass(content, i) - 1;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === '|' && depth === 0) {
+      alternatives.push(content.slice(start, i));
+      start = i + 1;
+    }
+  }
+  alternatives.push(content.slice(start));
+  return alternatives;
+}
+
+/**
+ * Returns the index after a character class
+ * @param {string} source - Regex source
+ * @param {number} i - Index of the class's "["
+ * @returns {number}
+ */
+function skipClass(source, i) {
+  i++;
+  if (source[i] === '^') i++;
+  if (source[i] === ']') i++;
+  while (i < source.length && source[i] !== ']') {
+    i += source[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+/**
+ * Returns a regex matching the first character an alternative can start with, or null when
+ * that cannot be told from its first atom (a group, an optional atom, an empty alternative)
+ * @param {string} alternative - Regex source of one alternative
+ * @param {string} flags - Regex flags
+ * @returns {RegExp|null}
+ */
+function getFirstCharPattern(alternative, flags) {
+  let end;
+  if (alternative[0] === '\\') {
+    // Backreferences and escapes for positions (\b) do not consume a known character
+    if (/^\\[1-9kbB]/.test(alternative)) return null;
+    const escape = alternative.match(/^\\(?:u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[A-Za-z]|[pP]\{[^}]+\}|.)/);
+    end = escape ? escape[0].length : 2;
+  } else if (alternative[0] === '[') {
+    end = skipClass(alternative, 0);
+  } else if (alternative && !/[()|^$*+?{]/.test(alternative[0])) {
+    end = 1;
+  } else {
+    return null;
+  }
+  // An atom that may be skipped lets the next one decide the first character
+  if (/^(?:[*?]|\{0[,}])/.test(alternative.slice(end))) return null;
+  try {
+    return new RegExp(`^(?:${alternative.slice(0, end)})`, flags.replace(/[gy]/g, ''));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether two alternatives of a group can start matching at the same character. Unknown
+ * first characters count as overlapping
+ * @param {string} content - Regex source between the group's parentheses
+ * @param {string} flags - Regex flags
+ * @returns {boolean}
+ */
+function alternativesOverlap(content, flags) {
+  const alternatives = splitAlternatives(content);
+  if (alternatives.length < 2) return false;
+  const firsts = alternatives.map(alternative => getFirstCharPattern(alternative, flags));
+  if (firsts.some(first => !first)) return true;
+  return SAMPLE_CHARS.some(char => firsts.filter(first => first.test(char)).length > 1);
+}
+
+/**
+ * Runs a global regex over text in bounded segments, giving up once the time budget is spent
+ * @param {RegExp} pattern - Global regex
+ * @param {string} text - Text to scan
+ * @param {number} budgetMs - Time budget in milliseconds
+ * @returns {{matches: Array, timedOut: boolean}} matches mimic String.matchAll results
+ *   (match[0] and match.index)
+ */
+export function matchAllWithBudget(pattern, text, budgetMs) {
+  const matches = [];
+  const startTime = Date.now();
+  let offset = 0;
+
+  while (offset < text.length) {
+    if (Date.now() - startTime > budgetMs) {
+      return { matches, timedOut: true };
+    }
+
+    let end = Math.min(offset + SEGMENT_LENGTH, text.length);
+    if (end < text.length) {
+      const lineBreak = text.lastIndexOf('\n', end);
+      const space = text.lastIndexOf(' ', end);
+      const cut = lineBreak > offset ? lineBreak : space > offset ? space : end;
+      end = cut;
+    }
+
+    const segment = text.slice(offset, end);
+    for (const match of segment.matchAll(pattern)) {
+      const result = [match[0]];
+      result.index = offset + match.index;
+      matches.push(result);
+    }
+    offset = end === offset ? end + 1 : end;
+  }
+
+  return { matches, timedOut: false };
+}
@@ -0,0 +1,104 @@
+/**
+ * Related indicators
+ * Breaks URLs and email addresses into the indicators blocklists take: the host (domain
+ * or IP address), its registered domain, the port and the file name at the end of the path.
+ * Internationalized domains are reported in both their Unicode and Punycode forms.
+ */
+
+import { getIOCType } from './iocRegistry';
+import { IOC_TYPES } from './builtinTypes';
+import { getRegisteredDomain } from './publicSuffixList';
+import { toASCII, toUnicode } from './idn';
+
+const IPV4_HOST = /^(?:(?:25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9]?[0-9])\.){3}(?:25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9]?[0-9])$/;
+
+/**
+ * Returns a domain in its Unicode form and, when it differs, its Punycode form
+ * @param {string} domain - Domain in either form
+ * @returns {Array<{type: string, value: string}>}
+ */
+function getDomainForms(domain) {
+  const unicode = toUnicode(domain);
+  const ascii = toASCII(domain);
+  return [unicode, ascii]
+    .filter((value, i, forms) => forms.indexOf(value) === i)
+    .map((value) => ({ type: IOC_TYPES.DOMAIN, value }));
+}
+
+/**
+ * Returns the indicators for a host name: the host itself and, for a subdomain, its
+ * registered domain
+ * @param {string} host - Lower-case host name (Unicode or Punycode) or IP address
+ * @returns {Array<{type: string, value: string}>}
+ */
+function getHostIndicators(host) {
+  if (host.startsWith('[') && host.endsWith(']')) {
+    return [{ type: IOC_TYPES.IPV6, value: host.slice(1, -1) }];
+  }
+  if (IPV4_HOST.test(host)) {
+    return [{ type: IOC_TYPES.IPV4, value: host }];
+  }
+
+  // Hosts without a known public suffix (intranet names, "localhost") are not domains
+  const asciiHost = toASCII(host);
+  const registered = getRegisteredDomain(asciiHost);
+  if (!registered) return [];
+  const indicators = getDomainForms(asciiHost);
+  if (registered !== asciiHost) {
+    indicators.push(...getDomainForms(registered));
+  }
+  return indicators;
+}
+
+/**
+ * Returns the file name at the end of a URL path when it has a known file extension
+ * @param {string} pathname - URL path
+ * @returns {string|null}
+ */
+function getURLFilename(pathname) {
+  let name = pathname.split('/').pop();
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Keep the encoded name
+  }
+  const definition = getIOCType(IOC_TYPES.FILENAME);
+  if (!name || !definition) return null;
+  return new RegExp(`^(?:${definition.pattern.source})$`, definition.pattern.flags.replace('g', '')).test(name) ? name : null;
+}
+
+/**
+ * Returns the indicators contained in a URL or email IOC
+ * (https://cdn.bad.tld:8443/payload/stage2.ps1 -> cdn.bad.tld, bad.tld, 8443, stage2.ps1),
+ * or the other form of an internationalized domain (аррӏе.com -> xn--80ak6aa92e.com)
+ * @param {Object} ioc - Detected IOC
+ * @returns {Array<{type: string, value: string}>} Empty for other IOC types
+ */
+export function getChildIndicators(ioc) {
+  if (ioc.type === IOC_TYPES.DOMAIN) {
+    return getDomainForms(ioc.value).filter((form) => form.value !== ioc.value);
+  }
+  if (ioc.type === IOC_TYPES.EMAIL) {
+    return getHostIndicators(ioc.value.split('@').pop().toLowerCase());
+  }
+  if (ioc.type !== IOC_TYPES.URL && ioc.type !== IOC_TYPES.DEFANGED_URL) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(ioc.value);
+  } catch (error) {
+    return [];
+  }
+
+  const indicators = getHostIndicators(parsed.hostname.toLowerCase());
+  if (parsed.port) {
+    indicators.push({ type: IOC_TYPES.PORT, value: parsed.port });
+  }
+  const filename = getURLFilename(parsed.pathname);
+  if (filename) {
+    indicators.push({ type: IOC_TYPES.FILENAME, value: filename });
+  }
+  return indicators;
+}
@@ -0,0 +1,218 @@
+/**
+ * Text sources
+ * Collects the text scanned for IOCs: the page's visible text plus, when enabled in Settings,
+ * text that innerText leaves out (link targets, tooltip and alt attributes, collapsed
+ * <details> blocks, open shadow roots, same-origin frames and form fields). Each source is
+ * kept as a labeled segment of the scanned text so results can say where they were found.
+ */
+
+export const PAGE_TEXT_SOURCE = 'page';
+// Text selected on the page and extracted from the context menu
+export const SELECTION_TEXT_SOURCE = 'selection';
+
+// Extra sources, in the order they are appended to the scanned text
+export const TEXT_SOURCES = [
+  { id: 'links', label: 'Link targets', description: 'href of links and image maps' },
+  { id: 'attributes', label: 'Attributes', description: 'title, alt, aria-label, placeholder and tooltip/copy-button data attributes' },
+  { id: 'collapsed', label: 'Collapsed sections', description: 'closed <details> blocks and hidden elements' },
+  { id: 'shadow', label: 'Shadow DOM', description: 'open shadow roots of web components' },
+  { id: 'iframes', label: 'Frames', description: 'same-origin iframes' },
+  { id: 'forms', label: 'Form fields', description: 'text areas and text, search, URL and email inputs' },
+];
+
+export const DEFAULT_TEXT_SOURCES = TEXT_SOURCES.map(source => source.id);
+
+export const TEXT_SOURCE_LABELS = {
+  [PAGE_TEXT_SOURCE]: 'Page text',
+  [SELECTION_TEXT_SOURCE]: 'Selection',
+  ...Object.fromEntries(TEXT_SOURCES.map(source => [source.id, source.label])),
+};
+
+const ATTRIBUTE_NAMES = [
+  'title', 'alt', 'aria-label', 'aria-description', 'placeholder',
+  'data-original-title', 'data-tooltip', 'data-title', 'data-clipboard-text', 'data-copy', 'data-value',
+];
+const FORM_FIELDS = 'textarea, input:not([type]), input[type="text"], input[type="search"], input[type="url"], input[type="email"]';
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+
+// Segments of different sources are kept apart so context snippets do not run into each other
+const SEGMENT_SEPARATOR = '\n\n';
+
+// Soft hyphens and zero-width characters pages put inside long values (hashes, URLs) so they
+// wrap; they are invisible, so they are dropped before scanning and skipped when highlighting
+export const INVISIBLE_CHARS = /[\u00AD\u200B-\u200D\u2060\uFEFF]/g;
+
+/**
+ * Removes soft hyphens and zero-width characters from text
+ * @param {string} text - Text to clean
+ * @returns {string}
+ */
+export function stripInvisibleChars(text) {
+  return text.replace(INVISIBLE_CHARS, '');
+}
+
+/**
+ * Returns the documents of same-origin frames, including nested ones
+ * @param {Document} doc - Document to search
+ * @returns {Array<Document>}
+ */
+function getFrameDocuments(doc) {
+  const documents = [];
+  doc.querySelectorAll('iframe, frame').forEach(frame => {
+    try {
+      const frameDocument = frame.contentDocument;
+      if (frameDocument && frameDocument.body) {
+        documents.push(frameDocument, ...getFrameDocuments(frameDocument));
+      }
+    } catch (error) {
+      // Cross-origin frames are not readable
+    }
+  });
+  return documents;
+}
+
+/**
+ * Returns the open shadow roots of a node and below it, including nested ones
+ * @param {Document|ShadowRoot|Element} root - Node to search
+ * @returns {Array<ShadowRoot>}
+ */
+function getShadowRoots(root) {
+  const shadowRoots = root.shadowRoot ? [root.shadowRoot, ...getShadowRoots(root.shadowRoot)] : [];
+  root.querySelectorAll('*').forEach(element => {
+    if (element.shadowRoot) {
+      shadowRoots.push(element.shadowRoot, ...getShadowRoots(element.shadowRoot));
+    }
+  });
+  return shadowRoots;
+}
+
+/**
+ * Concatenates the text nodes below a node (shadow roots have no innerText)
+ * @param {Node} root - Node to read
+ * @returns {string}
+ */
+function getNodeText(root) {
+  const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement && SKIPPED_TAGS.has(node.parentElement.tagName)
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT),
+  });
+  const parts = [];
+  let node;
+  while ((node = walker.nextNode())) {
+    parts.push(node.textContent);
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Returns the frame documents and shadow roots whose text is scanned and highlighted
+ * @param {Array<string>} enabled - Enabled extra source ids
+ * @param {Array<Document|Element>} scope - Nodes to search
+ * @returns {{frames: Array<Document>, shadowRoots: Array<ShadowRoot>}}
+ */
+function getScannedRoots(enabled, scope = [document]) {
+  const frames = enabled.includes('iframes') ? scope.flatMap(getFrameDocuments) : [];
+  const shadowRoots = enabled.includes('shadow') ? [...scope, ...frames].flatMap(getShadowRoots) : [];
+  return { frames, shadowRoots };
+}
+
+/**
+ * Returns the nodes the highlighter should walk for the enabled sources: the page body,
+ * same-origin frame bodies and open shadow roots
+ * @param {Array<string>} enabled - Enabled extra source ids
+ * @returns {Array<Node>}
+ */
+export function getHighlightRoots(enabled) {
+  const { frames, shadowRoots } = getScannedRoots(enabled);
+  return [document.body, ...frames.map(doc => doc.body)].filter(Boolean).concat(shadowRoots);
+}
+
+/**
+ * Reads the text of one extra source in a document, shadow root or element
+ * @param {string} source - Source id
+ * @param {Document|ShadowRoot|Element} root - Node to read
+ * @returns {string}
+ */
+function readSource(source, root) {
+  const values = (selector, read) => {
+    const elements = Array.from(root.querySelectorAll(selector));
+    if (root.matches && root.matches(selector)) elements.unshift(root);
+    return elements.map(read).filter(Boolean);
+  };
+
+  switch (source) {
+    case 'links':
+      return values('a[href], area[href]', link => link.getAttribute('href'))
+        .filter(href => !/^(?:javascript:|#)/i.test(href))
+        .join('\n');
+    case 'attributes':
+      return values(ATTRIBUTE_NAMES.map(name => `[${name}]`).join(', '), element =>
+        ATTRIBUTE_NAMES.map(name => element.getAttribute(name)).filter(Boolean).join('\n')
+      ).join('\n');
+    case 'collapsed':
+      return values('details:not([open]), [hidden]', element => {
+        const summary = element.tagName === 'DETAILS' ? element.querySelector(':scope > summary') : null;
+        return Array.from(element.childNodes)
+          .filter(child => child !== summary)
+          .map(child => child.textContent)
+          .join('\n');
+      }).join('\n');
+    case 'forms':
+      return values(FORM_FIELDS, field => field.value).join('\n');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Collects the text to scan as labeled segments
+ * @param {Array<string>} enabled - Enabled extra source ids (see TEXT_SOURCES)
+ * @param {Array<Node>|null} scope - Elements and text nodes to read instead of the whole page
+ *   (content added or removed since the last scan)
+ * @returns {{text: string, segments: Array<{source: string, start: number, end: number}>}}
+ */
+export function collectScanText(enabled, scope = null) {
+  let text = '';
+  const segments = [];
+  const add = (source, value) => {
+    const trimmed = stripInvisibleChars(value || '').trim();
+    if (!trimmed) return;
+    if (text) text += SEGMENT_SEPARATOR;
+    segments.push({ source, start: text.length, end: text.length + trimmed.length });
+    text += trimmed;
+  };
+
+  const nodes = scope || [document.body];
+  nodes.forEach(node => add(PAGE_TEXT_SOURCE, node.innerText || node.textContent || ''));
+
+  // Text nodes have no frames, shadow roots or attributes
+  const elements = scope ? scope.filter(node => node.nodeType === Node.ELEMENT_NODE) : [document];
+  const { frames, shadowRoots } = getScannedRoots(enabled, elements);
+  frames.forEach(doc => add('iframes', doc.body.innerText || doc.body.textContent));
+  shadowRoots.forEach(root => add('shadow', getNodeText(root)));
+
+  // Hidden sources are read in every scanned document, element and shadow root
+  const roots = [...elements, ...frames, ...shadowRoots];
+  ['links', 'attributes', 'collapsed', 'forms']
+    .filter(source => enabled.includes(source))
+    .forEach(source => roots.forEach(root => add(source, readSource(source, root))));
+
+  return { text, segments };
+}
+
+/**
+ * Tags each IOC with the sources its occurrences were found in (`sources`, e.g. ['page', 'links'])
+ * @param {Array} iocs - Detected IOCs with occurrences in the collected text
+ * @param {Array} segments - Segments returned by collectScanText
+ */
+export function labelSources(iocs, segments) {
+  iocs.forEach(ioc => {
+    const sources = new Set();
+    ioc.occurrences.forEach(({ start }) => {
+      const segment = segments.find(candidate => start >= candidate.start && start < candidate.end);
+      if (segment) sources.add(segment.source);
+    });
+    ioc.sources = Array.from(sources);
+  });
+}
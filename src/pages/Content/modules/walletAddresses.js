@@ -0,0 +1,269 @@
+/**
+ * Cryptocurrency wallet address validation
+ * Checks candidate BTC, LTC, TRX, ETH and XMR addresses against their real encodings
+ * (Base58Check, bech32/bech32m, EIP-55 and Monero's base58 + Keccak checksum), so that
+ * random base58- or hex-looking strings are not reported as wallets.
+ * Each describe function returns the address format, or null when the value is not a
+ * valid address of that currency.
+ */
+
+import { sha256, keccak256, toHex } from './digest';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32_CONSTANT = 1;
+const BECH32M_CONSTANT = 0x2bc830a3;
+
+// Monero base58 encodes 8-byte blocks as 11 characters; a shorter final block of n bytes
+// takes MONERO_BLOCK_SIZES[n] characters
+const MONERO_BLOCK_SIZES = [0, 2, 3, 5, 6, 7, 9, 10, 11];
+const MONERO_NETWORKS = {
+  18: 'Standard',
+  19: 'Integrated',
+  42: 'Subaddress',
+};
+
+/**
+ * Decodes a Bitcoin-alphabet base58 string
+ * @param {string} text - Base58 text
+ * @returns {Uint8Array|null} null on characters outside the alphabet
+ */
+function decodeBase58(text) {
+  const bytes = [];
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) return null;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Each leading "1" encodes a leading zero byte
+  for (const char of text) {
+    if (char !== '1') break;
+    bytes.push(0);
+  }
+  return Uint8Array.from(bytes.reverse());
+}
+
+/**
+ * Decodes a Base58Check string and verifies its double SHA-256 checksum
+ * @param {string} text - Base58Check text
+ * @returns {{version: number, payload: Uint8Array}|null}
+ */
+function decodeBase58Check(text) {
+  const bytes = decodeBase58(text);
+  if (!bytes || bytes.length < 5) return null;
+
+  const data = bytes.slice(0, -4);
+  const checksum = sha256(sha256(data)).slice(0, 4);
+  if (!checksum.every((byte, i) => byte === bytes[bytes.length - 4 + i])) return null;
+  return { version: data[0], payload: data.slice(1) };
+}
+
+/**
+ * Computes the bech32 checksum polynomial
+ * @param {Array<number>} values - 5-bit values
+ * @returns {number}
+ */
+function bech32Polymod(values) {
+  let checksum = 1;
+  values.forEach((value) => {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    BECH32_GENERATOR.forEach((generator, i) => {
+      if ((top >> i) & 1) checksum ^= generator;
+    });
+  });
+  return checksum >>> 0;
+}
+
+/**
+ * Decodes a bech32 or bech32m string
+ * @param {string} text - Bech32 text (all lower or all upper case)
+ * @returns {{hrp: string, data: Array<number>, encoding: string}|null}
+ */
+function decodeBech32(text) {
+  if (text !== text.toLowerCase() && text !== text.toUpperCase()) return null;
+  const lower = text.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length || lower.length > 90) return null;
+
+  const hrp = lower.slice(0, separator);
+  const data = Array.from(lower.slice(separator + 1), (char) => BECH32_CHARSET.indexOf(char));
+  if (data.some((value) => value < 0)) return null;
+
+  const expandedHrp = [
+    ...Array.from(hrp, (char) => char.charCodeAt(0) >> 5),
+    0,
+    ...Array.from(hrp, (char) => char.charCodeAt(0) & 31),
+  ];
+  const polymod = bech32Polymod([...expandedHrp, ...data]);
+  const encoding = polymod === BECH32_CONSTANT ? 'bech32' : polymod === BECH32M_CONSTANT ? 'bech32m' : null;
+  if (!encoding) return null;
+  return { hrp, data: data.slice(0, -6), encoding };
+}
+
+/**
+ * Regroups 5-bit values into bytes, rejecting non-zero padding
+ * @param {Array<number>} values - 5-bit values
+ * @returns {Array<number>|null}
+ */
+function fiveBitToBytes(values) {
+  let accumulator = 0;
+  let bits = 0;
+  const bytes = [];
+  for (const value of values) {
+    accumulator = (accumulator << 5) | value;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((accumulator >> bits) & 0xff);
+    }
+    accumulator &= (1 << bits) - 1;
+  }
+  if (bits >= 5 || accumulator !== 0) return null;
+  return bytes;
+}
+
+/**
+ * Describes a segwit address (BIP 173 / BIP 350) for a given human-readable part
+ * @param {string} address - Candidate address
+ * @param {string} expectedHrp - "bc" for Bitcoin, "ltc" for Litecoin
+ * @returns {string|null}
+ */
+function describeSegwitAddress(address, expectedHrp) {
+  const decoded = decodeBech32(address);
+  if (!decoded || decoded.hrp !== expectedHrp || decoded.data.length === 0) return null;
+
+  const [version, ...rest] = decoded.data;
+  const program = fiveBitToBytes(rest);
+  if (version > 16 || !program || program.length < 2 || program.length > 40) return null;
+
+  // Witness v0 uses bech32, later versions bech32m
+  if ((version === 0) !== (decoded.encoding === 'bech32')) return null;
+  if (version === 0) {
+    if (program.length === 20) return 'SegWit (P2WPKH)';
+    if (program.length === 32) return 'SegWit (P2WSH)';
+    return null;
+  }
+  if (version === 1 && program.length === 32) return 'Taproot (P2TR)';
+  return `SegWit v${version}`;
+}
+
+/**
+ * Describes a Base58Check address whose version byte selects the format
+ * @param {string} address - Candidate address
+ * @param {Object} versions - Version byte -> format name
+ * @returns {string|null}
+ */
+function describeBase58CheckAddress(address, versions) {
+  const decoded = decodeBase58Check(address);
+  if (!decoded || decoded.payload.length !== 20) return null;
+  return versions[decoded.version] || null;
+}
+
+/**
+ * Describes a Bitcoin address: legacy P2PKH (1...), P2SH (3...) or segwit/taproot (bc1...)
+ * @param {string} address - Candidate address
+ * @returns {string|null}
+ */
+export function describeBitcoinAddress(address) {
+  if (/^bc1/i.test(address)) {
+    return describeSegwitAddress(address, 'bc');
+  }
+  return describeBase58CheckAddress(address, { 0x00: 'P2PKH', 0x05: 'P2SH' });
+}
+
+/**
+ * Describes a Litecoin address: legacy P2PKH (L...), P2SH (M...) or segwit (ltc1...)
+ * @param {string} address - Candidate address
+ * @returns {string|null}
+ */
+export function describeLitecoinAddress(address) {
+  if (/^ltc1/i.test(address)) {
+    return describeSegwitAddress(address, 'ltc');
+  }
+  return describeBase58CheckAddress(address, { 0x30: 'P2PKH', 0x32: 'P2SH' });
+}
+
+/**
+ * Describes a Tron address (T..., Base58Check with version byte 0x41)
+ * @param {string} address - Candidate address
+ * @returns {string|null}
+ */
+export function describeTronAddress(address) {
+  return describeBase58CheckAddress(address, { 0x41: 'Base58Check' });
+}
+
+/**
+ * Describes an Ethereum address, verifying the EIP-55 checksum when it is mixed case
+ * @param {string} address - Candidate address (0x + 40 hex digits)
+ * @returns {string|null}
+ */
+export function describeEthereumAddress(address) {
+  const hex = address.replace(/^0x/i, '');
+  if (!/^[0-9a-fA-F]{40}$/.test(hex)) return null;
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return 'No checksum';
+
+  // EIP-55: a letter is upper case iff the matching nibble of keccak256(lower-case hex) is >= 8
+  const hash = toHex(keccak256(new TextEncoder().encode(hex.toLowerCase())));
+  for (let i = 0; i < 40; i++) {
+    if (/[a-f]/i.test(hex[i]) && (parseInt(hash[i], 16) >= 8) !== (hex[i] === hex[i].toUpperCase())) {
+      return null;
+    }
+  }
+  return 'EIP-55 checksum';
+}
+
+/**
+ * Decodes Monero's block-wise base58
+ * @param {string} text - Monero base58 text
+ * @returns {Uint8Array|null}
+ */
+function decodeMoneroBase58(text) {
+  const bytes = [];
+  for (let offset = 0; offset < text.length; offset += 11) {
+    const block = text.slice(offset, offset + 11);
+    const byteCount = MONERO_BLOCK_SIZES.indexOf(block.length);
+    if (byteCount < 1) return null;
+
+    let value = BigInt(0);
+    for (const char of block) {
+      const digit = BASE58_ALPHABET.indexOf(char);
+      if (digit < 0) return null;
+      value = value * BigInt(58) + BigInt(digit);
+    }
+    if (value >> BigInt(byteCount * 8) !== BigInt(0)) return null;
+
+    for (let i = byteCount - 1; i >= 0; i--) {
+      bytes.push(Number((value >> BigInt(i * 8)) & BigInt(0xff)));
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Describes a Monero mainnet address: standard (4...), integrated (4..., 106 characters)
+ * or subaddress (8...), verifying the Keccak-256 checksum
+ * @param {string} address - Candidate address
+ * @returns {string|null}
+ */
+export function describeMoneroAddress(address) {
+  const bytes = decodeMoneroBase58(address);
+  if (!bytes || (bytes.length !== 69 && bytes.length !== 77)) return null;
+
+  const data = bytes.slice(0, -4);
+  const checksum = keccak256(data).slice(0, 4);
+  if (!checksum.every((byte, i) => byte === bytes[bytes.length - 4 + i])) return null;
+
+  const format = MONERO_NETWORKS[data[0]];
+  if (!format || (format === 'Integrated') !== (bytes.length === 77)) return null;
+  return format;
+}
@@ -1,19 +1,103 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { getIOCTypes, getTypeCategory, IOC_CATEGORIES } from '../Content/modules/iocDetector';
+import {
+  applyCustomPatterns,
+  validateCustomPattern,
+  CUSTOM_PATTERN_NORMALIZERS,
+} from '../Content/modules/customPatterns';
+import { checkPatternSafety } from '../Content/modules/regexGuard';
+import { isNonRoutable } from '../Content/modules/ipClassifier';
+import { DEFANG_OUTPUT_STYLES } from '../Content/modules/refang';
+import { DEFAULT_DEFANG_OUTPUT, formatOutputText, formatOutputValue } from '../Content/modules/defangOutput';
+import { DEFAULT_PROTECTED_BRANDS } from '../Content/modules/homoglyphs';
+import {
+  PAGE_TEXT_SOURCE,
+  TEXT_SOURCES,
+  TEXT_SOURCE_LABELS,
+  DEFAULT_TEXT_SOURCES,
+} from '../Content/modules/textSources';
+import { DEFAULT_SCAN_LIMITS } from '../Content/modules/chunkedDetection';
+import { DEFAULT_PIVOT_LINKS, PIVOT_VALUE_PLACEHOLDER, validatePivotLink } from '../Content/modules/pivotLinks';
+import {
+  HIGHLIGHT_COLORINGS,
+  DEFAULT_HIGHLIGHT_COLORING,
+  getRiskColor,
+  getTypeDisplayColor,
+} from '../Content/modules/highlightColors';
 import './Popup.css';
 
-const IOC_TYPES = {
-  IPV4: 'IPv4',
-  IPV6: 'IPv6',
-  CIDR: 'CIDR',
-  DEFANGED_IP: 'Defanged IP',
-  MD5: 'MD5',
-  SHA1: 'SHA1',
-  SHA256: 'SHA256',
-  SHA512: 'SHA512',
-  EMAIL: 'Email',
-  DEFANGED_URL: 'Defanged URL',
-  URL: 'URL',
-  FILENAME: 'Filename',
+// A custom pattern whose live test takes longer than this is treated as catastrophic
+const PATTERN_TEST_TIMEOUT_MS = 1000;
+
+const EMPTY_PATTERN_DRAFT = {
+  name: '',
+  source: '',
+  caseInsensitive: false,
+  color: '#1abc9c',
+  normalizer: 'none',
+};
+
+const EMPTY_PIVOT_DRAFT = { name: '', url: '', types: '' };
+
+// Key of an IOC in the per-tab current list kept in storage (ids change with every scan)
+const getListKey = (ioc) => `${ioc.type}|${ioc.value}`;
+
+// Saved lists are kept in chrome.storage.local (a sync item holds only 8 KB, too little for
+// an ordinary list); each IOC keeps only what the Saved tab and its export show
+const toSavedIOC = ({ type, value, originalValue, count, context, derivation }) => ({
+  type,
+  value,
+  ...(originalValue ? { originalValue } : {}),
+  ...(count ? { count } : {}),
+  ...(context ? { context } : {}),
+  ...(derivation ? { derivation } : {}),
+});
+
+// Section headings for the IOC categories, in display and export order
+const CATEGORY_LABELS = {
+  [IOC_CATEGORIES.INDICATOR]: 'Network & file indicators',
+  [IOC_CATEGORIES.TTP]: 'TTPs & vulnerabilities',
+};
+
+/**
+ * Splits IOCs into their category sections, skipping empty ones
+ * @param {Array} list - IOCs
+ * @returns {Array<{category: string, label: string, iocs: Array}>}
+ */
+const groupByCategory = (list) => Object.entries(CATEGORY_LABELS)
+  .map(([category, label]) => ({
+    category,
+    label,
+    iocs: list.filter(ioc => getTypeCategory(ioc.type) === category),
+  }))
+  .filter(group => group.iocs.length > 0);
+
+/**
+ * Formats a character count for display (1234567 -> "1.2M")
+ * @param {number} count - Number of characters
+ * @returns {string}
+ */
+const formatCharCount = (count) => {
+  if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+  if (count >= 1000) return `${Math.round(count / 1000)}K`;
+  return String(count);
+};
+
+/**
+ * Arranges IOCs as a tree: each top-level IOC with the child IOCs (host, registered domain,
+ * port, file name) found in it. Children whose parents are not in the list stay top-level
+ * @param {Array} list - IOCs
+ * @returns {Array<{ioc: Object, children: Array}>}
+ */
+const buildIOCTree = (list) => {
+  const ids = new Set(list.map(ioc => ioc.id));
+  const hasParentInList = (ioc) => (ioc.parentIds || []).some(id => ids.has(id));
+  return list
+    .filter(ioc => !hasParentInList(ioc))
+    .map(ioc => ({
+      ioc,
+      children: list.filter(child => (child.parentIds || []).includes(ioc.id)),
+    }));
 };
 
 const Popup = () => {
@@ -22,25 +106,75 @@ const Popup = () => {
   const [savedLists, setSavedLists] = useState([]);
   const [highlightColor, setHighlightColor] = useState('#ff6b6b');
   const [separator, setSeparator] = useState('comma'); // 'comma', 'newline', 'space'
+  const [exportContext, setExportContext] = useState(false); // Include occurrence count and context in exports
+  const [nonRoutableIPs, setNonRoutableIPs] = useState('show'); // 'show', 'dim', 'hide' private/reserved/bogon IPs
+  const [highlightMode, setHighlightMode] = useState('ranges'); // 'ranges' or 'spans' page highlight rendering
+  const [highlightColoring, setHighlightColoring] = useState(DEFAULT_HIGHLIGHT_COLORING); // 'auto', 'type' or 'single'
+  const [typeColors, setTypeColors] = useState({}); // Per-type highlight and badge color overrides
+  const [showLegend, setShowLegend] = useState(true); // Color legend overlay on pages
+  const [defangOutput, setDefangOutput] = useState(DEFAULT_DEFANG_OUTPUT); // Per-type defanging of copied/exported IOCs
+  const [textSources, setTextSources] = useState(DEFAULT_TEXT_SOURCES); // Extra text sources scanned besides the page text
+  const [scanLimits, setScanLimits] = useState(DEFAULT_SCAN_LIMITS); // Size and time limits for large pages
+  const [scanProgress, setScanProgress] = useState(null); // {scannedChars, totalChars} while a large page is scanned
+  const [partialScan, setPartialScan] = useState(null); // Set when a limit stopped the last scan early
+  const [scanError, setScanError] = useState(null); // Set when the last scan of the page failed
+  const [selectionScan, setSelectionScan] = useState(false); // Results come from a selection (context menu)
+  const [pivotLinks, setPivotLinks] = useState(DEFAULT_PIVOT_LINKS); // Lookup links offered by the page hover card
+  const [pivotDraft, setPivotDraft] = useState(EMPTY_PIVOT_DRAFT); // Pivot link being added in Settings
+  const [protectedBrands, setProtectedBrands] = useState(DEFAULT_PROTECTED_BRANDS.join('\n')); // Look-alike host check, one brand per line
   const [currentUrl, setCurrentUrl] = useState('');
   const [isScanning, setIsScanning] = useState(false);
   const [activeTab, setActiveTab] = useState('scan'); // 'scan', 'list', 'saved', 'settings'
   const [filterTerm, setFilterTerm] = useState(''); // Filter/search term for IOCs
+  const [occurrence, setOccurrence] = useState(null); // IOC shown on the page: {type, value, index, total}
   const [listName, setListName] = useState(''); // Name for the current list
   const [openaiApiKey, setOpenaiApiKey] = useState(''); // OpenAI API key
   const [isAnalyzing, setIsAnalyzing] = useState(false); // Analysis in progress
   const [openaiConfigured, setOpenaiConfigured] = useState(false); // OpenAI configured status
+  const [customPatterns, setCustomPatterns] = useState([]); // User-defined IOC patterns
+  const [patternDraft, setPatternDraft] = useState(EMPTY_PATTERN_DRAFT); // Pattern being edited in Settings
+  const [patternTestText, setPatternTestText] = useState(''); // Sample text for the live test
+  const [patternTest, setPatternTest] = useState({ status: 'idle', matches: [], message: '' }); // Live test result
+  const [showSuppressed, setShowSuppressed] = useState(false); // Suppressed false positives expanded
+  const patternTestWorker = useRef(null);
+  const activeTabId = useRef(null); // Tab whose results are shown
+  const storedListKeys = useRef(undefined); // Current list stored for the tab; null once results restored it
+  const showingSelection = useRef(false); // Page results are ignored while selection results are shown
+
+  // IOCs shown in the Scan tab, after removing likely false positives and applying the
+  // non-routable IP setting
+  const suppressedIOCs = iocs.filter(ioc => ioc.suppressed);
+  const activeIOCs = iocs.filter(ioc => !ioc.suppressed);
+  const visibleIOCs = nonRoutableIPs === 'hide' ? activeIOCs.filter(ioc => !isNonRoutable(ioc)) : activeIOCs;
+  const hiddenIOCCount = activeIOCs.length - visibleIOCs.length;
 
   useEffect(() => {
     // Load settings from storage
-    chrome.storage.sync.get(['highlightColor', 'separator', 'savedLists', 'openaiApiKey'], (result) => {
+    chrome.storage.sync.get(['highlightColor', 'separator', 'exportContext', 'openaiApiKey', 'customPatterns', 'nonRoutableIPs', 'highlightMode', 'defangOutput', 'protectedBrands', 'textSources', 'scanLimits', 'pivotLinks', 'highlightColoring', 'typeColors', 'showLegend'], (result) => {
       if (result.highlightColor) setHighlightColor(result.highlightColor);
+      if (result.highlightColoring) setHighlightColoring(result.highlightColoring);
+      if (result.typeColors) setTypeColors(result.typeColors);
+      if (result.showLegend !== undefined) setShowLegend(result.showLegend);
       if (result.separator) setSeparator(result.separator);
-      if (result.savedLists) setSavedLists(result.savedLists);
+      if (result.exportContext) setExportContext(result.exportContext);
+      if (result.nonRoutableIPs) setNonRoutableIPs(result.nonRoutableIPs);
+      if (result.highlightMode) setHighlightMode(result.highlightMode);
+      if (result.defangOutput) setDefangOutput(result.defangOutput);
+      if (result.protectedBrands) setProtectedBrands(result.protectedBrands.join('\n'));
+      if (result.textSources) setTextSources(result.textSources);
+      if (result.scanLimits) setScanLimits({ ...DEFAULT_SCAN_LIMITS, ...result.scanLimits });
+      if (result.pivotLinks) setPivotLinks(result.pivotLinks);
       if (result.openaiApiKey) {
         setOpenaiApiKey(result.openaiApiKey);
         setOpenaiConfigured(true);
       }
+      if (result.customPatterns) {
+        setCustomPatterns(result.customPatterns);
+        applyCustomPatterns(result.customPatterns); // So custom types get their badge colors
+      }
+    });
+    chrome.storage.local.get(['savedLists'], (result) => {
+      if (result.savedLists) setSavedLists(result.savedLists);
     });
 
     // Check OpenAI status
@@ -55,32 +189,119 @@ const Popup = () => {
       if (tabs[0]) {
         const url = tabs[0].url;
         setCurrentUrl(url);
-        
-        // Only request scan if URL is valid for content scripts
-        if (url && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://') && !url.startsWith('edge://')) {
-          // Small delay to ensure content script is ready
-          setTimeout(() => {
-            requestScan();
-          }, 100);
-        }
+        activeTabId.current = tabs[0].id;
+
+        // IOCs added to the list from the page's hover cards, or selected in an earlier popup
+        const listKey = `currentList_${tabs[0].id}`;
+        // IOCs extracted from a selection with the context menu, shown once instead of the page's
+        const selectionKey = `selectionIOCs_${tabs[0].id}`;
+        chrome.storage.local.get([listKey, selectionKey], (result) => {
+          storedListKeys.current = new Set(result[listKey] || []);
+          const selection = result[selectionKey];
+          if (selection) chrome.storage.local.remove(selectionKey);
+          if (selection && selection.url === url) {
+            showingSelection.current = true;
+            setSelectionScan(true);
+            showResults(selection.iocs);
+            return;
+          }
+          
+          // Only request scan if URL is valid for content scripts
+          if (url && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://') && !url.startsWith('edge://')) {
+            // Small delay to ensure content script is ready
+            setTimeout(() => {
+              requestScan();
+            }, 100);
+          }
+        });
       }
     });
   }, []);
 
-  // Listen for IOC detection messages
+  // Listen for IOC detection messages, including live updates as the page loads more content
   useEffect(() => {
-    const listener = (message) => {
-      if (message.action === 'iocsDetected') {
-        setIocs(message.iocs || []);
-        setIsScanning(false);
+    const listener = (message, sender) => {
+      if (message.action !== 'iocsDetected' && message.action !== 'scanProgress' && message.action !== 'scanFailed') return;
+      if (sender.tab && activeTabId.current !== null && sender.tab.id !== activeTabId.current) return;
+      if (showingSelection.current) return;
+      if (message.action === 'scanProgress') {
+        setScanProgress({ scannedChars: message.scannedChars, totalChars: message.totalChars });
+        return;
       }
+      if (message.action === 'scanFailed') {
+        setScanError(message.incremental
+          ? `Scanning content added to the page failed: ${message.error}`
+          : `Scanning the page failed: ${message.error}`);
+        if (!message.incremental) {
+          setScanProgress(null);
+          setIsScanning(false);
+        }
+        return;
+      }
+      if (message.incremental) {
+        // Keep what the popup added to known IOCs (risk scores, restored suppressions)
+        setIocs(previous => {
+          const known = new Map(previous.map(ioc => [ioc.id, ioc]));
+          return (message.iocs || []).map(ioc => (known.has(ioc.id)
+            ? { ...known.get(ioc.id), count: ioc.count, parentIds: ioc.parentIds, sources: ioc.sources }
+            : ioc));
+        });
+        return;
+      }
+      showResults(message.iocs || []);
+      setPartialScan(message.partial || null);
+      setScanError(null);
+      setScanProgress(null);
+      setIsScanning(false);
     };
     chrome.runtime.onMessage.addListener(listener);
     return () => chrome.runtime.onMessage.removeListener(listener);
   }, []);
 
+  // Keep the tab's current list in storage, so it survives the popup closing and hover cards
+  // can add to it. Nothing is written until the stored list has been restored
+  useEffect(() => {
+    if (activeTabId.current === null || storedListKeys.current !== null || iocs.length === 0) return;
+    chrome.storage.local.set({
+      [`currentList_${activeTabId.current}`]: iocs.filter(ioc => selectedIocs.has(ioc.id)).map(getListKey),
+    });
+  }, [iocs, selectedIocs]);
+
+  // Re-run the custom pattern live test whenever the draft or the sample text changes
+  useEffect(() => {
+    if (!patternDraft.source) {
+      setPatternTest({ status: 'idle', matches: [], message: '' });
+      return undefined;
+    }
+    const safety = checkPatternSafety(patternDraft.source, patternDraft.caseInsensitive ? 'i' : '');
+    if (!safety.safe) {
+      setPatternTest({ status: 'error', matches: [], message: safety.reason });
+      return undefined;
+    }
+    const timer = setTimeout(() => runPatternTest(patternDraft, patternTestText), 300);
+    return () => clearTimeout(timer);
+  }, [patternDraft, patternTestText]);
+
+  // Stop a pending live test when the popup closes
+  useEffect(() => () => patternTestWorker.current && patternTestWorker.current.terminate(), []);
+
+  // Shows a complete set of results, selecting the IOCs of the stored current list the first time
+  const showResults = (results) => {
+    setIocs(results);
+    if (storedListKeys.current) {
+      const listKeys = storedListKeys.current;
+      storedListKeys.current = null;
+      setSelectedIocs(new Set(results.filter(ioc => listKeys.has(getListKey(ioc))).map(ioc => ioc.id)));
+    }
+  };
+
   const requestScan = () => {
+    showingSelection.current = false;
+    setSelectionScan(false);
     setIsScanning(true);
+    setScanProgress(null);
+    setScanError(null);
+    setOccurrence(null);
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (tabs[0]) {
         // Check if the URL is valid for content scripts (not chrome:// or extension pages)
@@ -102,6 +323,22 @@ const Popup = () => {
     });
   };
 
+  // Scrolls the page to a highlight of an IOC and keeps its "n of m" position for the
+  // navigation bar; next and previous wrap around
+  const goToOccurrence = (ioc, direction = 'first') => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0]) return;
+      chrome.tabs.sendMessage(
+        tabs[0].id,
+        { action: 'navigateOccurrences', direction, filter: { type: ioc.type, value: ioc.value } },
+        (response) => {
+          if (chrome.runtime.lastError || !response) return;
+          setOccurrence({ type: ioc.type, value: ioc.value, index: response.index, total: response.total });
+        }
+      );
+    });
+  };
+
   const toggleIOCSelection = (iocId) => {
     const newSelected = new Set(selectedIocs);
     if (newSelected.has(iocId)) {
@@ -115,11 +352,11 @@ const Popup = () => {
   const selectAll = () => {
     // If filter is active, only select filtered IOCs; otherwise select all
     const iocsToSelect = filterTerm
-      ? iocs.filter(ioc => 
+      ? visibleIOCs.filter(ioc => 
           ioc.value.toLowerCase().includes(filterTerm.toLowerCase()) ||
           ioc.type.toLowerCase().includes(filterTerm.toLowerCase())
         )
-      : iocs;
+      : visibleIOCs;
     setSelectedIocs(new Set(iocsToSelect.map(ioc => ioc.id)));
   };
 
@@ -145,11 +382,11 @@ const Popup = () => {
     }
     // If filter is active, only add filtered IOCs; otherwise add all
     const iocsToAdd = filterTerm
-      ? iocs.filter(ioc => 
+      ? visibleIOCs.filter(ioc => 
           ioc.value.toLowerCase().includes(filterTerm.toLowerCase()) ||
           ioc.type.toLowerCase().includes(filterTerm.toLowerCase())
         )
-      : iocs;
+      : visibleIOCs;
     setSelectedIocs(new Set(iocsToAdd.map(ioc => ioc.id)));
     setActiveTab('list');
   };
@@ -182,6 +419,186 @@ const Popup = () => {
     chrome.storage.sync.set({ separator: sep });
   };
 
+  const updateExportContext = (enabled) => {
+    setExportContext(enabled);
+    chrome.storage.sync.set({ exportContext: enabled });
+  };
+
+  const runPatternTest = (definition, text) => {
+    if (patternTestWorker.current) {
+      patternTestWorker.current.terminate();
+    }
+    setPatternTest({ status: 'testing', matches: [], message: '' });
+
+    // Run in a worker so a catastrophically backtracking pattern can be killed
+    const worker = new Worker('patternTestWorker.bundle.js');
+    patternTestWorker.current = worker;
+    const timeout = setTimeout(() => {
+      worker.terminate();
+      setPatternTest({
+        status: 'error',
+        matches: [],
+        message: `Pattern took longer than ${PATTERN_TEST_TIMEOUT_MS}ms and could freeze pages (catastrophic backtracking).`,
+      });
+    }, PATTERN_TEST_TIMEOUT_MS);
+
+    worker.onmessage = (event) => {
+      clearTimeout(timeout);
+      worker.terminate();
+      setPatternTest({ status: 'ok', matches: event.data.matches, message: '' });
+    };
+    worker.onerror = (event) => {
+      clearTimeout(timeout);
+      worker.terminate();
+      setPatternTest({ status: 'error', matches: [], message: event.message || 'Pattern test failed.' });
+    };
+    worker.postMessage({ definition, text });
+  };
+
+  const saveDefangOutput = (settings) => {
+    setDefangOutput(settings);
+    chrome.storage.sync.set({ defangOutput: settings });
+  };
+
+  const toggleDefangStyle = (type, styleId) => {
+    const styles = defangOutput.types[type] || [];
+    const updatedStyles = styles.includes(styleId)
+      ? styles.filter(style => style !== styleId)
+      : [...styles, styleId];
+    saveDefangOutput({ ...defangOutput, types: { ...defangOutput.types, [type]: updatedStyles } });
+  };
+
+  const updateScanLimit = (key, value) => {
+    const number = parseInt(value, 10);
+    if (!(number > 0)) return;
+    const updatedLimits = { ...scanLimits, [key]: number };
+    setScanLimits(updatedLimits);
+    chrome.storage.sync.set({ scanLimits: updatedLimits });
+  };
+
+  const toggleTextSource = (sourceId) => {
+    const updatedSources = textSources.includes(sourceId)
+      ? textSources.filter(id => id !== sourceId)
+      : [...textSources, sourceId];
+    setTextSources(updatedSources);
+    chrome.storage.sync.set({ textSources: updatedSources }); // Content scripts re-scan on change
+  };
+
+  const saveProtectedBrands = () => {
+    const brands = protectedBrands.split('\n').map(brand => brand.trim().toLowerCase()).filter(Boolean);
+    setProtectedBrands(brands.join('\n'));
+    chrome.storage.sync.set({ protectedBrands: brands }, () => {
+      alert(`Saved ${brands.length} protected brand${brands.length === 1 ? '' : 's'}.`);
+    }); // Content scripts re-scan on change
+  };
+
+  const updateNonRoutableIPs = (mode) => {
+    setNonRoutableIPs(mode);
+    chrome.storage.sync.set({ nonRoutableIPs: mode }); // Content scripts re-highlight on change
+  };
+
+  const updateHighlightMode = (mode) => {
+    setHighlightMode(mode);
+    chrome.storage.sync.set({ highlightMode: mode }); // Content scripts re-highlight on change
+  };
+
+  const updateHighlightColoring = (coloring) => {
+    setHighlightColoring(coloring);
+    chrome.storage.sync.set({ highlightColoring: coloring }); // Content scripts re-highlight on change
+  };
+
+  const saveTypeColors = (colors) => {
+    setTypeColors(colors);
+    chrome.storage.sync.set({ typeColors: colors }); // Content scripts re-highlight on change
+  };
+
+  const updateShowLegend = (enabled) => {
+    setShowLegend(enabled);
+    chrome.storage.sync.set({ showLegend: enabled });
+  };
+
+  const restoreSuppressedIOC = (ioc) => {
+    setIocs(iocs.map(item => (item.id === ioc.id
+      ? { ...item, suppressed: false, suppressionRule: undefined, suppressionReason: undefined }
+      : item)));
+    // Remember the value so future scans keep it (also undoing a false-positive mark made
+    // from the page); content scripts re-highlight on change
+    chrome.storage.local.get(['restoredIOCs', 'falsePositiveIOCs'], (result) => {
+      const restored = new Set(result.restoredIOCs || []);
+      restored.add(ioc.value);
+      chrome.storage.local.set({
+        restoredIOCs: Array.from(restored),
+        falsePositiveIOCs: (result.falsePositiveIOCs || []).filter(value => value !== ioc.value),
+      });
+    });
+  };
+
+  const savePivotLinks = (links) => {
+    setPivotLinks(links);
+    chrome.storage.sync.set({ pivotLinks: links }); // Content scripts update their hover cards on change
+  };
+
+  const addPivotLink = () => {
+    const link = {
+      name: pivotDraft.name.trim(),
+      url: pivotDraft.url.trim(),
+      types: pivotDraft.types.split(',').map(type => type.trim()).filter(Boolean),
+    };
+    const error = validatePivotLink(link, pivotLinks);
+    if (error) {
+      alert(error);
+      return;
+    }
+    savePivotLinks([...pivotLinks, { ...link, id: Date.now().toString(), enabled: true }]);
+    setPivotDraft(EMPTY_PIVOT_DRAFT);
+  };
+
+  const togglePivotLink = (linkId) => {
+    savePivotLinks(pivotLinks.map((link) =>
+      link.id === linkId ? { ...link, enabled: link.enabled === false } : link
+    ));
+  };
+
+  const deletePivotLink = (linkId) => {
+    savePivotLinks(pivotLinks.filter((link) => link.id !== linkId));
+  };
+
+  const saveCustomPatterns = (patterns) => {
+    setCustomPatterns(patterns);
+    applyCustomPatterns(patterns);
+    chrome.storage.sync.set({ customPatterns: patterns });
+  };
+
+  const addCustomPattern = () => {
+    const definition = { ...patternDraft, name: patternDraft.name.trim() };
+    const error = validateCustomPattern(definition, customPatterns);
+    if (error) {
+      alert(error);
+      return;
+    }
+    if (patternTest.status !== 'ok') {
+      alert(patternTest.message || 'Please wait for the live test to finish before adding the pattern.');
+      return;
+    }
+
+    saveCustomPatterns([
+      ...customPatterns,
+      { ...definition, id: Date.now().toString(), enabled: true },
+    ]);
+    setPatternDraft(EMPTY_PATTERN_DRAFT);
+    setPatternTestText('');
+  };
+
+  const toggleCustomPattern = (patternId) => {
+    saveCustomPatterns(customPatterns.map((pattern) =>
+      pattern.id === patternId ? { ...pattern, enabled: pattern.enabled === false } : pattern
+    ));
+  };
+
+  const deleteCustomPattern = (patternId) => {
+    saveCustomPatterns(customPatterns.filter((pattern) => pattern.id !== patternId));
+  };
+
   const saveOpenAIApiKey = () => {
     const apiKey = openaiApiKey.trim();
     if (apiKey) {
@@ -216,7 +633,7 @@ const Popup = () => {
     // Determine which IOCs to analyze: selected ones if any, otherwise all
     const iocsToAnalyze = selectedIocs.size > 0 
       ? iocs.filter(ioc => selectedIocs.has(ioc.id))
-      : iocs;
+      : activeIOCs;
 
     if (iocsToAnalyze.length === 0) {
       alert('No IOCs selected to analyze. Please select IOCs or analyze all.');
@@ -272,8 +689,41 @@ const Popup = () => {
     }
   };
 
+  // "seen 4 times — '...beacons to 1.2.3.4 every 60s...'"
+  const formatOccurrenceSummary = (ioc) => {
+    if (!ioc.count) return '';
+    const times = ioc.count === 1 ? 'once' : `${ioc.count} times`;
+    return ioc.context ? `seen ${times} — '${ioc.context}'` : `seen ${times}`;
+  };
+
+  // Values are defanged per the Settings tab; the context gets the same treatment for every
+  // IOC written in it, so the pasted text never contains a live copy of an indicator
+  const formatExportLine = (ioc, known) => {
+    const value = formatOutputValue(ioc, defangOutput);
+    const parts = exportContext ? [formatOutputText(formatOccurrenceSummary(ioc), known, defangOutput)] : [];
+    if (exportContext && ioc.derivation) parts.push(`decoded via ${ioc.derivation}`);
+    const summary = parts.filter(Boolean).join('; ');
+    return summary ? `${value} (${summary})` : value;
+  };
+
+  // Indicators and TTPs/vulnerabilities go into separate, headed sections
+  const formatExport = (list) => {
+    const groups = groupByCategory(list);
+    const known = list.concat(iocs);
+    const sections = groups.map(group => group.iocs.map(ioc => formatExportLine(ioc, known)).join(getSeparatorChar()));
+    if (groups.length < 2) return sections.join('');
+    return groups.map((group, i) => `# ${group.label}\n${sections[i]}`).join('\n\n');
+  };
+
+  const copyToClipboard = (list) => {
+    navigator.clipboard.writeText(formatExport(list)).then(
+      () => alert(`Copied ${list.length} IOC${list.length === 1 ? '' : 's'} to the clipboard.`),
+      (error) => alert('Copy failed: ' + error.message)
+    );
+  };
+
   const exportToFile = (list) => {
-    const content = list.iocs.map(ioc => ioc.value).join(getSeparatorChar());
+    const content = formatExport(list.iocs);
     const blob = new Blob([content], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -298,7 +748,7 @@ const Popup = () => {
     const newList = {
       id: Date.now().toString(),
       name: finalListName,
-      iocs: selected,
+      iocs: selected.map(toSavedIOC),
       url: currentUrl,
       timestamp: new Date().toISOString(),
       date: new Date().toLocaleDateString(),
@@ -306,43 +756,141 @@ const Popup = () => {
     };
 
     const updatedLists = [...savedLists, newList];
-    setSavedLists(updatedLists);
-    chrome.storage.sync.set({ savedLists: updatedLists });
-    setSelectedIocs(new Set());
-    setListName(''); // Clear the list name input
-    alert('List saved successfully!');
+    chrome.storage.local.set({ savedLists: updatedLists }, () => {
+      // Over the storage quota nothing is written
+      if (chrome.runtime.lastError) {
+        alert(`Could not save the list: ${chrome.runtime.lastError.message}\nDelete older lists or save fewer IOCs.`);
+        return;
+      }
+      setSavedLists(updatedLists);
+      setSelectedIocs(new Set());
+      setListName(''); // Clear the list name input
+      alert('List saved successfully!');
+    });
   };
 
   const deleteList = (listId) => {
     const updatedLists = savedLists.filter(list => list.id !== listId);
     setSavedLists(updatedLists);
-    chrome.storage.sync.set({ savedLists: updatedLists });
-  };
-
-  const getTypeColor = (type) => {
-    const colors = {
-      [IOC_TYPES.IPV4]: '#4ecdc4',
-      [IOC_TYPES.IPV6]: '#45b7d1',
-      [IOC_TYPES.CIDR]: '#00d4aa',
-      [IOC_TYPES.DEFANGED_IP]: '#16a085',
-      [IOC_TYPES.MD5]: '#f7b731',
-      [IOC_TYPES.SHA1]: '#f39c12',
-      [IOC_TYPES.SHA256]: '#e67e22',
-      [IOC_TYPES.SHA512]: '#d35400',
-      [IOC_TYPES.EMAIL]: '#9b59b6',
-      [IOC_TYPES.DEFANGED_URL]: '#e67e22',
-      [IOC_TYPES.URL]: '#3498db',
-      [IOC_TYPES.FILENAME]: '#e74c3c',
-    };
-    return colors[type] || '#95a5a6';
+    chrome.storage.local.set({ savedLists: updatedLists });
   };
 
-  const getRiskColor = (riskScore) => {
-    if (riskScore === null || riskScore === undefined) return '#95a5a6';
-    if (riskScore >= 70) return '#e74c3c'; // High risk - red
-    if (riskScore >= 40) return '#f39c12'; // Medium risk - orange
-    return '#f7b731'; // Low risk - yellow
-  };
+  // One row of the Scan tab list; children (hosts, ports, file names of a URL) are indented
+  // under each parent they came from and selected on their own
+  const renderScanItem = (ioc, parent = null) => (
+    <div
+      key={ioc.id}
+      className={`ioc-item ${parent ? 'child' : ''} ${selectedIocs.has(ioc.id) ? 'selected' : ''} ${nonRoutableIPs === 'dim' && isNonRoutable(ioc) ? 'dimmed' : ''} ${occurrence && occurrence.type === ioc.type && occurrence.value === ioc.value ? 'located' : ''}`}
+      onClick={() => toggleIOCSelection(ioc.id)}
+    >
+      <input
+        id={`ioc-checkbox-${parent ? `${parent.id}-` : ''}${ioc.id}`}
+        name={`ioc-checkbox-${parent ? `${parent.id}-` : ''}${ioc.id}`}
+        type="checkbox"
+        checked={selectedIocs.has(ioc.id)}
+        onChange={() => toggleIOCSelection(ioc.id)}
+        className="ioc-checkbox"
+      />
+      <span
+        className="ioc-type-badge"
+        style={{ backgroundColor: getTypeDisplayColor(ioc.type, typeColors) }}
+      >
+        {ioc.type}
+      </span>
+      {isNonRoutable(ioc) && (
+        <span className="ip-class-badge" title={`${ioc.ipClass.label} (${ioc.ipClass.rfc})`}>
+          {ioc.ipClass.label}
+        </span>
+      )}
+      {ioc.walletFormat && (
+        <span className="wallet-format-badge" title={`${ioc.type}: ${ioc.walletFormat}`}>
+          {ioc.walletFormat}
+        </span>
+      )}
+      {ioc.fingerprintVariant && (
+        <span className="fingerprint-variant-badge" title={`${ioc.fingerprintVariant} fingerprint`}>
+          {ioc.fingerprintVariant}
+        </span>
+      )}
+      {ioc.filename && (
+        <span className="linked-file-badge" title={`Path to the file ${ioc.filename}`}>
+          file: {ioc.filename}
+        </span>
+      )}
+      {ioc.paths && (
+        <span className="linked-file-badge" title={ioc.paths.join('\n')}>
+          in {ioc.paths.length} path{ioc.paths.length === 1 ? '' : 's'}
+        </span>
+      )}
+      {ioc.defangStyles && ioc.defangStyles.length > 0 && (
+        <span className="defang-badge" title={`Written defanged: ${ioc.defangStyles.join('  ')}`}>
+          defanged
+        </span>
+      )}
+      {ioc.idn && (
+        <span className="idn-badge" title={`Unicode: ${ioc.idn.unicode}\nPunycode: ${ioc.idn.ascii}`}>
+          IDN
+        </span>
+      )}
+      {ioc.lookalike && (
+        <span className="lookalike-badge" title={`Scripts: ${ioc.lookalike.scripts.join(', ')}`}>
+          {ioc.lookalike.brand ? `looks like ${ioc.lookalike.brand}` : 'mixed scripts'}
+        </span>
+      )}
+      {ioc.sources && ioc.sources.some(source => source !== PAGE_TEXT_SOURCE) && (
+        <span className="source-badge" title={`Found in: ${ioc.sources.map(source => TEXT_SOURCE_LABELS[source] || source).join(', ')}`}>
+          {ioc.sources.filter(source => source !== PAGE_TEXT_SOURCE).map(source => TEXT_SOURCE_LABELS[source] || source).join(', ')}
+        </span>
+      )}
+      {ioc.derivedFrom && (
+        <span className="derived-badge" title={`Derived from: ${ioc.derivedFrom}`}>
+          via {ioc.derivation}
+        </span>
+      )}
+      <div className="ioc-details">
+        <span
+          className="ioc-value locatable"
+          title={`${ioc.value}\nClick to show on the page`}
+          onClick={(e) => {
+            e.stopPropagation(); // Show on the page without toggling the selection
+            goToOccurrence(ioc);
+          }}
+        >
+          {ioc.value}
+        </span>
+        {ioc.count > 0 && (
+          <span className="ioc-context" title={ioc.context}>
+            {formatOccurrenceSummary(ioc)}
+          </span>
+        )}
+      </div>
+      <div className="ioc-risk-info">
+        {ioc.riskScore !== null && ioc.riskScore !== undefined && !isNaN(ioc.riskScore) ? (
+          <>
+            <span
+              className="risk-score-badge"
+              style={{ backgroundColor: getRiskColor(ioc.riskScore) }}
+              title={ioc.riskExplanation || `Risk Score: ${ioc.riskScore}/100${ioc.threatIntelligence ? '\n\n' + ioc.threatIntelligence : ''}`}
+            >
+              {Math.round(ioc.riskScore)}
+            </span>
+            {ioc.riskLevel && (
+              <span 
+                className="risk-level"
+                style={{ backgroundColor: getRiskColor(ioc.riskScore) }}
+              >
+                {ioc.riskLevel}
+              </span>
+            )}
+          </>
+        ) : (
+          <span className="risk-score-placeholder" title="Click 'Analyze Risk' to get risk scores">
+            —
+          </span>
+        )}
+      </div>
+    </div>
+  );
 
   return (
     <div className="popup-container">
@@ -373,19 +921,21 @@ const Popup = () => {
       <div className="popup-content">
         {activeTab === 'scan' && (
           <div className="scan-tab">
-            <div className="settings-section">
-              <label className="setting-label">
-                Highlight Color:
-                <input
-                  id="highlight-color"
-                  name="highlight-color"
-                  type="color"
-                  value={highlightColor}
-                  onChange={(e) => updateHighlightColor(e.target.value)}
-                  className="color-picker"
-                />
-              </label>
-            </div>
+            {highlightColoring === 'single' && (
+              <div className="settings-section">
+                <label className="setting-label">
+                  Highlight Color:
+                  <input
+                    id="highlight-color"
+                    name="highlight-color"
+                    type="color"
+                    value={highlightColor}
+                    onChange={(e) => updateHighlightColor(e.target.value)}
+                    className="color-picker"
+                  />
+                </label>
+              </div>
+            )}
 
             <div className="action-buttons">
               <button
@@ -393,11 +943,16 @@ const Popup = () => {
                 onClick={requestScan}
                 disabled={isScanning}
               >
-                {isScanning ? 'Scanning...' : 'Scan Page'}
+                {isScanning
+                  ? scanProgress
+                    ? `Scanning... ${Math.floor((scanProgress.scannedChars / scanProgress.totalChars) * 100)}%`
+                    : 'Scanning...'
+                  : 'Scan Page'}
               </button>
               <button
                 className="btn btn-secondary"
                 onClick={() => {
+                  setOccurrence(null);
                   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
                     if (tabs[0]) {
                       const url = tabs[0].url;
@@ -433,9 +988,35 @@ const Popup = () => {
               )}
             </div>
 
+            {partialScan && (
+              <div className="partial-scan-notice" title="Raise the limits under Settings > Large Pages to scan more of the page">
+                Partial results: scanned {formatCharCount(partialScan.scannedChars)} of{' '}
+                {formatCharCount(partialScan.totalChars)} characters before the{' '}
+                {partialScan.reason === 'time' ? 'time' : 'size'} limit.
+              </div>
+            )}
+
+            {scanError && (
+              <div className="scan-error-notice">{scanError}</div>
+            )}
+
+            {selectionScan && (
+              <div className="selection-scan-notice">
+                <span>Showing IOCs from text selected on the page.</span>
+                <button className="btn-small" onClick={requestScan}>Scan Whole Page</button>
+              </div>
+            )}
+
             <div className="ioc-results">
               <div className="results-header">
-                <h3>Detected IOCs ({iocs.length})</h3>
+                <h3>
+                  Detected IOCs ({visibleIOCs.length})
+                  {hiddenIOCCount > 0 && (
+                    <span className="hidden-count" title="Hidden by the non-routable IP setting">
+                      {' '}+{hiddenIOCCount} non-routable hidden
+                    </span>
+                  )}
+                </h3>
                 {iocs.length > 0 && (
                   <div className="bulk-actions">
                     <button className="btn-small" onClick={selectAll}>Select All</button>
@@ -470,17 +1051,45 @@ const Popup = () => {
                 </div>
               )}
 
+              {occurrence && (
+                <div className="occurrence-nav">
+                  <span className="occurrence-value" title={occurrence.value}>{occurrence.value}</span>
+                  <span className="occurrence-count">
+                    {occurrence.total > 0 ? `${occurrence.index} of ${occurrence.total}` : 'Not highlighted on the page'}
+                  </span>
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => goToOccurrence(occurrence, 'previous')}
+                    disabled={occurrence.total === 0}
+                    title="Previous occurrence"
+                  >
+                    ‹
+                  </button>
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => goToOccurrence(occurrence, 'next')}
+                    disabled={occurrence.total === 0}
+                    title="Next occurrence"
+                  >
+                    ›
+                  </button>
+                  <button className="btn btn-secondary btn-small" onClick={() => setOccurrence(null)} title="Close">
+                    ×
+                  </button>
+                </div>
+              )}
+
               <div className="ioc-list">
-                {iocs.length === 0 ? (
+                {activeIOCs.length === 0 ? (
                   <p className="empty-state">No IOCs detected. Click "Scan Page" to begin.</p>
                 ) : (() => {
                   // Filter IOCs based on filterTerm
                   const filteredIOCs = filterTerm
-                    ? iocs.filter(ioc => 
+                    ? visibleIOCs.filter(ioc => 
                         ioc.value.toLowerCase().includes(filterTerm.toLowerCase()) ||
                         ioc.type.toLowerCase().includes(filterTerm.toLowerCase())
                       )
-                    : iocs;
+                    : visibleIOCs;
                   
                   if (filteredIOCs.length === 0 && filterTerm) {
                     return (
@@ -494,57 +1103,24 @@ const Popup = () => {
                     <>
                       {filterTerm && filteredIOCs.length > 0 && (
                         <div className="filter-results-info">
-                          Showing {filteredIOCs.length} of {iocs.length} IOCs
+                          Showing {filteredIOCs.length} of {visibleIOCs.length} IOCs
                         </div>
                       )}
-                      {filteredIOCs.map((ioc) => (
-                        <div
-                          key={ioc.id}
-                          className={`ioc-item ${selectedIocs.has(ioc.id) ? 'selected' : ''}`}
-                          onClick={() => toggleIOCSelection(ioc.id)}
-                        >
-                          <input
-                            id={`ioc-checkbox-${ioc.id}`}
-                            name={`ioc-checkbox-${ioc.id}`}
-                            type="checkbox"
-                            checked={selectedIocs.has(ioc.id)}
-                            onChange={() => toggleIOCSelection(ioc.id)}
-                            className="ioc-checkbox"
-                          />
-                          <span
-                            className="ioc-type-badge"
-                            style={{ backgroundColor: getTypeColor(ioc.type) }}
-                          >
-                            {ioc.type}
-                          </span>
-                          <span className="ioc-value" title={ioc.value}>
-                            {ioc.value}
-                          </span>
-                          <div className="ioc-risk-info">
-                            {ioc.riskScore !== null && ioc.riskScore !== undefined && !isNaN(ioc.riskScore) ? (
-                              <>
-                                <span
-                                  className="risk-score-badge"
-                                  style={{ backgroundColor: getRiskColor(ioc.riskScore) }}
-                                  title={ioc.riskExplanation || `Risk Score: ${ioc.riskScore}/100${ioc.threatIntelligence ? '\n\n' + ioc.threatIntelligence : ''}`}
-                                >
-                                  {Math.round(ioc.riskScore)}
-                                </span>
-                                {ioc.riskLevel && (
-                                  <span 
-                                    className="risk-level"
-                                    style={{ backgroundColor: getRiskColor(ioc.riskScore) }}
-                                  >
-                                    {ioc.riskLevel}
-                                  </span>
-                                )}
-                              </>
-                            ) : (
-                              <span className="risk-score-placeholder" title="Click 'Analyze Risk' to get risk scores">
-                                —
-                              </span>
-                            )}
-                          </div>
+                      {groupByCategory(filteredIOCs).map((group, index, groups) => (
+                        <div key={group.category} className="ioc-group">
+                          {groups.length > 1 && (
+                            <h4 className="ioc-group-heading">{group.label} ({group.iocs.length})</h4>
+                          )}
+                          {buildIOCTree(group.iocs).map(({ ioc, children }) => (
+                            <React.Fragment key={ioc.id}>
+                              {renderScanItem(ioc)}
+                              {children.length > 0 && (
+                                <div className="ioc-children">
+                                  {children.map((child) => renderScanItem(child, ioc))}
+                                </div>
+                              )}
+                            </React.Fragment>
+                          ))}
                         </div>
                       ))}
                     </>
@@ -552,6 +1128,42 @@ const Popup = () => {
                 })()}
               </div>
 
+              {suppressedIOCs.length > 0 && (
+                <div className="suppressed-section">
+                  <button
+                    className="suppressed-toggle"
+                    onClick={() => setShowSuppressed(!showSuppressed)}
+                  >
+                    {showSuppressed ? '▾' : '▸'} Suppressed as likely false positives ({suppressedIOCs.length})
+                  </button>
+                  {showSuppressed && suppressedIOCs.map((ioc) => (
+                    <div key={ioc.id} className="ioc-item suppressed">
+                      <span
+                        className="ioc-type-badge"
+                        style={{ backgroundColor: getTypeDisplayColor(ioc.type, typeColors) }}
+                      >
+                        {ioc.type}
+                      </span>
+                      <div className="ioc-details">
+                        <span className="ioc-value" title={ioc.value}>
+                          {ioc.value}
+                        </span>
+                        <span className="ioc-context" title={ioc.context}>
+                          {ioc.suppressionReason}
+                        </span>
+                      </div>
+                      <button
+                        className="btn-small"
+                        onClick={() => restoreSuppressedIOC(ioc)}
+                        title="Treat this value as an IOC on every page"
+                      >
+                        Restore
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {selectedIocs.size > 0 && (
                 <button className="btn btn-primary btn-block" onClick={addSelectedToList}>
                   Add Selected ({selectedIocs.size}) to List
@@ -578,6 +1190,17 @@ const Popup = () => {
                   <option value="space">Space</option>
                 </select>
               </label>
+              <label className="setting-label">
+                Include Occurrences &amp; Context:
+                <input
+                  id="export-context"
+                  name="export-context"
+                  type="checkbox"
+                  checked={exportContext}
+                  onChange={(e) => updateExportContext(e.target.checked)}
+                  className="ioc-checkbox"
+                />
+              </label>
             </div>
 
             <div className="current-list">
@@ -602,51 +1225,50 @@ const Popup = () => {
               )}
 
               <div className="list-items">
-                {iocs
-                  .filter((ioc) => selectedIocs.has(ioc.id))
-                  .map((ioc) => (
-                    <div key={ioc.id} className="list-item">
-                      <span
-                        className="ioc-type-badge"
-                        style={{ backgroundColor: getTypeColor(ioc.type) }}
-                      >
-                        {ioc.type}
-                      </span>
-                      <span className="ioc-value">{ioc.value}</span>
-                      <button
-                        className="btn-remove"
-                        onClick={() => {
-                          const newSelected = new Set(selectedIocs);
-                          newSelected.delete(ioc.id);
-                          setSelectedIocs(newSelected);
-                        }}
-                      >
-                        ×
-                      </button>
-                    </div>
-                  ))}
+                {groupByCategory(iocs.filter((ioc) => selectedIocs.has(ioc.id))).map((group, index, groups) => (
+                  <div key={group.category} className="ioc-group">
+                    {groups.length > 1 && (
+                      <h4 className="ioc-group-heading">{group.label} ({group.iocs.length})</h4>
+                    )}
+                    {group.iocs.map((ioc) => (
+                      <div key={ioc.id} className="list-item">
+                        <span
+                          className="ioc-type-badge"
+                          style={{ backgroundColor: getTypeDisplayColor(ioc.type, typeColors) }}
+                        >
+                          {ioc.type}
+                        </span>
+                        <span className="ioc-value">{ioc.value}</span>
+                        <button
+                          className="btn-remove"
+                          onClick={() => {
+                            const newSelected = new Set(selectedIocs);
+                            newSelected.delete(ioc.id);
+                            setSelectedIocs(newSelected);
+                          }}
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                ))}
               </div>
 
               {selectedIocs.size > 0 && (
                 <div className="list-actions">
                   <button
                     className="btn btn-primary"
-                    onClick={() => {
-                      const selected = iocs.filter((ioc) => selectedIocs.has(ioc.id));
-                      const content = selected.map((ioc) => ioc.value).join(getSeparatorChar());
-                      const blob = new Blob([content], { type: 'text/plain' });
-                      const url = URL.createObjectURL(blob);
-                      const a = document.createElement('a');
-                      a.href = url;
-                      a.download = `ioc_snatch_${new Date().toISOString().split('T')[0]}.txt`;
-                      document.body.appendChild(a);
-                      a.click();
-                      document.body.removeChild(a);
-                      URL.revokeObjectURL(url);
-                    }}
+                    onClick={() => exportToFile({ iocs: iocs.filter((ioc) => selectedIocs.has(ioc.id)) })}
                   >
                     Export to File
                   </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => copyToClipboard(iocs.filter((ioc) => selectedIocs.has(ioc.id)))}
+                  >
+                    Copy
+                  </button>
                   <button className="btn btn-secondary" onClick={saveList}>
                     Save List
                   </button>
@@ -685,12 +1307,20 @@ const Popup = () => {
                         <strong>IOCs:</strong> {list.iocs.length}
                       </p>
                     </div>
-                    <button
-                      className="btn btn-primary btn-small"
-                      onClick={() => exportToFile(list)}
-                    >
-                      Export
-                    </button>
+                    <div className="saved-list-actions">
+                      <button
+                        className="btn btn-primary btn-small"
+                        onClick={() => exportToFile(list)}
+                      >
+                        Export
+                      </button>
+                      <button
+                        className="btn btn-secondary btn-small"
+                        onClick={() => copyToClipboard(list.iocs)}
+                      >
+                        Copy
+                      </button>
+                    </div>
                   </div>
                 ))}
               </div>
@@ -757,6 +1387,460 @@ const Popup = () => {
                 Get your API key from <a href="https://platform.openai.com/api-keys" target="_blank" rel="noopener noreferrer">OpenAI Platform</a>.
               </p>
             </div>
+
+            <div className="settings-section">
+              <h4>Page Highlights</h4>
+              <p className="settings-description">
+                Overlay highlights are painted on top of the page without changing it, so pages
+                that re-render, editors and forms keep working and copied text is unchanged.
+                Inline highlights wrap each IOC in an element; they are also used in browsers
+                without overlay support.
+              </p>
+              <label className="setting-label">
+                Rendering:
+                <select
+                  id="highlight-mode"
+                  name="highlight-mode"
+                  value={highlightMode}
+                  onChange={(e) => updateHighlightMode(e.target.value)}
+                  className="separator-select"
+                >
+                  <option value="ranges">Overlay (non-destructive)</option>
+                  <option value="spans">Inline elements</option>
+                </select>
+              </label>
+              <p className="settings-description">
+                Highlights are colored by IOC type, and by risk (high, medium, low) once Analyze Risk
+                has scored an IOC. A legend in the corner of the page names the colors in use.
+              </p>
+              <label className="setting-label">
+                Coloring:
+                <select
+                  id="highlight-coloring"
+                  name="highlight-coloring"
+                  value={highlightColoring}
+                  onChange={(e) => updateHighlightColoring(e.target.value)}
+                  className="separator-select"
+                >
+                  {HIGHLIGHT_COLORINGS.map((coloring) => (
+                    <option key={coloring.id} value={coloring.id}>{coloring.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="setting-label">
+                Show color legend:
+                <input
+                  id="show-legend"
+                  name="show-legend"
+                  type="checkbox"
+                  checked={showLegend}
+                  onChange={(e) => updateShowLegend(e.target.checked)}
+                  className="ioc-checkbox"
+                />
+              </label>
+              {highlightColoring !== 'single' && (
+                <>
+                  <div className="type-color-grid">
+                    {getIOCTypes().map(({ name }) => (
+                      <label key={name} className="type-color-item">
+                        <input
+                          id={`type-color-${name}`}
+                          name={`type-color-${name}`}
+                          type="color"
+                          value={getTypeDisplayColor(name, typeColors)}
+                          onChange={(e) => saveTypeColors({ ...typeColors, [name]: e.target.value })}
+                          className="color-picker"
+                        />
+                        {name}
+                      </label>
+                    ))}
+                  </div>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => saveTypeColors({})}
+                    disabled={Object.keys(typeColors).length === 0}
+                  >
+                    Reset Type Colors
+                  </button>
+                </>
+              )}
+            </div>
+
+            <div className="settings-section">
+              <h4>Non-routable IP Addresses</h4>
+              <p className="settings-description">
+                Private (RFC1918, CGNAT, ULA), reserved (loopback, link-local, TEST-NET, multicast)
+                and bogon addresses are rarely actionable. Choose how they appear in the IOC list and
+                in page highlights.
+              </p>
+              <label className="setting-label">
+                Display:
+                <select
+                  id="non-routable-ips"
+                  name="non-routable-ips"
+                  value={nonRoutableIPs}
+                  onChange={(e) => updateNonRoutableIPs(e.target.value)}
+                  className="separator-select"
+                >
+                  <option value="show">Show normally</option>
+                  <option value="dim">De-emphasize</option>
+                  <option value="hide">Hide</option>
+                </select>
+              </label>
+            </div>
+
+            <div className="settings-section">
+              <h4>Large Pages</h4>
+              <p className="settings-description">
+                Large pages are scanned in the background in chunks. Scanning stops at these limits
+                and the Scan tab marks the results as partial.
+              </p>
+              <label className="setting-label">
+                Max characters:
+                <input
+                  id="scan-limit-chars"
+                  name="scan-limit-chars"
+                  type="number"
+                  min="100000"
+                  step="100000"
+                  value={scanLimits.maxChars}
+                  onChange={(e) => updateScanLimit('maxChars', e.target.value)}
+                  className="separator-select limit-input"
+                />
+              </label>
+              <label className="setting-label">
+                Time limit (seconds):
+                <input
+                  id="scan-limit-time"
+                  name="scan-limit-time"
+                  type="number"
+                  min="1"
+                  value={scanLimits.timeLimitSeconds}
+                  onChange={(e) => updateScanLimit('timeLimitSeconds', e.target.value)}
+                  className="separator-select limit-input"
+                />
+              </label>
+            </div>
+
+            <div className="settings-section">
+              <h4>Text Sources</h4>
+              <p className="settings-description">
+                Besides the visible page text, also scan text that is not rendered on screen. IOCs
+                found there are labeled with their source; those in frames, shadow DOM and collapsed
+                sections are highlighted once visible.
+              </p>
+              {TEXT_SOURCES.map((source) => (
+                <label key={source.id} className="setting-label" title={source.description}>
+                  {source.label}:
+                  <input
+                    id={`text-source-${source.id}`}
+                    name={`text-source-${source.id}`}
+                    type="checkbox"
+                    checked={textSources.includes(source.id)}
+                    onChange={() => toggleTextSource(source.id)}
+                    className="ioc-checkbox"
+                  />
+                </label>
+              ))}
+            </div>
+
+            <div className="settings-section">
+              <h4>Protected Brands</h4>
+              <p className="settings-description">
+                Host names that imitate these brands with look-alike characters (аррӏе.com,
+                paypa1.com, rnicrosoft.com) are flagged, as are host names that mix scripts. Enter one
+                brand name or domain per line.
+              </p>
+              <textarea
+                id="protected-brands"
+                name="protected-brands"
+                value={protectedBrands}
+                onChange={(e) => setProtectedBrands(e.target.value)}
+                className="api-key-input pattern-test-input"
+                rows={5}
+              />
+              <div className="api-key-actions">
+                <button className="btn btn-primary" onClick={saveProtectedBrands}>
+                  Save Brands
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => setProtectedBrands(DEFAULT_PROTECTED_BRANDS.join('\n'))}
+                >
+                  Reset to Defaults
+                </button>
+              </div>
+            </div>
+
+            <div className="settings-section">
+              <h4>Defanged Output</h4>
+              <p className="settings-description">
+                Defang IOCs when copying, exporting and exporting saved lists, so they can be pasted
+                into tickets, chat and email without creating live links. Detected and saved IOCs are
+                always kept in their original form.
+              </p>
+              <label className="setting-label">
+                Defang copied and exported IOCs:
+                <input
+                  id="defang-output-enabled"
+                  name="defang-output-enabled"
+                  type="checkbox"
+                  checked={defangOutput.enabled}
+                  onChange={(e) => saveDefangOutput({ ...defangOutput, enabled: e.target.checked })}
+                  className="ioc-checkbox"
+                />
+              </label>
+              {defangOutput.enabled && (
+                <table className="defang-style-table">
+                  <thead>
+                    <tr>
+                      <th>Type</th>
+                      {DEFANG_OUTPUT_STYLES.map((style) => (
+                        <th key={style.id}>{style.label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {getIOCTypes().map(({ name }) => (
+                      <tr key={name}>
+                        <td>{name}</td>
+                        {DEFANG_OUTPUT_STYLES.map((style) => (
+                          <td key={style.id}>
+                            <input
+                              id={`defang-${name}-${style.id}`}
+                              name={`defang-${name}-${style.id}`}
+                              type="checkbox"
+                              checked={(defangOutput.types[name] || []).includes(style.id)}
+                              onChange={() => toggleDefangStyle(name, style.id)}
+                              className="ioc-checkbox"
+                            />
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div className="settings-section">
+              <h4>Pivot Links</h4>
+              <p className="settings-description">
+                Lookup sites offered in the card that opens when you hover or click a highlight on the
+                page. {PIVOT_VALUE_PLACEHOLDER} in the URL is replaced with the IOC value. Leave the
+                types empty to offer a link for every IOC type.
+              </p>
+
+              <div className="custom-pattern-list">
+                {pivotLinks.map((link) => (
+                  <div key={link.id} className="custom-pattern-item">
+                    <input
+                      id={`pivot-link-enabled-${link.id}`}
+                      name={`pivot-link-enabled-${link.id}`}
+                      type="checkbox"
+                      checked={link.enabled !== false}
+                      onChange={() => togglePivotLink(link.id)}
+                      className="ioc-checkbox"
+                      title="Enable or disable this link"
+                    />
+                    <span className="ioc-type-badge pivot-link-name">{link.name}</span>
+                    <code className="pattern-source" title={`${link.url}\n${link.types.length > 0 ? link.types.join(', ') : 'All types'}`}>
+                      {link.url}
+                    </code>
+                    <button className="btn-delete" onClick={() => deletePivotLink(link.id)}>
+                      Delete
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              <div className="custom-pattern-form">
+                <label className="setting-label">
+                  Name:
+                  <input
+                    id="pivot-link-name"
+                    name="pivot-link-name"
+                    type="text"
+                    placeholder="e.g. GreyNoise"
+                    value={pivotDraft.name}
+                    onChange={(e) => setPivotDraft({ ...pivotDraft, name: e.target.value })}
+                    className="list-name-input"
+                    maxLength={40}
+                  />
+                </label>
+                <label className="setting-label">
+                  URL:
+                  <input
+                    id="pivot-link-url"
+                    name="pivot-link-url"
+                    type="text"
+                    placeholder={`e.g. https://viz.greynoise.io/ip/${PIVOT_VALUE_PLACEHOLDER}`}
+                    value={pivotDraft.url}
+                    onChange={(e) => setPivotDraft({ ...pivotDraft, url: e.target.value })}
+                    className="list-name-input pattern-source-input"
+                  />
+                </label>
+                <label className="setting-label">
+                  Types:
+                  <input
+                    id="pivot-link-types"
+                    name="pivot-link-types"
+                    type="text"
+                    placeholder="e.g. IPv4, IPv6 (empty for all)"
+                    value={pivotDraft.types}
+                    onChange={(e) => setPivotDraft({ ...pivotDraft, types: e.target.value })}
+                    className="list-name-input"
+                  />
+                </label>
+                <div className="api-key-actions">
+                  <button
+                    className="btn btn-primary"
+                    onClick={addPivotLink}
+                    disabled={!pivotDraft.name.trim() || !pivotDraft.url.trim()}
+                  >
+                    Add Link
+                  </button>
+                  <button className="btn btn-secondary" onClick={() => savePivotLinks(DEFAULT_PIVOT_LINKS)}>
+                    Reset to Defaults
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            <div className="settings-section">
+              <h4>Custom IOC Patterns</h4>
+              <p className="settings-description">
+                Define named regular expressions for internal artifacts such as ticket IDs, malware
+                family tags or campaign codes. Patterns are synced to every tab and detected alongside
+                the built-in IOC types.
+              </p>
+
+              {customPatterns.length > 0 && (
+                <div className="custom-pattern-list">
+                  {customPatterns.map((pattern) => (
+                    <div key={pattern.id} className="custom-pattern-item">
+                      <input
+                        id={`custom-pattern-enabled-${pattern.id}`}
+                        name={`custom-pattern-enabled-${pattern.id}`}
+                        type="checkbox"
+                        checked={pattern.enabled !== false}
+                        onChange={() => toggleCustomPattern(pattern.id)}
+                        className="ioc-checkbox"
+                        title="Enable or disable this pattern"
+                      />
+                      <span className="ioc-type-badge" style={{ backgroundColor: pattern.color }}>
+                        {pattern.name}
+                      </span>
+                      <code className="pattern-source" title={pattern.source}>
+                        /{pattern.source}/{pattern.caseInsensitive ? 'i' : ''}
+                      </code>
+                      <button className="btn-delete" onClick={() => deleteCustomPattern(pattern.id)}>
+                        Delete
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="custom-pattern-form">
+                <label className="setting-label">
+                  Name:
+                  <input
+                    id="custom-pattern-name"
+                    name="custom-pattern-name"
+                    type="text"
+                    placeholder="e.g. Ticket ID"
+                    value={patternDraft.name}
+                    onChange={(e) => setPatternDraft({ ...patternDraft, name: e.target.value })}
+                    className="list-name-input"
+                    maxLength={40}
+                  />
+                </label>
+                <label className="setting-label">
+                  Pattern:
+                  <input
+                    id="custom-pattern-source"
+                    name="custom-pattern-source"
+                    type="text"
+                    placeholder="e.g. INC-\d{6}"
+                    value={patternDraft.source}
+                    onChange={(e) => setPatternDraft({ ...patternDraft, source: e.target.value })}
+                    className="list-name-input pattern-source-input"
+                  />
+                </label>
+                <label className="setting-label">
+                  Case Insensitive:
+                  <input
+                    id="custom-pattern-case"
+                    name="custom-pattern-case"
+                    type="checkbox"
+                    checked={patternDraft.caseInsensitive}
+                    onChange={(e) => setPatternDraft({ ...patternDraft, caseInsensitive: e.target.checked })}
+                    className="ioc-checkbox"
+                  />
+                </label>
+                <label className="setting-label">
+                  Normalizer:
+                  <select
+                    id="custom-pattern-normalizer"
+                    name="custom-pattern-normalizer"
+                    value={patternDraft.normalizer}
+                    onChange={(e) => setPatternDraft({ ...patternDraft, normalizer: e.target.value })}
+                    className="separator-select"
+                  >
+                    {Object.entries(CUSTOM_PATTERN_NORMALIZERS).map(([key, normalizer]) => (
+                      <option key={key} value={key}>{normalizer.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="setting-label">
+                  Color:
+                  <input
+                    id="custom-pattern-color"
+                    name="custom-pattern-color"
+                    type="color"
+                    value={patternDraft.color}
+                    onChange={(e) => setPatternDraft({ ...patternDraft, color: e.target.value })}
+                    className="color-picker"
+                  />
+                </label>
+
+                <textarea
+                  id="custom-pattern-test"
+                  name="custom-pattern-test"
+                  placeholder="Paste sample text to test the pattern..."
+                  value={patternTestText}
+                  onChange={(e) => setPatternTestText(e.target.value)}
+                  className="api-key-input pattern-test-input"
+                  rows={3}
+                />
+                <div className="pattern-test-result">
+                  {patternTest.status === 'testing' && <span>Testing...</span>}
+                  {patternTest.status === 'error' && (
+                    <span className="pattern-test-error">{patternTest.message}</span>
+                  )}
+                  {patternTest.status === 'ok' && (
+                    patternTest.matches.length === 0 ? (
+                      <span>No matches in the sample text.</span>
+                    ) : (
+                      patternTest.matches.map((match) => (
+                        <span key={match.index} className="pattern-match" title={`Offset ${match.index}`}>
+                          {match.normalized}
+                        </span>
+                      ))
+                    )
+                  )}
+                </div>
+
+                <button
+                  className="btn btn-primary"
+                  onClick={addCustomPattern}
+                  disabled={!patternDraft.name.trim() || patternTest.status !== 'ok'}
+                >
+                  Add Pattern
+                </button>
+              </div>
+            </div>
           </div>
         )}
       </div>
@@ -0,0 +1,38 @@
+/**
+ * Pattern test worker
+ * Runs a custom pattern for the Settings live test box off the popup's main thread.
+ * Besides the user's sample text, the pattern is run against long repetitive probe strings;
+ * a pattern that backtracks catastrophically hangs only this worker, which the popup
+ * terminates after a timeout.
+ */
+
+import { buildCustomPattern, CUSTOM_PATTERN_NORMALIZERS } from '../Content/modules/customPatterns';
+
+const MAX_RESULTS = 50;
+const PROBE_LENGTH = 5000;
+const PROBE_CHARACTERS = ['a', 'A', '1', 'f', ' ', '-', '.', '_', '/', '\\', ',', ';', ':', '=', '|', '@', '"', '\t', '\n'];
+
+onmessage = (event) => {
+  const { definition, text } = event.data;
+  const pattern = buildCustomPattern(definition);
+  const normalizer = CUSTOM_PATTERN_NORMALIZERS[definition.normalizer] || CUSTOM_PATTERN_NORMALIZERS.none;
+
+  const matches = [];
+  for (const match of (text || '').matchAll(pattern)) {
+    if (matches.length >= MAX_RESULTS) break;
+    matches.push({
+      index: match.index,
+      value: match[0],
+      normalized: normalizer.normalize(match[0]),
+    });
+  }
+
+  // Stress the pattern with long runs of common characters ending in a mismatch
+  const startTime = Date.now();
+  PROBE_CHARACTERS.forEach((char) => {
+    const probe = char.repeat(PROBE_LENGTH) + '\u0000';
+    Array.from(probe.matchAll(pattern));
+  });
+
+  postMessage({ matches, probeMs: Date.now() - startTime });
+};
@@ -41,9 +41,11 @@ var options = {
     popup: path.join(__dirname, 'src', 'pages', 'Popup', 'index.jsx'),
     background: path.join(__dirname, 'src', 'pages', 'Background', 'index.js'),
     contentScript: path.join(__dirname, 'src', 'pages', 'Content', 'index.js'),
+    patternTestWorker: path.join(__dirname, 'src', 'pages', 'Popup', 'patternTestWorker.js'),
+    detectionWorker: path.join(__dirname, 'src', 'pages', 'Content', 'detectionWorker.js'),
   },
   chromeExtensionBoilerplate: {
-    notHotReload: ['background', 'contentScript'],
+    notHotReload: ['background', 'contentScript', 'patternTestWorker', 'detectionWorker'],
   },
   output: {
     filename: '[name].bundle.js',
@@ -194,6 +196,16 @@ var options = {
 
 if (env.NODE_ENV === 'development') {
   options.devtool = 'cheap-module-source-map';
+  // The detection benchmark page is a development tool, left out of release builds
+  options.entry.benchmark = path.join(__dirname, 'src', 'pages', 'Benchmark', 'index.js');
+  options.plugins.push(
+    new HtmlWebpackPlugin({
+      template: path.join(__dirname, 'src', 'pages', 'Benchmark', 'index.html'),
+      filename: 'benchmark.html',
+      chunks: ['benchmark'],
+      cache: false,
+    })
+  );
 } else {
   options.optimization = {
     minimize: true,